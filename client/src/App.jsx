@@ -3,6 +3,7 @@ import axios from 'axios';
 import { Dashboard } from './components/Dashboard.jsx';
 import LoginPage from './components/LoginPage.jsx';
 import CreateProjectForm from './components/CreateProjectForm.jsx';
+import { clearOutboxes } from './hooks/chatOutbox.js';
 
 // Use environment variable for API URL, fallback to localhost for development
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
@@ -117,8 +118,9 @@ export default function App() {
     } catch (err) {
       // User not authenticated, will show login page
       console.log('[App] Not authenticated:', err.message);
-      // Clear token if auth failed
+      // Clear token and queued chat messages if auth failed
       localStorage.removeItem('token');
+      clearOutboxes();
       delete axios.defaults.headers.common['Authorization'];
     } finally {
       console.log('[App] Setting loading to false');
@@ -172,8 +174,9 @@ export default function App() {
     } catch (err) {
       console.error('Logout error:', err);
     } finally {
-      // Clear token from localStorage
+      // Clear token and any queued chat messages from localStorage
       localStorage.removeItem('token');
+      clearOutboxes();
       setToken(null);
       delete axios.defaults.headers.common['Authorization'];
       setUser(null);
@@ -0,0 +1,94 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import clsx from 'clsx';
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg'];
+
+export function attachmentKind(fileName) {
+  const extension = String(fileName ?? '').split('.').pop().toLowerCase();
+  if (IMAGE_EXTENSIONS.includes(extension)) return 'image';
+  if (extension === 'pdf') return 'pdf';
+  return 'file';
+}
+
+async function downloadAttachment(projectId, attachment) {
+  try {
+    const response = await axios.get(`/projects/${projectId}/uploads/${attachment.id}`, { responseType: 'blob' });
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = attachment.fileName ?? 'download';
+    link.rel = 'noopener noreferrer';
+    document.body.appendChild(link);
+    link.click();
+    setTimeout(() => {
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    }, 0);
+  } catch (error) {
+    console.error('Attachment download failed', error);
+    window.alert('Unable to download that file. It may have been removed from the project.');
+  }
+}
+
+// Uploads sit behind auth, so images are fetched as blobs rather than linked directly
+function ImageThumbnail({ projectId, attachment }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    axios
+      .get(`/projects/${projectId}/uploads/${attachment.id}`, { responseType: 'blob' })
+      .then(response => {
+        if (cancelled) return;
+        objectUrl = window.URL.createObjectURL(response.data);
+        setSrc(objectUrl);
+      })
+      .catch(error => console.error('Attachment preview failed', error));
+    return () => {
+      cancelled = true;
+      if (objectUrl) window.URL.revokeObjectURL(objectUrl);
+    };
+  }, [projectId, attachment.id]);
+
+  return (
+    <button
+      type="button"
+      onClick={() => downloadAttachment(projectId, attachment)}
+      className="block overflow-hidden rounded-lg border border-white/40 bg-white/20"
+      title={attachment.fileName}
+    >
+      {src ? (
+        <img src={src} alt={attachment.fileName} className="h-28 w-40 object-cover" />
+      ) : (
+        <span className="flex h-28 w-40 items-center justify-center text-[11px] opacity-70">Loading…</span>
+      )}
+    </button>
+  );
+}
+
+export function ChatAttachment({ projectId, attachment, pending = false }) {
+  const kind = attachment.kind ?? attachmentKind(attachment.fileName);
+
+  if (kind === 'image' && !pending) {
+    return <ImageThumbnail projectId={projectId} attachment={attachment} />;
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={() => !pending && downloadAttachment(projectId, attachment)}
+      className={clsx(
+        'flex max-w-full items-center gap-2 rounded-lg border px-3 py-2 text-left text-xs',
+        kind === 'pdf' ? 'border-rose-200 bg-rose-50 text-rose-700' : 'border-slate-200 bg-white text-slate-700'
+      )}
+      title={attachment.fileName}
+    >
+      <span className="rounded bg-black/5 px-1.5 py-0.5 text-[10px] font-semibold uppercase">
+        {kind === 'pdf' ? 'PDF' : kind === 'image' ? 'IMG' : 'FILE'}
+      </span>
+      <span className="truncate">{attachment.fileName}</span>
+    </button>
+  );
+}
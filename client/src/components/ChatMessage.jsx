@@ -0,0 +1,266 @@
+import { useState } from 'react';
+import axios from 'axios';
+import clsx from 'clsx';
+import { ChatAttachment } from './ChatAttachment.jsx';
+import { MentionInput } from './MentionInput.jsx';
+
+// "Cameron Client" -> "Cameron" keeps receipts short under each bubble
+const formatSeenBy = seenBy => seenBy.map(reader => (reader.displayName ?? 'Someone').split(' ')[0]).join(', ');
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Bold the "@Name" tokens the server resolved to project members
+function renderBody(body, mentions = []) {
+  const names = mentions.map(mention => mention.displayName).filter(Boolean);
+  if (names.length === 0) return body;
+  const pattern = new RegExp(`(@(?:${names.map(escapeRegExp).join('|')}))`, 'gi');
+  return body.split(pattern).map((part, index) =>
+    index % 2 === 1 ? (
+      <strong key={index} className="font-semibold underline decoration-dotted underline-offset-2">
+        {part}
+      </strong>
+    ) : (
+      part
+    )
+  );
+}
+
+export function ChatMessage({
+  projectId,
+  message,
+  currentUser,
+  canModerate,
+  members = [],
+  onReply,
+  onEdit,
+  onDelete,
+  onRetry,
+  onDiscard,
+  isReply = false
+}) {
+  const isCurrentUser = message.author?.id === currentUser?.id || message.author?.displayName === 'You';
+  const [replying, setReplying] = useState(false);
+  const [replyDraft, setReplyDraft] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(message.body ?? '');
+  const [history, setHistory] = useState(null);
+  const [historyOpen, setHistoryOpen] = useState(false);
+
+  const deleted = Boolean(message.deletedAt);
+  const persisted = Boolean(message.id) && !message.pending;
+  const canEdit = persisted && !deleted && isCurrentUser;
+  const canDelete = persisted && !deleted && (isCurrentUser || canModerate);
+  const showSeenBy = isCurrentUser && persisted && !deleted && message.seenBy?.length > 0;
+  const showEdited = Boolean(message.editedAt) && !deleted;
+  const canReply = !isReply && persisted && !deleted && Boolean(onReply);
+  const showActions = !editing && (canEdit || canDelete || canReply);
+  const replies = message.replies ?? [];
+
+  const startEditing = () => {
+    setDraft(message.body ?? '');
+    setEditing(true);
+  };
+
+  const handleEditSubmit = event => {
+    event.preventDefault();
+    const body = draft.trim();
+    if (!body && !message.attachments?.length) return;
+    if (body !== message.body) onEdit(message.id, body);
+    setEditing(false);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm('Delete this message for everyone in the project?')) {
+      onDelete(message.id);
+    }
+  };
+
+  const handleReplySubmit = event => {
+    event.preventDefault();
+    const body = replyDraft.trim();
+    if (!body) return;
+    onReply(message.id, body);
+    setReplyDraft('');
+  };
+
+  const toggleHistory = async () => {
+    if (historyOpen) {
+      setHistoryOpen(false);
+      return;
+    }
+    setHistoryOpen(true);
+    try {
+      const { data } = await axios.get(`/projects/${projectId}/messages/${message.id}/history`);
+      setHistory(data.revisions ?? []);
+    } catch (error) {
+      console.error('Failed to load message history', error);
+      setHistory([]);
+    }
+  };
+
+  const bubble = (
+    <article
+      className={clsx(
+        'group max-w-sm rounded-2xl px-4 py-3 text-sm shadow-sm',
+        message.failed && 'ring-2 ring-rose-400',
+        deleted
+          ? 'border border-dashed border-slate-200 bg-white text-slate-400'
+          : isCurrentUser
+            ? 'ml-auto bg-indigo-500 text-white'
+            : 'bg-slate-100 text-slate-800',
+        deleted && isCurrentUser && 'ml-auto'
+      )}
+    >
+      <div className="mb-1 flex items-center justify-between gap-3 text-xs opacity-80">
+        <span>{message.author?.displayName ?? 'You'}</span>
+        <time>{new Date(message.createdAt ?? Date.now()).toLocaleTimeString()}</time>
+      </div>
+      {deleted ? (
+        <p className="italic">Message deleted</p>
+      ) : editing ? (
+        <form onSubmit={handleEditSubmit} className="space-y-2">
+          <input
+            value={draft}
+            onChange={event => setDraft(event.target.value)}
+            className="w-full rounded-lg border border-white/40 bg-white px-2 py-1 text-sm text-slate-800 focus:outline-none"
+            autoFocus
+          />
+          <div className="flex justify-end gap-2 text-[11px] font-semibold">
+            <button type="button" onClick={() => setEditing(false)} className="opacity-80 hover:opacity-100">
+              Cancel
+            </button>
+            <button type="submit" className="opacity-80 hover:opacity-100">
+              Save
+            </button>
+          </div>
+        </form>
+      ) : (
+        message.body && <p>{renderBody(message.body, message.mentions)}</p>
+      )}
+      {!deleted && message.attachments?.length > 0 && (
+        <div className="mt-2 flex flex-col gap-2">
+          {message.attachments.map(attachment => (
+            <ChatAttachment
+              key={attachment.id}
+              projectId={projectId}
+              attachment={attachment}
+              pending={message.pending}
+            />
+          ))}
+        </div>
+      )}
+      {message.pending && <p className="mt-2 text-[11px] opacity-70">Sending…</p>}
+      {message.failed && (
+        <div className="mt-2 flex flex-wrap items-center gap-3 text-[11px]">
+          <span className="opacity-80">{message.error ?? 'Not sent'}</span>
+          <button type="button" onClick={() => onRetry?.(message.clientMessageId)} className="font-semibold underline">
+            Retry
+          </button>
+          <button
+            type="button"
+            onClick={() => onDiscard?.(message.clientMessageId)}
+            className="font-semibold opacity-80 hover:opacity-100"
+          >
+            Discard
+          </button>
+        </div>
+      )}
+      {(showEdited || showSeenBy || showActions) && (
+        <div className="mt-2 flex flex-wrap items-center gap-3 text-[11px] opacity-70">
+          {showEdited && (
+            <button type="button" onClick={toggleHistory} className="underline-offset-2 hover:underline">
+              edited
+            </button>
+          )}
+          {showSeenBy && <span>Seen by {formatSeenBy(message.seenBy)}</span>}
+          {showActions && (
+            <span className="ml-auto hidden gap-2 group-hover:flex">
+              {canReply && (
+                <button type="button" onClick={() => setReplying(true)} className="hover:underline">
+                  Reply
+                </button>
+              )}
+              {canEdit && (
+                <button type="button" onClick={startEditing} className="hover:underline">
+                  Edit
+                </button>
+              )}
+              {canDelete && (
+                <button type="button" onClick={handleDelete} className="hover:underline">
+                  Delete
+                </button>
+              )}
+            </span>
+          )}
+        </div>
+      )}
+      {historyOpen && (
+        <ol className="mt-2 space-y-1 border-t border-slate-300/40 pt-2 text-[11px] opacity-80">
+          {history === null && <li>Loading history…</li>}
+          {history?.length === 0 && <li>No earlier versions.</li>}
+          {history?.map(revision => (
+            <li key={revision.id}>
+              <span className="font-semibold">{new Date(revision.createdAt).toLocaleString()}:</span> {revision.body}
+            </li>
+          ))}
+        </ol>
+      )}
+    </article>
+  );
+
+  if (isReply) return bubble;
+
+  return (
+    <div className="space-y-2">
+      {bubble}
+      {(replies.length > 0 || replying) && (
+        <div className={clsx('space-y-2 border-l-2 border-slate-200 pl-4', isCurrentUser ? 'ml-auto max-w-sm' : 'ml-4')}>
+          {replies.map(reply => (
+            <ChatMessage
+              key={reply.id ?? reply.clientMessageId}
+              projectId={projectId}
+              message={reply}
+              currentUser={currentUser}
+              canModerate={canModerate}
+              onEdit={onEdit}
+              onDelete={onDelete}
+              onRetry={onRetry}
+              onDiscard={onDiscard}
+              isReply
+            />
+          ))}
+          {replying ? (
+            <form onSubmit={handleReplySubmit} className="flex items-center gap-2">
+              <MentionInput
+                value={replyDraft}
+                onChange={setReplyDraft}
+                members={members}
+                className="w-full rounded-full border border-slate-200 px-3 py-1.5 text-xs focus:border-indigo-500 focus:outline-none"
+                placeholder="Reply to thread…"
+                autoFocus
+              />
+              <button type="submit" className="text-xs font-semibold text-indigo-600 hover:text-indigo-500">
+                Reply
+              </button>
+              <button
+                type="button"
+                onClick={() => setReplying(false)}
+                className="text-xs font-semibold text-slate-400 hover:text-slate-600"
+              >
+                Close
+              </button>
+            </form>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setReplying(true)}
+              className="text-xs font-semibold text-slate-500 hover:text-indigo-600"
+            >
+              Reply to thread
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -11,7 +11,13 @@ export function ChecklistPanel({ projectId, stages = [], canEdit = false }) {
     return stages.map(stage => ({
       stageId: stage.id,
       stageName: stage.name,
-      toggles: (stage.toggles ?? []).filter(item => !item.templateToggleId)
+      // Template toggles can be ticked by approving the files in an upload slot
+      toggles: (stage.toggles ?? []).map(toggle => ({
+        ...toggle,
+        approvedBy: (stage.uploadDefinitions ?? [])
+          .filter(definition => toggle.templateToggleId && definition.approvalToggleId === toggle.templateToggleId)
+          .map(definition => definition.label)
+      }))
     }));
   }, [stages]);
 
@@ -83,7 +89,11 @@ export function ChecklistPanel({ projectId, stages = [], canEdit = false }) {
               >
                 <div>
                   <p className="text-sm font-semibold text-slate-800">{item.label}</p>
-                  <p className="text-xs text-slate-400">Status visible to clients and internal team.</p>
+                  <p className="text-xs text-slate-400">
+                    {item.approvedBy.length > 0
+                      ? `Ticked automatically when ${item.approvedBy.join(', ')} ${item.approvedBy.length === 1 ? 'is' : 'are'} approved.`
+                      : 'Status visible to clients and internal team.'}
+                  </p>
                 </div>
                 <div className="flex items-center gap-2">
                   <span
@@ -101,7 +111,7 @@ export function ChecklistPanel({ projectId, stages = [], canEdit = false }) {
                         onClick={() =>
                           toggleMutation.mutate({
                             stageId: section.stageId,
-                            toggleId: item.templateToggleId ?? item.id,
+                            toggleId: item.id,
                             value: !item.value
                           })
                         }
@@ -115,7 +125,7 @@ export function ChecklistPanel({ projectId, stages = [], canEdit = false }) {
                         onClick={() =>
                           removeMutation.mutate({
                             stageId: section.stageId,
-                            toggleId: item.templateToggleId ?? item.id
+                            toggleId: item.id
                           })
                         }
                         className="rounded-full border border-rose-200 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-rose-600 hover:bg-rose-50"
@@ -7,14 +7,21 @@ import { ProgressStages } from './ProgressStages.jsx';
 import { ProjectChat } from './ProjectChat.jsx';
 import { InvoicesCard } from './InvoicesCard.jsx';
 import { FilesCard } from './FilesCard.jsx';
+import { ProjectTeamCard } from './ProjectTeamCard.jsx';
 import { ProjectFilesCard } from './ProjectFilesCard.jsx';
 import { FileDropzone } from './FileDropzone.jsx';
+import { UploadSlotsCard } from './UploadSlotsCard.jsx';
+import { ReviewQueue } from './ReviewQueue.jsx';
 import ManageProjects from './ManageProjects.jsx';
 import logoMark from '../assets/exhibit-control-logo.svg';
 import { TemplateAdminPanel } from './TemplateAdminPanel.jsx';
 import { SavedTemplatesList } from './SavedTemplatesList.jsx';
+import { ProjectTemplateLineage } from './ProjectTemplateLineage.jsx';
 import { ChecklistPanel } from './ChecklistPanel.jsx';
 import { OverdueAlert } from './OverdueAlert.jsx';
+import { MyTasks } from './MyTasks.jsx';
+import { ProjectTimeline } from './ProjectTimeline.jsx';
+import { getSocket } from '../hooks/socketSingleton.js';
 
 // Use environment variable for API URL
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000';
@@ -100,6 +107,22 @@ export function Dashboard({
       axios.patch(`/projects/${project.id}/stages/${stageId}`, { status }),
     onSuccess: () => {
       queryClient.invalidateQueries(['stages', project.id]);
+    },
+    onError: (error) => {
+      console.error('[Mutation] Failed to update stage status:', error);
+      alert(error.response?.data?.error || 'Failed to update stage status');
+    }
+  });
+
+  const rescheduleStageMutation = useMutation({
+    mutationFn: ({ stageId, dueDate }) =>
+      axios.patch(`/projects/${project.id}/stages/${stageId}`, { dueDate }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['stages', project.id]);
+    },
+    onError: (error) => {
+      console.error('[Mutation] Failed to reschedule stage:', error);
+      alert(error.response?.data?.error || 'Failed to reschedule stage');
     }
   });
 
@@ -111,6 +134,7 @@ export function Dashboard({
     onSuccess: (data) => {
       console.log('[Mutation] Task created successfully:', data);
       queryClient.invalidateQueries(['stages', project.id]);
+      queryClient.invalidateQueries(['myTasks']);
     },
     onError: (error) => {
       console.error('[Mutation] Failed to create task:', error);
@@ -124,6 +148,11 @@ export function Dashboard({
       axios.patch(`/projects/${project.id}/stages/${stageId}/tasks/${taskId}`, { state }),
     onSuccess: () => {
       queryClient.invalidateQueries(['stages', project.id]);
+      queryClient.invalidateQueries(['myTasks']);
+    },
+    onError: (error) => {
+      console.error('[Mutation] Failed to update task status:', error);
+      alert(error.response?.data?.error || 'Failed to update task');
     }
   });
 
@@ -132,6 +161,7 @@ export function Dashboard({
       axios.patch(`/projects/${project.id}/stages/${stageId}/tasks/${taskId}`, updates),
     onSuccess: () => {
       queryClient.invalidateQueries(['stages', project.id]);
+      queryClient.invalidateQueries(['myTasks']);
     },
     onError: (error) => {
       console.error('[Mutation] Failed to update task:', error);
@@ -291,13 +321,14 @@ export function Dashboard({
       axios.delete(`/projects/${projectId}/uploads/${uploadId}`).then(({ data }) => data),
     onSuccess: () => {
       queryClient.invalidateQueries(['uploads', project?.id]);
+      queryClient.invalidateQueries(['uploadSlots', project?.id]);
     }
   });
 
   const invoices = invoiceResponse?.invoices ?? [];
   const stages = stageResponse?.stages ?? [];
   const statuses = stageResponse?.statuses ?? ['not_started', 'in_progress', 'completed'];
-  const taskStatuses = stageResponse?.taskStatuses ?? ['not_started', 'in_progress', 'blocked', 'completed'];
+  const taskStatuses = stageResponse?.taskStatuses ?? ['not_started', 'in_progress', 'blocked', 'needs_review', 'completed'];
   const progressSummary = stageResponse?.progress;
   const canManageChecklist = isOwner || isProjectManager || isStaff;
 
@@ -465,7 +496,7 @@ export function Dashboard({
   };
 
   const navItems = useMemo(() => {
-    const items = [{ key: 'dashboard', label: 'Dashboard' }];
+    const items = [{ key: 'dashboard', label: 'Dashboard' }, { key: 'my-tasks', label: 'My Tasks' }];
     if (isOwner || isProjectManager) {
       items.push({ key: 'projects', label: 'Projects' });
     }
@@ -484,7 +515,7 @@ export function Dashboard({
   }, [isOwner, isProjectManager, isStaff]);
 
   const allowedSections = useMemo(() => {
-    const set = new Set(['dashboard', 'files']);
+    const set = new Set(['dashboard', 'my-tasks', 'files']);
     if (isOwner || isProjectManager || isStaff) {
       set.add('checklist');
     }
@@ -511,6 +542,25 @@ export function Dashboard({
     setIsMobileMenuOpen(false);
   }, [effectiveSection]);
 
+  // Server-side task changes (e.g. tasks completed by an upload) arrive over the project room
+  useEffect(() => {
+    const socket = getSocket(token);
+    if (!socket || !project?.id) return undefined;
+
+    const handleProjectUpdate = payload => {
+      if (payload?.projectId !== project.id) return;
+      queryClient.invalidateQueries(['stages', project.id]);
+      queryClient.invalidateQueries(['uploadSlots', project.id]);
+      queryClient.invalidateQueries(['reviews', project.id]);
+      queryClient.invalidateQueries(['myTasks']);
+    };
+
+    socket.on('project:update', handleProjectUpdate);
+    return () => {
+      socket.off('project:update', handleProjectUpdate);
+    };
+  }, [token, project?.id, queryClient]);
+
   useEffect(() => {
     if (effectiveSection !== 'projects') {
       setShowCreateProject(false);
@@ -890,9 +940,10 @@ export function Dashboard({
                   progressSummary={progressSummary}
                   canEdit={false}
                 />
-                <ProjectChat projectId={project.id} token={token} currentUser={user} />
+                <ProjectChat projectId={project.id} token={token} currentUser={user} members={project.members} />
               </div>
               <div className="space-y-8 min-w-0">
+                <ProjectTeamCard projectId={project.id} token={token} members={project.members} />
                 <InvoicesCard
                   invoices={invoices}
                   canEdit={canManageInvoices}
@@ -920,8 +971,20 @@ export function Dashboard({
             </section>
           )}
 
+          {effectiveSection === 'my-tasks' && (
+            <MyTasks
+              canEdit={isOwner || isProjectManager || isStaff}
+              onOpenProject={projectId => {
+                onProjectChange(projectId);
+                onSectionChange?.('dashboard');
+              }}
+            />
+          )}
+
           {effectiveSection === 'files' && (
             <section className="space-y-8">
+              {(isOwner || isProjectManager || isStaff) && <ReviewQueue projectId={project.id} />}
+              <UploadSlotsCard projectId={project.id} canUpload={true} />
               <ProjectFilesCard 
                 projectId={project.id} 
                 canUpload={true}
@@ -939,7 +1002,8 @@ export function Dashboard({
 
           {effectiveSection === 'template' && isOwner && (
             <div className="space-y-6">
-              <SavedTemplatesList projectId={project.id} />
+              <ProjectTemplateLineage projectId={project.id} />
+              <SavedTemplatesList projectId={project.id} projectName={project.name} canSaveProject={isOwner} />
               <TemplateAdminPanel canEdit={isOwner} />
             </div>
           )}
@@ -1001,6 +1065,22 @@ export function Dashboard({
                 </div>
               </section>
 
+              <section className="rounded-2xl bg-white p-6 shadow-sm border border-slate-200">
+                <h3 className="text-base font-semibold text-slate-900">Timeline</h3>
+                <p className="text-sm text-slate-500">Stages and tasks against move-in and opening day. Anything landing after move-in is highlighted.</p>
+                <div className="mt-6">
+                  <ProjectTimeline
+                    project={project}
+                    stages={stages}
+                    canEdit={isOwner}
+                    onStageReschedule={(stageId, dueDate) => rescheduleStageMutation.mutateAsync({ stageId, dueDate })}
+                    onTaskReschedule={(stageId, taskId, dueDate) =>
+                      updateTaskMutation.mutateAsync({ stageId, taskId, updates: { dueDate } })
+                    }
+                  />
+                </div>
+              </section>
+
               <section className="rounded-2xl bg-white p-6 shadow-sm border border-slate-200">
                 <h3 className="text-base font-semibold text-slate-900">Manage Project Stages & Tasks</h3>
                 <p className="text-sm text-slate-500">Update stage status or add new tasks for <span className="font-semibold text-slate-700">{project.name}</span>.</p>
@@ -1019,7 +1099,7 @@ export function Dashboard({
                       const payload = {
                         title: draft.title,
                         dueDate: draft.dueDate || null,
-                        assignee: draft.assignee || null
+                        assigneeId: draft.assigneeId || null
                       };
                       console.log('[Dashboard] Payload to send:', payload);
                       createTaskMutation.mutate({
@@ -1036,6 +1116,7 @@ export function Dashboard({
                     onTaskDelete={(stageId, taskId) =>
                       deleteTaskMutation.mutate({ stageId, taskId })
                     }
+                    members={project.members}
                   />
                 </div>
               </section>
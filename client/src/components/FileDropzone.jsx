@@ -12,7 +12,9 @@ const defaultMeta = file => ({
   requiresReview: false
 });
 
-export function FileDropzone({ projectId, isActiveRenderingUpload = false, category = null }) {
+// `slot` (an upload slot from /upload-slots) restricts the dropzone to that slot's types and file limit;
+// `replaces` (an upload) sends a single file as that file's next version
+export function FileDropzone({ projectId, isActiveRenderingUpload = false, category = null, slot = null, replaces = null, onUploaded }) {
   const [items, setItems] = useState([]);
   const queryClient = useQueryClient();
 
@@ -48,6 +50,12 @@ export function FileDropzone({ projectId, isActiveRenderingUpload = false, categ
       if (category) {
         formData.append('category', category);
       }
+      if (slot) {
+        formData.append('definitionId', slot.id);
+      }
+      if (replaces) {
+        formData.append('replacesUploadId', replaces.id);
+      }
       const { data } = await axios.post(`/projects/${projectId}/uploads`, formData, {
         headers: { 'Content-Type': 'multipart/form-data' }
       });
@@ -56,12 +64,33 @@ export function FileDropzone({ projectId, isActiveRenderingUpload = false, categ
     onSuccess: () => {
       setItems([]);
       queryClient.invalidateQueries(['uploads', projectId]);
+      queryClient.invalidateQueries(['uploadSlots', projectId]);
+      queryClient.invalidateQueries(['reviews', projectId]);
+      queryClient.invalidateQueries(['stages', projectId]);
+      queryClient.invalidateQueries(['uploadVersions', projectId]);
+      onUploaded?.();
+    },
+    onError: (error) => {
+      alert(`Upload failed: ${error.response?.data?.error || error.message}`);
     }
   });
 
+  const acceptedTypes = slot?.acceptedTypes ?? [];
+  // react-dropzone wants { mimeType: [extensions] }; the server re-checks every file anyway
+  const accept = acceptedTypes.length > 0
+    ? acceptedTypes.reduce((map, type) => {
+        if (type.includes('/')) return { ...map, [type]: [] };
+        const extension = type.replace(/^\./, '').toLowerCase();
+        const extensions = [...(map['application/octet-stream'] ?? []), `.${extension}`];
+        if (extension === 'jpg') extensions.push('.jpeg');
+        return { ...map, 'application/octet-stream': extensions };
+      }, {})
+    : undefined;
+
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    multiple: true,
+    accept,
+    multiple: !replaces && (!slot || slot.maxFiles > 1),
     maxSize: 50 * 1024 * 1024
   });
 
@@ -76,7 +105,11 @@ export function FileDropzone({ projectId, isActiveRenderingUpload = false, categ
       >
         <input {...getInputProps()} />
         <p className="text-sm text-slate-500">Drag & drop files here, or click to browse</p>
-        <p className="text-xs text-slate-400 mt-2">PDF, DOCX, PNG up to 50MB each</p>
+        <p className="text-xs text-slate-400 mt-2">
+          {acceptedTypes.length > 0
+            ? `${acceptedTypes.map(type => type.replace(/^\./, '').toUpperCase()).join(', ')} up to 50MB each`
+            : 'PDF, DOCX, PNG up to 50MB each'}
+        </p>
       </section>
 
       {items.length > 0 && (
@@ -103,7 +136,7 @@ export function FileDropzone({ projectId, isActiveRenderingUpload = false, categ
                     className="rounded-md border border-slate-200 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none w-full"
                     value={item.label}
                     onChange={event => updateItem(item.id, { label: event.target.value })}
-                    placeholder="Document type"
+                    placeholder={replaces?.label || 'Document type'}
                   />
                 </label>
                 <label className="flex flex-col text-sm text-slate-700 gap-1 min-w-0">
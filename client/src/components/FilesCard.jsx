@@ -2,6 +2,8 @@ import { useQuery } from '@tanstack/react-query';
 import { useMemo } from 'react';
 import axios from 'axios';
 import clsx from 'clsx';
+import { openSignedDownload } from './signedDownload.js';
+import { UploadPreview } from './UploadPreview.jsx';
 
 export function FilesCard({ projectId, onDeleteFile }) {
   const { data, refetch } = useQuery({
@@ -31,33 +33,10 @@ export function FilesCard({ projectId, onDeleteFile }) {
 
   const handleDownload = async file => {
     try {
-      const response = await axios.get(`/projects/${projectId}/uploads/${file.id}`, {
-        responseType: 'blob'
-      });
-      const contentType = response.headers['content-type'] ?? file.contentType ?? 'application/octet-stream';
-      const blob = new Blob([response.data], { type: contentType });
-      let filename = file.fileName ?? 'download';
-      const disposition = response.headers['content-disposition'];
-      if (disposition) {
-        const match = disposition.match(/filename\*=UTF-8''(.+)|filename="?(.*?)"?$/);
-        if (match) {
-          filename = decodeURIComponent(match[1] ?? match[2] ?? filename);
-        }
-      }
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = filename;
-      link.rel = 'noopener noreferrer';
-      document.body.appendChild(link);
-      link.click();
-      setTimeout(() => {
-        document.body.removeChild(link);
-        window.URL.revokeObjectURL(url);
-      }, 0);
+      await openSignedDownload(`/projects/${projectId}/uploads/${file.id}/download-url`);
     } catch (error) {
       console.error('Download failed', error);
-      window.alert('Unable to download that file. Please try again or refresh the page.');
+      window.alert(error.response?.data?.error || 'Unable to download that file. Please try again or refresh the page.');
     }
   };
 
@@ -88,6 +67,7 @@ export function FilesCard({ projectId, onDeleteFile }) {
       <div className="space-y-3">
         {activeRenderingFiles.map(file => (
           <article key={file.id} className="flex flex-col gap-3 rounded-xl border border-slate-200 px-4 py-3 bg-gradient-to-r from-indigo-50 to-white">
+            <UploadPreview projectId={projectId} file={file} className="aspect-video w-full" />
             <div className="flex-1 min-w-0">
               <p className="text-sm font-semibold text-slate-800 truncate break-all" title={file.fileName}>
                 {file.fileName}
@@ -1,5 +1,6 @@
 import clsx from 'clsx';
 import { useState } from 'react';
+import { openSignedDownload } from './signedDownload.js';
 
 export function InvoicesCard({ invoices = [], canEdit = false, onTogglePayment, onCreateInvoice, onDeleteInvoice, isUpdating = false, projectId }) {
   const [showUploadForm, setShowUploadForm] = useState(false);
@@ -44,48 +45,11 @@ export function InvoicesCard({ invoices = [], canEdit = false, onTogglePayment,
 
   const handleDownload = async (invoiceId, fileName) => {
     try {
-      const token = localStorage.getItem('token');
-      const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
-      
-      console.log('[INVOICE] Downloading invoice:', invoiceId, 'from project:', projectId);
-      
-      const response = await fetch(`${API_URL}/projects/${projectId}/invoices/${invoiceId}/download`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      
-      if (!response.ok) {
-        let errorMessage = `Download failed with status ${response.status}`;
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.error || errorMessage;
-        } catch {
-          const errorText = await response.text();
-          errorMessage = errorText || errorMessage;
-        }
-        console.error('[INVOICE] Download failed:', response.status, errorMessage);
-        throw new Error(errorMessage);
-      }
-      
-      const blob = await response.blob();
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = fileName || `invoice-${invoiceId}.pdf`;
-      document.body.appendChild(a);
-      a.click();
-      
-      console.log('[INVOICE] ✅ Download successful:', fileName);
-      
-      // Cleanup
-      setTimeout(() => {
-        window.URL.revokeObjectURL(url);
-        document.body.removeChild(a);
-      }, 100);
+      console.log('[INVOICE] Downloading invoice:', invoiceId, fileName, 'from project:', projectId);
+      await openSignedDownload(`/projects/${projectId}/invoices/${invoiceId}/download-url`);
     } catch (error) {
       console.error('[INVOICE] Download error:', error);
-      alert('Failed to download invoice:\n\n' + error.message);
+      alert('Failed to download invoice:\n\n' + (error.response?.data?.error || error.message));
     }
   };
 
@@ -0,0 +1,70 @@
+import { useMemo, useState } from 'react';
+
+const MAX_SUGGESTIONS = 5;
+
+// Text input that offers project members when the word being typed starts with "@"
+export function MentionInput({ value, onChange, members = [], className, placeholder, autoFocus = false }) {
+  const [dismissed, setDismissed] = useState(false);
+
+  const query = useMemo(() => {
+    const match = value.match(/(^|\s)@([^\s@]*)$/);
+    return match ? match[2].toLowerCase() : null;
+  }, [value]);
+
+  const suggestions = useMemo(() => {
+    if (query === null || dismissed) return [];
+    return members
+      .filter(member => (member.displayName ?? '').toLowerCase().startsWith(query))
+      .slice(0, MAX_SUGGESTIONS);
+  }, [members, query, dismissed]);
+
+  const pickMember = member => {
+    onChange(value.replace(/@([^\s@]*)$/, `@${member.displayName} `));
+  };
+
+  const handleChange = event => {
+    setDismissed(false);
+    onChange(event.target.value);
+  };
+
+  const handleKeyDown = event => {
+    if (suggestions.length === 0) return;
+    if (event.key === 'Escape') {
+      setDismissed(true);
+    } else if (event.key === 'Tab') {
+      event.preventDefault();
+      pickMember(suggestions[0]);
+    }
+  };
+
+  return (
+    <div className="relative flex-1">
+      <input
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        className={className}
+        placeholder={placeholder}
+        autoComplete="off"
+        autoFocus={autoFocus}
+      />
+      {suggestions.length > 0 && (
+        <ul className="absolute bottom-full left-0 z-20 mb-2 w-56 overflow-hidden rounded-xl border border-slate-200 bg-white text-sm text-slate-700 shadow-lg">
+          {suggestions.map(member => (
+            <li key={member.id}>
+              <button
+                type="button"
+                onMouseDown={event => event.preventDefault()}
+                onClick={() => pickMember(member)}
+                className="flex w-full items-center justify-between px-3 py-2 text-left hover:bg-indigo-50"
+              >
+                <span>{member.displayName}</span>
+                {member.role && <span className="text-[11px] uppercase text-slate-400">{member.role}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
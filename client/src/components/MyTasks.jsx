@@ -0,0 +1,159 @@
+import { useMemo, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import clsx from 'clsx';
+
+const taskLabelMap = {
+  not_started: 'Not Started',
+  in_progress: 'In Progress',
+  blocked: 'Blocked',
+  needs_review: 'Needs Review',
+  completed: 'Completed'
+};
+
+const isOverdue = task => {
+  if (!task.dueDate || task.state === 'completed') return false;
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return new Date(task.dueDate) < today;
+};
+
+export function MyTasks({ canEdit = false, onOpenProject }) {
+  const queryClient = useQueryClient();
+  const [includeCompleted, setIncludeCompleted] = useState(false);
+
+  const { data: tasks = [], isLoading, isError } = useQuery({
+    queryKey: ['myTasks', includeCompleted],
+    queryFn: async () => {
+      const { data } = await axios.get('/me/tasks', {
+        params: includeCompleted ? { includeCompleted: true } : undefined
+      });
+      return data.tasks;
+    }
+  });
+
+  const statusMutation = useMutation({
+    mutationFn: ({ task, state }) =>
+      axios.patch(`/projects/${task.project.id}/stages/${task.stage.id}/tasks/${task.id}`, { state }),
+    onSuccess: (_data, { task }) => {
+      queryClient.invalidateQueries(['myTasks']);
+      queryClient.invalidateQueries(['stages', task.project.id]);
+    },
+    onError: error => {
+      console.error('[MyTasks] Failed to update task:', error);
+      alert(error.response?.data?.error || 'Failed to update task');
+    }
+  });
+
+  // Tasks arrive sorted by due date; keep that order within each project group
+  const groups = useMemo(() => {
+    const byProject = new Map();
+    tasks.forEach(task => {
+      if (!byProject.has(task.project.id)) {
+        byProject.set(task.project.id, { project: task.project, tasks: [] });
+      }
+      byProject.get(task.project.id).tasks.push(task);
+    });
+    return [...byProject.values()];
+  }, [tasks]);
+
+  const overdueCount = tasks.filter(isOverdue).length;
+
+  return (
+    <section className="space-y-6">
+      <header className="flex flex-wrap items-center justify-between gap-4 rounded-2xl bg-white p-6 shadow-sm border border-slate-200">
+        <div>
+          <h2 className="text-xl font-semibold text-slate-900">My Tasks</h2>
+          <p className="text-sm text-slate-500">
+            {tasks.length} task{tasks.length === 1 ? '' : 's'} assigned to you
+            {overdueCount > 0 && <span className="font-semibold text-rose-600"> · {overdueCount} overdue</span>}
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-slate-600">
+          <input
+            type="checkbox"
+            checked={includeCompleted}
+            onChange={event => setIncludeCompleted(event.target.checked)}
+            className="h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+          />
+          Show completed
+        </label>
+      </header>
+
+      {isLoading && <p className="text-sm text-slate-500">Loading your tasks…</p>}
+      {isError && <p className="text-sm text-rose-600">Unable to load your tasks.</p>}
+      {!isLoading && !isError && groups.length === 0 && (
+        <p className="rounded-2xl border border-dashed border-slate-300 bg-white p-6 text-sm text-slate-500">
+          Nothing assigned to you right now.
+        </p>
+      )}
+
+      {groups.map(group => (
+        <article key={group.project.id} className="rounded-2xl border border-slate-200 bg-white p-5 shadow-sm space-y-4">
+          <header className="flex flex-wrap items-center justify-between gap-3">
+            <div>
+              <p className="text-xs uppercase tracking-wide text-slate-400">Project</p>
+              <h3 className="text-lg font-semibold text-slate-900">{group.project.name}</h3>
+            </div>
+            {onOpenProject && (
+              <button
+                type="button"
+                onClick={() => onOpenProject(group.project.id)}
+                className="inline-flex items-center justify-center rounded-full border border-slate-300 px-4 py-1.5 text-xs font-semibold uppercase tracking-wide text-slate-600 hover:border-slate-400"
+              >
+                Open project
+              </button>
+            )}
+          </header>
+
+          <ul className="space-y-3">
+            {group.tasks.map(task => {
+              const overdue = isOverdue(task);
+              return (
+                <li
+                  key={task.id}
+                  className={clsx(
+                    'flex flex-wrap items-center justify-between gap-3 rounded-lg border px-4 py-3',
+                    overdue ? 'border-rose-200 bg-rose-50' : 'border-slate-200 bg-slate-50'
+                  )}
+                >
+                  <div className="min-w-0">
+                    <p className={clsx('font-medium', task.state === 'completed' ? 'text-slate-400 line-through' : 'text-slate-700')}>
+                      {task.title}
+                    </p>
+                    <div className="mt-1 flex flex-wrap gap-x-3 gap-y-1 text-xs text-slate-500">
+                      <span>{task.stage.name}</span>
+                      {task.dueDate && (
+                        <span className={clsx(overdue && 'font-semibold text-rose-600')}>
+                          📅 Due {new Date(task.dueDate).toLocaleDateString()}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  {canEdit ? (
+                    <select
+                      value={task.state}
+                      disabled={statusMutation.isPending}
+                      onChange={event => statusMutation.mutate({ task, state: event.target.value })}
+                      className="rounded-md border border-slate-300 px-2 py-1 text-xs focus:border-indigo-500 focus:outline-none"
+                    >
+                      {Object.entries(taskLabelMap).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span className="rounded-full bg-slate-100 px-3 py-1 text-xs font-semibold text-slate-600">
+                      {taskLabelMap[task.state] ?? task.state}
+                    </span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </article>
+      ))}
+    </section>
+  );
+}
@@ -11,6 +11,7 @@ const taskLabelMap = {
   not_started: 'Not Started',
   in_progress: 'In Progress',
   blocked: 'Blocked',
+  needs_review: 'Needs Review',
   completed: 'Completed'
 };
 
@@ -37,7 +38,7 @@ const getDefaultDueDate = () => {
   return date.toISOString().split('T')[0]; // Format as YYYY-MM-DD
 };
 
-const emptyDraft = () => ({ title: '', dueDate: getDefaultDueDate(), assignee: '' });
+const emptyDraft = () => ({ title: '', dueDate: getDefaultDueDate(), assigneeId: '' });
 
 export function ProgressStages({
   stages = [],
@@ -49,7 +50,8 @@ export function ProgressStages({
   onTaskStatusChange,
   onTaskCreate,
   onTaskDelete,
-  onTaskUpdate
+  onTaskUpdate,
+  members = []
 }) {
   if (!stages.length) return null;
 
@@ -91,7 +93,8 @@ export function ProgressStages({
       stageId: task.stageId,
       title: task.title,
       dueDate: task.dueDate ? formatDateForInput(task.dueDate) : '',
-      assignee: task.assignee || ''
+      assigneeId: task.assigneeId || '',
+      dependsOn: task.dependsOn ?? []
     });
   };
 
@@ -100,7 +103,8 @@ export function ProgressStages({
       onTaskUpdate?.(stageId, taskId, {
         title: editingTask.title,
         dueDate: editingTask.dueDate,
-        assignee: editingTask.assignee
+        assigneeId: editingTask.assigneeId || null,
+        dependsOn: editingTask.dependsOn
       });
       setEditingTask(null);
     }
@@ -114,6 +118,19 @@ export function ProgressStages({
     setEditingTask(prev => ({ ...prev, ...updates }));
   };
 
+  const assigneeOptions = [
+    <option key="unassigned" value="">Unassigned</option>,
+    ...members.map(member => (
+      <option key={member.userId} value={member.userId}>
+        {(member.user ?? member).displayName}
+      </option>
+    ))
+  ];
+
+  const tasksById = new Map(stages.flatMap(stage => stage.tasks ?? []).map(task => [task.id, task]));
+  const openPredecessorsOf = task =>
+    (task.dependsOn ?? []).map(id => tasksById.get(id)).filter(predecessor => predecessor && predecessor.state !== 'completed');
+
   const completed = stages.filter(stage => stage.status === 'completed').length;
   const percentFallback = Math.round((completed / stages.length) * 100) || 0;
   const percent = progressSummary?.percentComplete ?? percentFallback;
@@ -243,15 +260,41 @@ export function ProgressStages({
                           </div>
                           <div>
                             <label className="block text-xs font-medium text-slate-600 mb-1">Assignee</label>
-                            <input
-                              type="text"
-                              value={editingTask.assignee}
-                              onChange={e => updateEditingTask({ assignee: e.target.value })}
+                            <select
+                              value={editingTask.assigneeId}
+                              onChange={e => updateEditingTask({ assigneeId: e.target.value })}
                               className="w-full rounded-md border border-slate-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none"
-                              placeholder="Enter assignee name"
-                            />
+                            >
+                              {assigneeOptions}
+                            </select>
                           </div>
                         </div>
+                        <div>
+                          <label className="block text-xs font-medium text-slate-600 mb-1">Depends On</label>
+                          <select
+                            multiple
+                            value={editingTask.dependsOn}
+                            onChange={e => updateEditingTask({
+                              dependsOn: Array.from(e.target.selectedOptions, option => option.value)
+                            })}
+                            className="h-28 w-full rounded-md border border-slate-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none"
+                          >
+                            {stages.map(optionStage => (
+                              <optgroup key={optionStage.id} label={optionStage.name}>
+                                {(optionStage.tasks ?? [])
+                                  .filter(candidate => candidate.id !== task.id)
+                                  .map(candidate => (
+                                    <option key={candidate.id} value={candidate.id}>
+                                      {candidate.title}
+                                    </option>
+                                  ))}
+                              </optgroup>
+                            ))}
+                          </select>
+                          <p className="mt-1 text-[11px] text-slate-400">
+                            Hold Ctrl or ⌘ to pick several. The task stays blocked until these are completed.
+                          </p>
+                        </div>
                         <div className="flex gap-2">
                           <button
                             type="button"
@@ -281,9 +324,11 @@ export function ProgressStages({
                                   ? 'border-emerald-300 bg-emerald-50 text-emerald-600'
                                   : task.state === 'blocked'
                                     ? 'border-rose-300 bg-rose-50 text-rose-600'
-                                    : task.state === 'in_progress'
-                                      ? 'border-amber-300 bg-amber-50 text-amber-700'
-                                      : 'border-slate-300 bg-white text-slate-600'
+                                    : task.state === 'needs_review'
+                                      ? 'border-violet-300 bg-violet-50 text-violet-600'
+                                      : task.state === 'in_progress'
+                                        ? 'border-amber-300 bg-amber-50 text-amber-700'
+                                        : 'border-slate-300 bg-white text-slate-600'
                               )}
                             >
                               {task.state === 'completed' ? '✓' : ''}
@@ -296,12 +341,17 @@ export function ProgressStages({
                                     📅 Due {new Date(task.dueDate).toLocaleDateString()}
                                   </p>
                                 )}
-                                {task.assignee && (
+                                {(task.assignedTo || task.assignee) && (
                                   <p className="text-xs text-slate-500">
-                                    👤 {task.assignee}
+                                    👤 {task.assignedTo?.displayName ?? task.assignee}
                                   </p>
                                 )}
                               </div>
+                              {openPredecessorsOf(task).length > 0 && (
+                                <p className="mt-1 text-xs text-rose-600">
+                                  ⛓ Waiting on {openPredecessorsOf(task).map(predecessor => predecessor.title).join(', ')}
+                                </p>
+                              )}
                               {task.isOverdue && (
                                 <p className="flex items-center gap-1 text-[11px] font-semibold uppercase tracking-wide text-rose-600 mt-1">
                                   <span aria-hidden>⏰</span> Overdue
@@ -391,12 +441,13 @@ export function ProgressStages({
                       </div>
                       <div>
                         <label className="block text-xs font-medium text-slate-600 mb-1">Assignee</label>
-                        <input
-                          value={getDraft(stage.id).assignee}
-                          onChange={event => updateDraft(stage.id, { assignee: event.target.value })}
+                        <select
+                          value={getDraft(stage.id).assigneeId}
+                          onChange={event => updateDraft(stage.id, { assigneeId: event.target.value })}
                           className="w-full rounded-md border border-slate-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none"
-                          placeholder="Enter assignee name"
-                        />
+                        >
+                          {assigneeOptions}
+                        </select>
                       </div>
                     </div>
                   </div>
@@ -1,71 +1,367 @@
-import { useEffect, useRef } from 'react';
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { useDropzone } from 'react-dropzone';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
 import clsx from 'clsx';
 import { useProjectSocket } from '../hooks/useProjectSocket.js';
+import { useProjectPresence } from '../hooks/useProjectPresence.js';
+import { ChatAttachment, attachmentKind } from './ChatAttachment.jsx';
+import { ChatMessage } from './ChatMessage.jsx';
+import { MentionInput } from './MentionInput.jsx';
 
-export function ProjectChat({ projectId, token, currentUser }) {
-  const { messages, sendMessage, markRead, badge } = useProjectSocket({ projectId, token });
+export function ProjectChat({ projectId, token, currentUser, members = [] }) {
+  const {
+    messages,
+    sendMessage,
+    retryMessage,
+    discardMessage,
+    editMessage,
+    deleteMessage,
+    markRead,
+    badge,
+    connected,
+    typingUsers,
+    notifyTyping,
+    hasOlder,
+    loadingOlder,
+    loadOlder
+  } = useProjectSocket({
+    projectId,
+    token,
+    userId: currentUser?.id
+  });
+  const { viewers } = useProjectPresence({ projectId, token });
+  const otherViewers = viewers.filter(viewer => viewer.id !== currentUser?.id);
+  const canModerate = currentUser?.role === 'owner';
+  const mentionableMembers = useMemo(
+    () =>
+      members
+        .map(member => member.user ?? member)
+        .filter(member => member?.id && member.id !== currentUser?.id),
+    [members, currentUser?.id]
+  );
+  const [draft, setDraft] = useState('');
   const listRef = useRef(null);
+  const lastMessageKeyRef = useRef(null);
+  const restoreScrollRef = useRef(null);
+  const [searchDraft, setSearchDraft] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [draftAttachments, setDraftAttachments] = useState([]);
+  const queryClient = useQueryClient();
+
+  // Shares the cache with ProjectFilesCard so newly dropped files show up there too
+  const { data: projectUploads } = useQuery({
+    queryKey: ['uploads', projectId],
+    queryFn: async () => {
+      const { data } = await axios.get(`/projects/${projectId}/uploads`);
+      return data.uploads ?? [];
+    },
+    enabled: Boolean(projectId)
+  });
+
+  const addDraftAttachments = attachments => {
+    setDraftAttachments(prev => {
+      const known = new Set(prev.map(attachment => attachment.id));
+      const next = attachments
+        .filter(attachment => !known.has(attachment.id))
+        .map(attachment => ({ ...attachment, kind: attachmentKind(attachment.fileName) }));
+      return [...prev, ...next];
+    });
+  };
+
+  const uploadMutation = useMutation({
+    mutationFn: async files => {
+      const formData = new FormData();
+      files.forEach(file => formData.append('files', file));
+      formData.append('meta', JSON.stringify(files.map(() => ({ label: '', remarks: '', requiresReview: false }))));
+      const { data } = await axios.post(`/projects/${projectId}/uploads`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      return data.uploaded ?? [];
+    },
+    onSuccess: uploaded => {
+      addDraftAttachments(
+        uploaded.map(upload => ({ id: upload.id, fileName: upload.originalFilename }))
+      );
+      queryClient.invalidateQueries(['uploads', projectId]);
+    }
+  });
+
+  const onDrop = useCallback(
+    acceptedFiles => {
+      if (acceptedFiles.length > 0) uploadMutation.mutate(acceptedFiles);
+    },
+    [uploadMutation]
+  );
+
+  const { getRootProps, getInputProps, isDragActive, open: openFilePicker } = useDropzone({
+    onDrop,
+    multiple: true,
+    noClick: true,
+    noKeyboard: true,
+    maxSize: 50 * 1024 * 1024
+  });
+
+  const { data: searchResults, isFetching: searching, isError: searchFailed } = useQuery({
+    queryKey: ['messageSearch', projectId, searchTerm],
+    queryFn: async () => {
+      const { data } = await axios.get(`/projects/${projectId}/messages/search`, { params: { q: searchTerm } });
+      return data.messages ?? [];
+    },
+    enabled: Boolean(projectId && searchTerm)
+  });
 
   useEffect(() => {
-    if (listRef.current) {
-      listRef.current.scrollTo({ top: listRef.current.scrollHeight, behavior: 'smooth' });
+    setSearchDraft('');
+    setSearchTerm('');
+    setDraftAttachments([]);
+    setDraft('');
+  }, [projectId]);
+
+  useLayoutEffect(() => {
+    const list = listRef.current;
+    if (!list) return;
+    // Keep the viewport anchored when older messages are prepended
+    if (restoreScrollRef.current !== null) {
+      list.scrollTop = list.scrollHeight - restoreScrollRef.current;
+      restoreScrollRef.current = null;
+      return;
+    }
+    const last = messages[messages.length - 1];
+    const lastKey = last ? last.id ?? last.clientMessageId : null;
+    if (lastKey !== lastMessageKeyRef.current) {
+      lastMessageKeyRef.current = lastKey;
+      list.scrollTo({ top: list.scrollHeight, behavior: 'smooth' });
     }
+  }, [messages]);
+
+  useEffect(() => {
     markRead();
   }, [messages, markRead]);
 
+  const handleLoadOlder = () => {
+    if (listRef.current) {
+      restoreScrollRef.current = listRef.current.scrollHeight - listRef.current.scrollTop;
+    }
+    loadOlder();
+  };
+
   const handleSubmit = event => {
     event.preventDefault();
-    const form = new FormData(event.currentTarget);
-    const body = form.get('message');
-    if (!body) return;
-    sendMessage(body);
-    event.currentTarget.reset();
+    const body = draft.trim();
+    if (!body && draftAttachments.length === 0) return;
+    sendMessage(body, draftAttachments);
+    setDraftAttachments([]);
+    setDraft('');
+  };
+
+  const handleDraftChange = value => {
+    setDraft(value);
+    if (value) notifyTyping();
+  };
+
+  const handleReply = (parentId, body) => {
+    sendMessage(body, [], parentId);
+  };
+
+  const handleAttachExisting = event => {
+    const upload = (projectUploads ?? []).find(item => item.id === event.target.value);
+    if (upload) addDraftAttachments([{ id: upload.id, fileName: upload.fileName }]);
+    event.target.value = '';
+  };
+
+  const removeDraftAttachment = id => {
+    setDraftAttachments(prev => prev.filter(attachment => attachment.id !== id));
+  };
+
+  const handleSearchSubmit = event => {
+    event.preventDefault();
+    setSearchTerm(searchDraft.trim());
+  };
+
+  const clearSearch = () => {
+    setSearchDraft('');
+    setSearchTerm('');
   };
 
   return (
-    <section className="flex flex-col rounded-2xl bg-white shadow-sm border border-slate-200">
-      <header className="flex items-center justify-between border-b border-slate-200 px-6 py-4">
+    <section
+      {...getRootProps()}
+      className={clsx(
+        'relative flex flex-col rounded-2xl bg-white shadow-sm border',
+        isDragActive ? 'border-indigo-500' : 'border-slate-200'
+      )}
+    >
+      <input {...getInputProps()} />
+      {isDragActive && (
+        <div className="pointer-events-none absolute inset-0 z-10 flex items-center justify-center rounded-2xl bg-indigo-50/90 text-sm font-semibold text-indigo-600">
+          Drop files to share them in this chat
+        </div>
+      )}
+      <header className="flex flex-wrap items-center justify-between gap-3 border-b border-slate-200 px-6 py-4">
         <div>
           <h3 className="text-base font-semibold text-slate-900">Project Messaging</h3>
-          <p className="text-sm text-slate-500">Real-time chat with your EC team</p>
+          <p className="text-sm text-slate-500">
+            {otherViewers.length > 0
+              ? `Viewing now: ${otherViewers.map(viewer => viewer.displayName).join(', ')}`
+              : 'Real-time chat with your EC team'}
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <form onSubmit={handleSearchSubmit} className="flex items-center gap-2">
+            <input
+              type="search"
+              value={searchDraft}
+              onChange={event => setSearchDraft(event.target.value)}
+              className="w-40 rounded-full border border-slate-200 px-3 py-1 text-xs focus:border-indigo-500 focus:outline-none"
+              placeholder="Search messages…"
+              aria-label="Search messages"
+            />
+            {searchTerm && (
+              <button
+                type="button"
+                onClick={clearSearch}
+                className="text-xs font-semibold text-slate-500 hover:text-indigo-600"
+              >
+                Clear
+              </button>
+            )}
+          </form>
+          {badge > 0 && (
+            <span className="inline-flex items-center justify-center rounded-full bg-rose-500 px-3 py-1 text-xs font-semibold text-white">
+              {badge} new
+            </span>
+          )}
         </div>
-        {badge > 0 && (
-          <span className="inline-flex items-center justify-center rounded-full bg-rose-500 px-3 py-1 text-xs font-semibold text-white">
-            {badge} new
-          </span>
-        )}
       </header>
-      <div ref={listRef} className="flex-1 space-y-3 overflow-y-auto px-6 py-4">
-        {messages.length === 0 && (
-          <p className="text-sm text-slate-500">No messages yet. Start the conversation!</p>
-        )}
-        {messages.map(message => {
-          const isCurrentUser = message.author?.id === currentUser?.id || message.author?.displayName === 'You';
-          return (
-            <article
-              key={message.id ?? message.clientMessageId}
-              className={clsx(
-                'max-w-sm rounded-2xl px-4 py-3 text-sm shadow-sm',
-                isCurrentUser ? 'ml-auto bg-indigo-500 text-white' : 'bg-slate-100 text-slate-800'
-              )}
-            >
-              <div className="mb-1 flex items-center justify-between text-xs opacity-80">
-                <span>{message.author?.displayName ?? 'You'}</span>
-                <time>{new Date(message.createdAt ?? Date.now()).toLocaleTimeString()}</time>
+      {searchTerm ? (
+        <div className="flex-1 space-y-3 overflow-y-auto px-6 py-4">
+          <p className="text-xs uppercase tracking-wide text-slate-400">
+            {searching ? 'Searching…' : `Results for “${searchTerm}”`}
+          </p>
+          {searchFailed && <p className="text-sm text-rose-600">Search failed. Please try again.</p>}
+          {!searching && !searchFailed && (searchResults ?? []).length === 0 && (
+            <p className="text-sm text-slate-500">No messages match that search.</p>
+          )}
+          {(searchResults ?? []).map(result => (
+            <article key={result.id} className="rounded-xl border border-slate-200 bg-slate-50 px-4 py-3 text-sm">
+              <div className="mb-1 flex items-center justify-between text-xs text-slate-500">
+                <span>{result.author?.displayName ?? 'Someone'}</span>
+                <time>{new Date(result.createdAt).toLocaleString()}</time>
               </div>
-              <p>{message.body}</p>
-              {message.pending && <p className="mt-2 text-[11px] opacity-70">Sending…</p>}
+              {result.body && <p className="text-slate-800">{result.body}</p>}
+              {result.attachments?.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {result.attachments.map(attachment => (
+                    <ChatAttachment key={attachment.id} projectId={projectId} attachment={attachment} />
+                  ))}
+                </div>
+              )}
             </article>
-          );
-        })}
-      </div>
+          ))}
+        </div>
+      ) : (
+        <div ref={listRef} className="flex-1 space-y-3 overflow-y-auto px-6 py-4">
+          {hasOlder && (
+            <div className="flex justify-center">
+              <button
+                type="button"
+                onClick={handleLoadOlder}
+                disabled={loadingOlder}
+                className="rounded-full border border-slate-200 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-slate-600 hover:border-indigo-300 hover:text-indigo-600"
+              >
+                {loadingOlder ? 'Loading…' : 'Load older messages'}
+              </button>
+            </div>
+          )}
+          {messages.length === 0 && (
+            <p className="text-sm text-slate-500">No messages yet. Start the conversation!</p>
+          )}
+          {messages.map(message => (
+            <ChatMessage
+              key={message.id ?? message.clientMessageId}
+              projectId={projectId}
+              message={message}
+              currentUser={currentUser}
+              canModerate={canModerate}
+              members={mentionableMembers}
+              onReply={handleReply}
+              onEdit={editMessage}
+              onDelete={deleteMessage}
+              onRetry={retryMessage}
+              onDiscard={discardMessage}
+            />
+          ))}
+        </div>
+      )}
       <form onSubmit={handleSubmit} className="border-t border-slate-200 px-6 py-4">
+        {!connected && (
+          <p className="mb-2 rounded-lg bg-amber-50 px-3 py-2 text-xs text-amber-700">
+            You're offline. New messages are saved and will send when the connection returns.
+          </p>
+        )}
+        {typingUsers.length > 0 && (
+          <p className="mb-2 text-xs italic text-slate-500">
+            {typingUsers.map(typingUser => typingUser.displayName).join(', ')}{' '}
+            {typingUsers.length === 1 ? 'is' : 'are'} typing…
+          </p>
+        )}
+        {(draftAttachments.length > 0 || uploadMutation.isPending) && (
+          <div className="mb-3 flex flex-wrap items-center gap-2">
+            {draftAttachments.map(attachment => (
+              <span
+                key={attachment.id}
+                className="inline-flex items-center gap-2 rounded-full bg-slate-100 px-3 py-1 text-xs text-slate-700"
+              >
+                <span className="max-w-[12rem] truncate">{attachment.fileName}</span>
+                <button
+                  type="button"
+                  onClick={() => removeDraftAttachment(attachment.id)}
+                  className="text-slate-400 hover:text-rose-500"
+                  aria-label={`Remove ${attachment.fileName}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+            {uploadMutation.isPending && <span className="text-xs text-slate-500">Uploading…</span>}
+          </div>
+        )}
+        {uploadMutation.isError && (
+          <p className="mb-3 text-xs text-rose-600">Upload failed. Please try again.</p>
+        )}
         <div className="flex gap-3">
-          <input
-            name="message"
-            className="flex-1 rounded-full border border-slate-200 px-4 py-2 text-sm focus:border-indigo-500 focus:outline-none"
-            placeholder="Write a message…"
-            autoComplete="off"
+          <button
+            type="button"
+            onClick={openFilePicker}
+            className="rounded-full border border-slate-200 px-3 py-2 text-xs font-semibold text-slate-600 hover:border-indigo-300 hover:text-indigo-600"
+            title="Upload files to this chat"
+          >
+            Attach
+          </button>
+          {(projectUploads ?? []).length > 0 && (
+            <select
+              defaultValue=""
+              onChange={handleAttachExisting}
+              className="max-w-[10rem] rounded-full border border-slate-200 px-3 py-2 text-xs text-slate-600 focus:border-indigo-500 focus:outline-none"
+              aria-label="Attach an existing project file"
+            >
+              <option value="" disabled>
+                Project file…
+              </option>
+              {projectUploads.map(upload => (
+                <option key={upload.id} value={upload.id}>
+                  {upload.fileName}
+                </option>
+              ))}
+            </select>
+          )}
+          <MentionInput
+            value={draft}
+            onChange={handleDraftChange}
+            members={mentionableMembers}
+            className="w-full rounded-full border border-slate-200 px-4 py-2 text-sm focus:border-indigo-500 focus:outline-none"
+            placeholder="Write a message… use @ to mention someone"
           />
           <button
             type="submit"
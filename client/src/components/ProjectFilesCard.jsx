@@ -1,8 +1,11 @@
 import { useQuery } from '@tanstack/react-query';
-import { useMemo } from 'react';
+import { useMemo, useState } from 'react';
 import axios from 'axios';
 import clsx from 'clsx';
+import { openSignedDownload } from './signedDownload.js';
 import { FileDropzone } from './FileDropzone.jsx';
+import { UploadVersionHistory } from './UploadVersionHistory.jsx';
+import { UploadPreview } from './UploadPreview.jsx';
 
 const FILE_CATEGORIES = [
   { id: 'invoices', label: 'Invoices & Estimates' },
@@ -12,6 +15,12 @@ const FILE_CATEGORIES = [
   { id: 'prebuild', label: 'Pre-build' }
 ];
 
+const REVIEW_BADGES = {
+  pending: { label: 'Awaiting Review', className: 'bg-amber-100 text-amber-700' },
+  approved: { label: 'Approved', className: 'bg-emerald-100 text-emerald-700' },
+  changes_requested: { label: 'Changes Requested', className: 'bg-rose-100 text-rose-700' }
+};
+
 // Keywords to categorize files automatically
 const CATEGORY_KEYWORDS = {
   invoices: ['invoice', 'estimate', 'budget', 'payment', 'receipt'],
@@ -42,6 +51,11 @@ function categorizeFile(file) {
 }
 
 export function ProjectFilesCard({ projectId, canUpload = false, onDeleteFile }) {
+  // { fileId, mode: 'history' | 'upload' } for the file whose version panel is open
+  const [versionPanel, setVersionPanel] = useState(null);
+  const toggleVersionPanel = (fileId, mode) =>
+    setVersionPanel(current => (current?.fileId === fileId && current.mode === mode ? null : { fileId, mode }));
+
   const { data } = useQuery({
     queryKey: ['uploads', projectId],
     queryFn: async () => {
@@ -81,33 +95,10 @@ export function ProjectFilesCard({ projectId, canUpload = false, onDeleteFile })
 
   const handleDownload = async file => {
     try {
-      const response = await axios.get(`/projects/${projectId}/uploads/${file.id}`, {
-        responseType: 'blob'
-      });
-      const contentType = response.headers['content-type'] ?? file.contentType ?? 'application/octet-stream';
-      const blob = new Blob([response.data], { type: contentType });
-      let filename = file.fileName ?? 'download';
-      const disposition = response.headers['content-disposition'];
-      if (disposition) {
-        const match = disposition.match(/filename\*=UTF-8''(.+)|filename="?(.*?)"?$/);
-        if (match) {
-          filename = decodeURIComponent(match[1] ?? match[2] ?? filename);
-        }
-      }
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = filename;
-      link.rel = 'noopener noreferrer';
-      document.body.appendChild(link);
-      link.click();
-      setTimeout(() => {
-        document.body.removeChild(link);
-        window.URL.revokeObjectURL(url);
-      }, 0);
+      await openSignedDownload(`/projects/${projectId}/uploads/${file.id}/download-url`);
     } catch (error) {
       console.error('Download failed', error);
-      window.alert('Unable to download that file. Please try again or refresh the page.');
+      window.alert(error.response?.data?.error || 'Unable to download that file. Please try again or refresh the page.');
     }
   };
 
@@ -146,40 +137,85 @@ export function ProjectFilesCard({ projectId, canUpload = false, onDeleteFile })
               {files.length > 0 && (
                 <div className="space-y-3">
                   {files.map(file => (
-                    <article key={file.id} className="flex items-center justify-between gap-3 rounded-xl border border-slate-200 px-4 py-3 bg-slate-50">
-                      <div className="flex-1 min-w-0">
-                        <p className="text-sm font-semibold text-slate-800 truncate">{file.fileName}</p>
-                        <p className="text-xs text-slate-500">
-                          Uploaded {new Date(file.uploadedAt).toLocaleString()}
-                          {file.label && <span> · {file.label}</span>}
-                        </p>
-                        {file.remarks && (
-                          <p className="text-xs text-slate-600 mt-1 italic">{file.remarks}</p>
-                        )}
-                      </div>
-                      <div className="flex items-center gap-2 flex-shrink-0">
-                        {file.requiresReview && (
-                          <span className="inline-flex items-center gap-1 rounded-full px-3 py-1 text-xs font-semibold bg-amber-100 text-amber-700">
-                            Needs Review
-                          </span>
-                        )}
-                        <button
-                          type="button"
-                          onClick={() => handleDownload(file)}
-                          className="rounded-full border border-slate-200 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-slate-600 hover:border-indigo-300 hover:text-indigo-600 hover:bg-white transition-colors"
-                        >
-                          Download
-                        </button>
-                        {onDeleteFile && (
+                    <article key={file.id} className="rounded-xl border border-slate-200 px-4 py-3 bg-slate-50">
+                      <div className="flex items-center justify-between gap-3">
+                        <UploadPreview projectId={projectId} file={file} className="h-14 w-14 flex-shrink-0" />
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm font-semibold text-slate-800 truncate">
+                            {file.fileName}
+                            {file.version > 1 && (
+                              <span className="ml-2 rounded-full bg-indigo-100 px-2 py-0.5 text-xs font-semibold text-indigo-700">
+                                v{file.version}
+                              </span>
+                            )}
+                          </p>
+                          <p className="text-xs text-slate-500">
+                            Uploaded {new Date(file.uploadedAt).toLocaleString()}
+                            {file.label && <span> · {file.label}</span>}
+                          </p>
+                          {file.remarks && (
+                            <p className="text-xs text-slate-600 mt-1 italic">{file.remarks}</p>
+                          )}
+                          {file.reviewStatus === 'changes_requested' && file.reviewComment && (
+                            <p className="text-xs text-rose-600 mt-1">Changes requested: {file.reviewComment}</p>
+                          )}
+                        </div>
+                        <div className="flex items-center gap-2 flex-shrink-0">
+                          {REVIEW_BADGES[file.reviewStatus] && (
+                            <span
+                              className={clsx(
+                                'inline-flex items-center gap-1 rounded-full px-3 py-1 text-xs font-semibold',
+                                REVIEW_BADGES[file.reviewStatus].className
+                              )}
+                            >
+                              {REVIEW_BADGES[file.reviewStatus].label}
+                            </span>
+                          )}
                           <button
                             type="button"
-                            onClick={() => handleDelete(file)}
-                            className="rounded-full border border-rose-200 bg-white px-3 py-1 text-xs font-semibold uppercase tracking-wide text-rose-600 hover:bg-rose-50 hover:border-rose-300 transition-colors"
+                            onClick={() => handleDownload(file)}
+                            className="rounded-full border border-slate-200 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-slate-600 hover:border-indigo-300 hover:text-indigo-600 hover:bg-white transition-colors"
                           >
-                            Delete
+                            Download
                           </button>
-                        )}
+                          {file.version > 1 && (
+                            <button
+                              type="button"
+                              onClick={() => toggleVersionPanel(file.id, 'history')}
+                              className="rounded-full border border-slate-200 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-slate-600 hover:border-indigo-300 hover:text-indigo-600 hover:bg-white transition-colors"
+                            >
+                              History
+                            </button>
+                          )}
+                          {canUpload && (
+                            <button
+                              type="button"
+                              onClick={() => toggleVersionPanel(file.id, 'upload')}
+                              className="rounded-full border border-slate-200 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-slate-600 hover:border-indigo-300 hover:text-indigo-600 hover:bg-white transition-colors"
+                            >
+                              New Version
+                            </button>
+                          )}
+                          {onDeleteFile && (
+                            <button
+                              type="button"
+                              onClick={() => handleDelete(file)}
+                              className="rounded-full border border-rose-200 bg-white px-3 py-1 text-xs font-semibold uppercase tracking-wide text-rose-600 hover:bg-rose-50 hover:border-rose-300 transition-colors"
+                            >
+                              Delete
+                            </button>
+                          )}
+                        </div>
                       </div>
+                      {versionPanel?.fileId === file.id && (
+                        <div className="mt-3 border-t border-slate-200 pt-3">
+                          {versionPanel.mode === 'history' ? (
+                            <UploadVersionHistory projectId={projectId} file={file} onDownload={handleDownload} />
+                          ) : (
+                            <FileDropzone projectId={projectId} replaces={file} onUploaded={() => setVersionPanel(null)} />
+                          )}
+                        </div>
+                      )}
                     </article>
                   ))}
                 </div>
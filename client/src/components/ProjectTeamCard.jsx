@@ -0,0 +1,49 @@
+import clsx from 'clsx';
+import { useProjectPresence } from '../hooks/useProjectPresence.js';
+
+function formatLastSeen(value) {
+  if (!value) return 'Not seen yet';
+  const minutes = Math.round((Date.now() - new Date(value).getTime()) / 60000);
+  if (minutes < 1) return 'Last seen just now';
+  if (minutes < 60) return `Last seen ${minutes}m ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `Last seen ${hours}h ago`;
+  return `Last seen ${new Date(value).toLocaleDateString()}`;
+}
+
+export function ProjectTeamCard({ projectId, token, members = [] }) {
+  const { viewers, lastSeen } = useProjectPresence({ projectId, token });
+  const viewerIds = new Set(viewers.map(viewer => viewer.id));
+
+  return (
+    <div className="rounded-2xl bg-white p-6 shadow-sm border border-slate-200 min-w-0">
+      <h3 className="text-base font-semibold text-slate-900">Project Team</h3>
+      <p className="mb-4 text-sm text-slate-500">
+        {viewerIds.size > 0 ? `${viewerIds.size} viewing now` : 'Nobody is viewing right now'}
+      </p>
+      <ul className="space-y-3">
+        {members.map(member => {
+          const memberUser = member.user ?? member;
+          const online = viewerIds.has(member.userId);
+          return (
+            <li key={member.userId} className="flex items-center justify-between gap-3">
+              <div className="flex min-w-0 items-center gap-3">
+                <span
+                  className={clsx('h-2.5 w-2.5 shrink-0 rounded-full', online ? 'bg-emerald-500' : 'bg-slate-300')}
+                  aria-hidden="true"
+                />
+                <div className="min-w-0">
+                  <p className="truncate text-sm font-medium text-slate-800">{memberUser.displayName}</p>
+                  <p className="text-xs text-slate-500">
+                    {online ? 'Viewing now' : formatLastSeen(lastSeen[member.userId] ?? member.lastSeenAt)}
+                  </p>
+                </div>
+              </div>
+              <span className="text-[11px] uppercase tracking-wide text-slate-400">{member.role}</span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
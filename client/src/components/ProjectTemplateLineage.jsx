@@ -0,0 +1,77 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { describePlan } from './templatePlan.js';
+import { TemplateDiffList } from './TemplateHistory.jsx';
+
+export function ProjectTemplateLineage({ projectId }) {
+  const queryClient = useQueryClient();
+
+  const { data: lineage, isLoading } = useQuery({
+    queryKey: ['projectTemplate', projectId],
+    queryFn: async () => {
+      const { data } = await axios.get(`/projects/${projectId}/template`);
+      return data.lineage;
+    },
+    enabled: Boolean(projectId)
+  });
+
+  const upgradeMutation = useMutation({
+    mutationFn: async () => {
+      // Preview first so nothing changes until the merge is confirmed
+      const { data: preview } = await axios.post(`/projects/${projectId}/template/upgrade?dryRun=true`);
+      if (!confirm(describePlan(preview.plan))) {
+        return { cancelled: true };
+      }
+      const { data } = await axios.post(`/projects/${projectId}/template/upgrade`);
+      return data;
+    },
+    onSuccess: result => {
+      if (result.cancelled) return;
+      queryClient.invalidateQueries(['stages', projectId]);
+      queryClient.invalidateQueries(['projectTemplate', projectId]);
+      alert(result.message);
+    },
+    onError: error => {
+      alert(`Failed to update project template: ${error.response?.data?.error || error.message}`);
+    }
+  });
+
+  if (isLoading) return null;
+
+  return (
+    <section className="rounded-2xl bg-white p-6 shadow-sm border border-slate-200">
+      <h3 className="text-base font-semibold text-slate-900">Project Template</h3>
+      {!lineage ? (
+        <p className="mt-1 text-sm text-slate-500">This project was not built from a saved template.</p>
+      ) : (
+        <>
+          <p className="mt-1 text-sm text-slate-500">
+            Built from <span className="font-semibold text-slate-700">{lineage.template.name}</span> v{lineage.appliedVersion}
+            {lineage.appliedAt && ` on ${new Date(lineage.appliedAt).toLocaleDateString()}`}
+            {lineage.upgradeAvailable ? ` · v${lineage.template.currentVersion} is available` : ' · up to date'}
+          </p>
+
+          {lineage.upgradeAvailable && (
+            <div className="mt-4 space-y-3">
+              <p className="text-xs font-semibold uppercase tracking-wide text-slate-400">
+                Changes since v{lineage.appliedVersion}
+              </p>
+              {lineage.diff && <TemplateDiffList diff={lineage.diff} />}
+              <p className="text-xs text-slate-500">
+                Rolling in adds the new stages and tasks. Existing work, including anything removed from the template, is kept.
+              </p>
+              <button
+                type="button"
+                onClick={() => upgradeMutation.mutate()}
+                disabled={upgradeMutation.isPending}
+                className="rounded-full bg-indigo-600 px-4 py-2 text-xs font-semibold uppercase tracking-wide text-white hover:bg-indigo-500 disabled:cursor-not-allowed disabled:bg-slate-200 disabled:text-slate-400"
+              >
+                {upgradeMutation.isPending ? 'Updating…' : `Roll in v${lineage.template.currentVersion}`}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
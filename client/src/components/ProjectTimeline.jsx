@@ -0,0 +1,244 @@
+import { useEffect, useState } from 'react';
+import clsx from 'clsx';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_WIDTH = 28;
+const LABEL_WIDTH = 224;
+
+// Due dates are stored as UTC midnight, so whole UTC day numbers keep the
+// timeline free of timezone drift
+const toDay = value => (value ? Math.floor(Date.parse(value) / DAY_MS) : null);
+const fromDay = day => new Date(day * DAY_MS).toISOString().slice(0, 10);
+const formatDay = (day, options = { month: 'short', day: 'numeric' }) =>
+  new Date(day * DAY_MS).toLocaleDateString(undefined, { ...options, timeZone: 'UTC' });
+const currentDay = () => {
+  const now = new Date();
+  return Math.floor(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()) / DAY_MS);
+};
+
+function buildRows(stages, overrides) {
+  return stages.map(stage => {
+    const stageKey = `stage:${stage.id}`;
+    const tasks = (stage.tasks ?? []).map(task => {
+      const key = `task:${task.id}`;
+      return { key, task, day: overrides[key] ?? toDay(task.dueDate) };
+    });
+    const dueDay = overrides[stageKey] ?? toDay(stage.dueDate);
+    const taskDays = tasks.map(row => row.day).filter(day => day !== null);
+    const startDay = taskDays.length ? Math.min(...taskDays, dueDay ?? Infinity) : dueDay;
+    return { key: stageKey, stage, dueDay, startDay, tasks };
+  });
+}
+
+export function ProjectTimeline({ project, stages = [], canEdit = false, onStageReschedule, onTaskReschedule }) {
+  const [drag, setDrag] = useState(null);
+  const [overrides, setOverrides] = useState({});
+
+  // Dropped positions are shown until the refetched stages arrive
+  useEffect(() => {
+    setOverrides({});
+  }, [stages]);
+
+  if (!stages.length) return null;
+
+  const today = currentDay();
+  const moveInDay = toDay(project?.moveInDate);
+  const openingDay = toDay(project?.openingDay);
+  const rows = buildRows(stages, overrides);
+
+  const plotted = [
+    today,
+    moveInDay,
+    openingDay,
+    ...rows.flatMap(row => [row.dueDay, row.startDay, ...row.tasks.map(taskRow => taskRow.day)])
+  ].filter(day => day !== null && Number.isFinite(day));
+  const firstDay = Math.min(...plotted) - 3;
+  const lastDay = Math.max(...plotted) + 7;
+  const days = Array.from({ length: lastDay - firstDay + 1 }, (_, index) => firstDay + index);
+  const trackWidth = days.length * DAY_WIDTH;
+  const xFor = day => (day - firstDay) * DAY_WIDTH;
+
+  const shiftFor = key => (drag?.key === key ? drag.delta : 0);
+  const isLate = day => moveInDay !== null && day !== null && day > moveInDay;
+
+  const dragHandlers = (key, day, commit) => {
+    if (!canEdit || day === null) return {};
+    return {
+      onPointerDown: event => {
+        event.preventDefault();
+        event.currentTarget.setPointerCapture(event.pointerId);
+        setDrag({ key, startX: event.clientX, delta: 0 });
+      },
+      onPointerMove: event => {
+        if (drag?.key !== key) return;
+        const delta = Math.round((event.clientX - drag.startX) / DAY_WIDTH);
+        if (delta !== drag.delta) setDrag({ ...drag, delta });
+      },
+      onPointerUp: () => {
+        if (drag?.key !== key) return;
+        const { delta } = drag;
+        setDrag(null);
+        if (delta === 0) return;
+        setOverrides(prev => ({ ...prev, [key]: day + delta }));
+        // Snap back if the server rejects the new date
+        Promise.resolve(commit(fromDay(day + delta))).catch(() => {
+          setOverrides(({ [key]: _rejected, ...rest }) => rest);
+        });
+      },
+      onPointerCancel: () => setDrag(null)
+    };
+  };
+
+  const markers = [
+    { key: 'today', day: today, label: 'Today', className: 'border-indigo-400', text: 'text-indigo-600' },
+    moveInDay !== null && { key: 'move-in', day: moveInDay, label: 'Move-in', className: 'border-amber-500', text: 'text-amber-700' },
+    openingDay !== null && { key: 'opening', day: openingDay, label: 'Opening', className: 'border-emerald-500', text: 'text-emerald-700' }
+  ].filter(Boolean);
+
+  const lateCount = rows.reduce(
+    (count, row) =>
+      count +
+      (row.stage.status !== 'completed' && isLate(row.dueDay) ? 1 : 0) +
+      row.tasks.filter(taskRow => taskRow.task.state !== 'completed' && isLate(taskRow.day)).length,
+    0
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-4 text-xs text-slate-500">
+        {markers.map(marker => (
+          <span key={marker.key} className="flex items-center gap-1.5">
+            <span className={clsx('h-3 border-l-2 border-dashed', marker.className)} aria-hidden="true" />
+            {marker.label} · {formatDay(marker.day)}
+          </span>
+        ))}
+        {lateCount > 0 && (
+          <span className="font-semibold text-rose-600">
+            {lateCount} item{lateCount === 1 ? '' : 's'} scheduled after move-in
+          </span>
+        )}
+        {canEdit && <span className="text-slate-400">Drag a bar or task to reschedule it.</span>}
+      </div>
+
+      <div className="overflow-x-auto rounded-lg border border-slate-200">
+        <div className="relative" style={{ width: LABEL_WIDTH + trackWidth }}>
+          <div className="flex border-b border-slate-200 bg-slate-50 text-[10px] text-slate-500">
+            <div className="sticky left-0 z-20 shrink-0 bg-slate-50 px-3 py-2 font-semibold uppercase tracking-wide" style={{ width: LABEL_WIDTH }}>
+              Stage / Task
+            </div>
+            {days.map(day => {
+              const date = new Date(day * DAY_MS);
+              const weekend = date.getUTCDay() === 0 || date.getUTCDay() === 6;
+              return (
+                <div
+                  key={day}
+                  className={clsx('shrink-0 py-1 text-center', weekend && 'bg-slate-100')}
+                  style={{ width: DAY_WIDTH }}
+                >
+                  {(date.getUTCDate() === 1 || day === firstDay) && (
+                    <div className="font-semibold text-slate-600">{formatDay(day, { month: 'short' })}</div>
+                  )}
+                  {date.getUTCDate()}
+                </div>
+              );
+            })}
+          </div>
+
+          {rows.map(row => {
+            const stageShift = shiftFor(row.key);
+            const stageLate = row.stage.status !== 'completed' && isLate(row.dueDay === null ? null : row.dueDay + stageShift);
+            return (
+              <div key={row.key}>
+                <div className="flex border-b border-slate-100 bg-white">
+                  <div
+                    className="sticky left-0 z-10 shrink-0 truncate bg-white px-3 py-2 text-sm font-semibold text-slate-800"
+                    style={{ width: LABEL_WIDTH }}
+                    title={row.stage.name}
+                  >
+                    {row.stage.name}
+                  </div>
+                  <div className="relative h-9 shrink-0" style={{ width: trackWidth }}>
+                    {row.dueDay !== null && (
+                      <div
+                        {...dragHandlers(row.key, row.dueDay, dueDate => onStageReschedule?.(row.stage.id, dueDate))}
+                        title={`${row.stage.name} · due ${formatDay(row.dueDay + stageShift)}${stageLate ? ' · after move-in' : ''}`}
+                        className={clsx(
+                          'absolute top-2 h-5 rounded-full px-2 text-[11px] font-semibold leading-5 text-white shadow-sm select-none truncate',
+                          canEdit && 'cursor-ew-resize',
+                          row.stage.status === 'completed'
+                            ? 'bg-emerald-500'
+                            : stageLate
+                              ? 'bg-rose-500'
+                              : 'bg-indigo-500'
+                        )}
+                        style={{
+                          left: xFor(row.startDay + stageShift),
+                          width: Math.max((row.dueDay - row.startDay + 1) * DAY_WIDTH, DAY_WIDTH)
+                        }}
+                      >
+                        {formatDay(row.dueDay + stageShift)}
+                      </div>
+                    )}
+                  </div>
+                </div>
+
+                {row.tasks.map(taskRow => {
+                  const taskShift = shiftFor(taskRow.key);
+                  const taskDay = taskRow.day === null ? null : taskRow.day + taskShift;
+                  const taskLate = taskRow.task.state !== 'completed' && isLate(taskDay);
+                  return (
+                    <div key={taskRow.key} className="flex border-b border-slate-100 bg-white">
+                      <div
+                        className="sticky left-0 z-10 shrink-0 truncate bg-white py-1.5 pl-7 pr-3 text-xs text-slate-600"
+                        style={{ width: LABEL_WIDTH }}
+                        title={taskRow.task.title}
+                      >
+                        {taskRow.task.title}
+                      </div>
+                      <div className="relative h-7 shrink-0" style={{ width: trackWidth }}>
+                        {taskDay !== null && (
+                          <div
+                            {...dragHandlers(taskRow.key, taskRow.day, dueDate =>
+                              onTaskReschedule?.(row.stage.id, taskRow.task.id, dueDate)
+                            )}
+                            title={`${taskRow.task.title} · due ${formatDay(taskDay)}${taskLate ? ' · after move-in' : ''}`}
+                            className={clsx(
+                              'absolute top-1.5 h-4 w-4 rotate-45 rounded-sm border-2 select-none',
+                              canEdit && 'cursor-ew-resize',
+                              taskRow.task.state === 'completed'
+                                ? 'border-emerald-500 bg-emerald-100'
+                                : taskLate
+                                  ? 'border-rose-500 bg-rose-100'
+                                  : taskRow.task.state === 'blocked'
+                                    ? 'border-slate-400 bg-slate-200'
+                                    : 'border-indigo-500 bg-white'
+                            )}
+                            style={{ left: xFor(taskDay) + (DAY_WIDTH - 16) / 2 }}
+                          />
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            );
+          })}
+
+          <div className="pointer-events-none absolute inset-y-0" style={{ left: LABEL_WIDTH, width: trackWidth }}>
+            {markers.map(marker => (
+              <div
+                key={marker.key}
+                className={clsx('absolute inset-y-0 border-l-2 border-dashed', marker.className)}
+                style={{ left: xFor(marker.day) + DAY_WIDTH / 2 }}
+              >
+                <span className={clsx('absolute -top-0.5 left-1 whitespace-nowrap text-[10px] font-semibold', marker.text)}>
+                  {marker.label}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { UploadPreview } from './UploadPreview.jsx';
+import { openSignedDownload } from './signedDownload.js';
+
+export function ReviewQueue({ projectId }) {
+  const queryClient = useQueryClient();
+
+  const { data: reviews = [], isLoading } = useQuery({
+    queryKey: ['reviews', projectId],
+    queryFn: async () => {
+      const { data } = await axios.get(`/projects/${projectId}/reviews`);
+      return data.reviews ?? [];
+    },
+    enabled: Boolean(projectId)
+  });
+
+  const reviewMutation = useMutation({
+    mutationFn: ({ uploadId, decision, comment }) =>
+      axios.post(`/projects/${projectId}/uploads/${uploadId}/review`, { decision, comment }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['reviews', projectId]);
+      queryClient.invalidateQueries(['uploads', projectId]);
+      queryClient.invalidateQueries(['uploadSlots', projectId]);
+      queryClient.invalidateQueries(['stages', projectId]);
+      queryClient.invalidateQueries(['myTasks']);
+    },
+    onError: error => {
+      alert(error.response?.data?.error || 'Failed to review file');
+    }
+  });
+
+  const handleDownload = async review => {
+    try {
+      await openSignedDownload(`/projects/${projectId}/uploads/${review.id}/download-url`);
+    } catch (error) {
+      console.error('Download failed', error);
+      alert(error.response?.data?.error || 'Unable to download that file. Please try again or refresh the page.');
+    }
+  };
+
+  const handleRequestChanges = review => {
+    const comment = prompt(`What needs to change in "${review.fileName}"?`);
+    if (comment === null) return;
+    if (!comment.trim()) {
+      alert('Please describe the changes you need.');
+      return;
+    }
+    reviewMutation.mutate({ uploadId: review.id, decision: 'changes_requested', comment });
+  };
+
+  if (isLoading || reviews.length === 0) return null;
+
+  return (
+    <section className="rounded-2xl bg-white p-6 shadow-sm border border-amber-200">
+      <header className="mb-4">
+        <h3 className="text-base font-semibold text-slate-900">Review Queue</h3>
+        <p className="text-xs text-slate-500">
+          {reviews.length} {reviews.length === 1 ? 'file is' : 'files are'} waiting for approval.
+        </p>
+      </header>
+
+      <ul className="space-y-3">
+        {reviews.map(review => (
+          <li key={review.id} className="rounded-xl border border-slate-200 bg-slate-50 px-4 py-3">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <UploadPreview projectId={projectId} file={review} className="h-16 w-16 flex-shrink-0" />
+              <div className="min-w-0 flex-1">
+                <p className="text-sm font-semibold text-slate-800 truncate">{review.fileName}</p>
+                <p className="text-xs text-slate-500">
+                  {review.uploadedBy?.displayName ?? 'Unknown'} · {new Date(review.uploadedAt).toLocaleString()}
+                  {review.slot && (
+                    <span>
+                      {' '}
+                      · {review.slot.label} ({review.slot.stage?.name})
+                    </span>
+                  )}
+                </p>
+                {review.remarks && <p className="mt-1 text-xs italic text-slate-600">{review.remarks}</p>}
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => handleDownload(review)}
+                  className="rounded-full border border-slate-200 bg-white px-3 py-1 text-xs font-semibold uppercase tracking-wide text-slate-600 hover:border-indigo-300 hover:text-indigo-600"
+                >
+                  Download
+                </button>
+                <button
+                  type="button"
+                  disabled={reviewMutation.isPending}
+                  onClick={() => handleRequestChanges(review)}
+                  className="rounded-full border border-rose-200 bg-white px-3 py-1 text-xs font-semibold uppercase tracking-wide text-rose-600 hover:bg-rose-50 disabled:opacity-50"
+                >
+                  Request changes
+                </button>
+                <button
+                  type="button"
+                  disabled={reviewMutation.isPending}
+                  onClick={() => reviewMutation.mutate({ uploadId: review.id, decision: 'approved' })}
+                  className="rounded-full bg-emerald-600 px-3 py-1 text-xs font-semibold uppercase tracking-wide text-white hover:bg-emerald-500 disabled:opacity-50"
+                >
+                  Approve
+                </button>
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
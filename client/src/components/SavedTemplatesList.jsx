@@ -1,9 +1,24 @@
+import { useRef, useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import axios from 'axios';
 import clsx from 'clsx';
+import { describePlan } from './templatePlan.js';
+import { TemplateHistory } from './TemplateHistory.jsx';
 
-export function SavedTemplatesList({ projectId }) {
+const scheduleAnchorOptions = [
+  { value: 'creation', label: 'Forward from project creation' },
+  { value: 'moveInDate', label: 'Back from move-in date' },
+  { value: 'openingDay', label: 'Back from opening day' }
+];
+
+export function SavedTemplatesList({ projectId, projectName, canSaveProject = false }) {
   const queryClient = useQueryClient();
+  const [anchor, setAnchor] = useState('creation');
+  const [skipWeekends, setSkipWeekends] = useState(false);
+  const [replaceExisting, setReplaceExisting] = useState(false);
+  const [historyFor, setHistoryFor] = useState(null);
+  const [importErrors, setImportErrors] = useState(null);
+  const importInputRef = useRef(null);
   
   const { data, isLoading } = useQuery({
     queryKey: ['templates'],
@@ -21,9 +36,18 @@ export function SavedTemplatesList({ projectId }) {
       
       // If applyToProject is true and we have a projectId, apply to the current project
       if (applyToProject && projectId) {
-        await axios.post(`/projects/${projectId}/apply-template`, { 
-          templateId 
-        });
+        const options = { 
+          templateId,
+          anchor,
+          skipWeekends,
+          mode: replaceExisting ? 'replace' : 'merge'
+        };
+        // Preview first so nothing changes until the diff is confirmed
+        const { data: preview } = await axios.post(`/projects/${projectId}/apply-template?dryRun=true`, options);
+        if (!confirm(describePlan(preview.plan))) {
+          return { template: data.template, appliedToProject: false, cancelled: true };
+        }
+        await axios.post(`/projects/${projectId}/apply-template`, options);
       }
       
       return { template: data.template, appliedToProject: applyToProject && projectId };
@@ -34,6 +58,7 @@ export function SavedTemplatesList({ projectId }) {
       if (result.appliedToProject) {
         // Invalidate project stages to refresh dashboard and project tab
         queryClient.invalidateQueries(['stages', projectId]);
+        queryClient.invalidateQueries(['projectTemplate', projectId]);
         
         // Also invalidate any task-related queries
         queryClient.invalidateQueries(['tasks', projectId]);
@@ -41,6 +66,8 @@ export function SavedTemplatesList({ projectId }) {
         console.log('[SavedTemplatesList] Template applied, queries invalidated');
         
         alert('Template loaded and applied to this project! The stages have been updated in Dashboard and Projects tabs.');
+      } else if (result.cancelled) {
+        alert('Template loaded into the editor. The project was not changed.');
       } else {
         alert('Template loaded successfully! You can now view and edit it in the Template tab.');
       }
@@ -50,6 +77,84 @@ export function SavedTemplatesList({ projectId }) {
     }
   });
 
+  const setDefaultMutation = useMutation({
+    mutationFn: templateId => axios.post(`/templates/${templateId}/default`),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['templates']);
+    },
+    onError: (error) => {
+      alert(`Failed to set default template: ${error.response?.data?.error || error.message}`);
+    }
+  });
+
+  const importMutation = useMutation({
+    mutationFn: async file => {
+      const text = await file.text();
+      const { data } = await axios.post('/templates/import', { document: text });
+      return data.template;
+    },
+    onSuccess: template => {
+      setImportErrors(null);
+      queryClient.invalidateQueries(['templates']);
+      alert(`Imported "${template.name}" with ${template.stageCount} stages.`);
+    },
+    onError: (error) => {
+      const errors = error.response?.data?.errors;
+      if (errors?.length) {
+        setImportErrors(errors);
+      } else {
+        alert(`Failed to import template: ${error.response?.data?.error || error.message}`);
+      }
+    }
+  });
+
+  const saveProjectMutation = useMutation({
+    mutationFn: async name => {
+      const { data } = await axios.post(`/projects/${projectId}/save-as-template`, { name });
+      return data.template;
+    },
+    onSuccess: template => {
+      queryClient.invalidateQueries(['templates']);
+      queryClient.invalidateQueries(['projectTemplate', projectId]);
+      alert(`Saved "${template.name}" with ${template.stageCount} stages. It is now listed under Saved Templates.`);
+    },
+    onError: (error) => {
+      alert(`Failed to save project as template: ${error.response?.data?.error || error.message}`);
+    }
+  });
+
+  const handleSaveProject = () => {
+    const name = prompt(
+      'Save this project\'s stages, tasks, checklist toggles and upload slots as a new template.\n' +
+      'Dates and progress are not copied.\n\nTemplate name:',
+      projectName ? `${projectName} workflow` : ''
+    );
+    if (name && name.trim()) {
+      saveProjectMutation.mutate(name.trim());
+    }
+  };
+
+  const handleImportFile = event => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (file) importMutation.mutate(file);
+  };
+
+  const handleExportTemplate = async template => {
+    try {
+      const { data } = await axios.get(`/templates/${template.id}/export`);
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${template.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-v${template.currentVersion}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(`Failed to export template: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
   const handleLoadTemplate = (templateId) => {
     if (projectId) {
       // Ask if they want to apply to current project
@@ -91,12 +196,95 @@ export function SavedTemplatesList({ projectId }) {
 
   return (
     <section className="rounded-2xl bg-white p-6 shadow-sm border border-slate-200">
-      <div className="mb-4">
-        <h3 className="text-base font-semibold text-slate-900">Saved Templates</h3>
-        <p className="text-xs text-slate-500 mt-1">
-          {templates.length} {templates.length === 1 ? 'template' : 'templates'} available
-        </p>
+      <div className="mb-4 flex items-start justify-between gap-3">
+        <div>
+          <h3 className="text-base font-semibold text-slate-900">Saved Templates</h3>
+          <p className="text-xs text-slate-500 mt-1">
+            {templates.length} {templates.length === 1 ? 'template' : 'templates'} available
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => importInputRef.current?.click()}
+          disabled={importMutation.isPending}
+          className="rounded-full border border-slate-300 px-3 py-1.5 text-xs font-semibold text-slate-600 hover:border-indigo-300 hover:text-indigo-600 disabled:cursor-not-allowed disabled:text-slate-400"
+        >
+          {importMutation.isPending ? 'Importing…' : 'Import JSON'}
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImportFile}
+          className="hidden"
+        />
       </div>
+
+      {importErrors && (
+        <div className="mb-4 rounded-lg border border-rose-200 bg-rose-50 px-4 py-3 text-xs text-rose-700">
+          <div className="mb-2 flex items-center justify-between gap-3">
+            <p className="font-semibold">The template file could not be imported</p>
+            <button type="button" onClick={() => setImportErrors(null)} className="font-semibold text-rose-500 hover:text-rose-700">
+              Dismiss
+            </button>
+          </div>
+          <ul className="space-y-1">
+            {importErrors.map((entry, index) => (
+              <li key={index}>
+                {entry.line ? <span className="font-mono">Line {entry.line}: </span> : null}
+                {entry.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {projectId && (
+        <div className="mb-4 flex flex-wrap items-center gap-4 rounded-lg bg-slate-50 px-4 py-3 text-xs text-slate-600">
+          <label className="flex items-center gap-2">
+            <span className="font-semibold">Schedule due dates</span>
+            <select
+              value={anchor}
+              onChange={event => setAnchor(event.target.value)}
+              className="rounded-md border border-slate-300 px-2 py-1 text-xs focus:border-indigo-500 focus:outline-none"
+            >
+              {scheduleAnchorOptions.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={skipWeekends}
+              onChange={event => setSkipWeekends(event.target.checked)}
+              className="h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+            />
+            Skip weekends
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={replaceExisting}
+              onChange={event => setReplaceExisting(event.target.checked)}
+              className="h-4 w-4 rounded border-slate-300 text-rose-600 focus:ring-rose-500"
+            />
+            Replace existing stages <span className="text-rose-600">(discards progress)</span>
+          </label>
+          {canSaveProject && (
+            <button
+              type="button"
+              onClick={handleSaveProject}
+              disabled={saveProjectMutation.isPending}
+              className="ml-auto rounded-full border border-indigo-200 px-3 py-1.5 font-semibold text-indigo-600 hover:bg-indigo-50 disabled:cursor-not-allowed disabled:text-slate-400"
+            >
+              {saveProjectMutation.isPending ? 'Saving…' : 'Save project as template'}
+            </button>
+          )}
+        </div>
+      )}
       
       <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
         {templates.map(template => (
@@ -108,10 +296,19 @@ export function SavedTemplatesList({ projectId }) {
               <h4 className="text-sm font-semibold text-slate-900 flex-1">
                 {template.name}
               </h4>
-              {template.isDefault && (
+              {template.isDefault ? (
                 <span className="inline-flex items-center rounded-full bg-indigo-100 px-2 py-0.5 text-xs font-semibold text-indigo-700">
                   Default
                 </span>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => setDefaultMutation.mutate(template.id)}
+                  disabled={setDefaultMutation.isPending}
+                  className="text-xs font-semibold text-slate-400 hover:text-indigo-600 disabled:cursor-not-allowed"
+                >
+                  Make default
+                </button>
               )}
             </div>
             
@@ -122,9 +319,28 @@ export function SavedTemplatesList({ projectId }) {
             )}
             
             <div className="flex items-center justify-between gap-3">
-              <div className="text-center">
-                <div className="text-xl font-bold text-indigo-600">{template.stageCount}</div>
-                <div className="text-xs text-slate-500">Stages</div>
+              <div className="flex items-center gap-4">
+                <div className="text-center">
+                  <div className="text-xl font-bold text-indigo-600">{template.stageCount}</div>
+                  <div className="text-xs text-slate-500">Stages</div>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setHistoryFor(template)}
+                  className="text-center text-xs text-slate-500 hover:text-indigo-600"
+                  title="Version history"
+                >
+                  <div className="text-xl font-bold text-slate-700">v{template.currentVersion}</div>
+                  <div>History</div>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleExportTemplate(template)}
+                  className="text-xs font-semibold text-slate-400 hover:text-indigo-600"
+                  title="Download as JSON"
+                >
+                  Export
+                </button>
               </div>
               
               <button
@@ -144,6 +360,16 @@ export function SavedTemplatesList({ projectId }) {
           </div>
         ))}
       </div>
+
+      {historyFor && (
+        <TemplateHistory
+          key={`${historyFor.id}:${historyFor.currentVersion}`}
+          templateId={historyFor.id}
+          templateName={historyFor.name}
+          currentVersion={historyFor.currentVersion}
+          onClose={() => setHistoryFor(null)}
+        />
+      )}
     </section>
   );
 }
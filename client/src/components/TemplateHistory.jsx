@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import axios from 'axios';
+import clsx from 'clsx';
+
+const changeStyles = {
+  added: 'border-emerald-200 bg-emerald-50 text-emerald-700',
+  removed: 'border-rose-200 bg-rose-50 text-rose-700',
+  changed: 'border-amber-200 bg-amber-50 text-amber-700'
+};
+
+const fieldLabels = {
+  name: 'Name',
+  description: 'Description',
+  defaultStageDueInDays: 'Duration (days)'
+};
+
+export function TemplateDiffList({ diff }) {
+  const changedStages = diff.stages.filter(stage => stage.change !== 'unchanged');
+  if (changedStages.length === 0) {
+    return <p className="text-xs text-slate-500">No differences between these versions.</p>;
+  }
+
+  return (
+    <ul className="space-y-2">
+      {changedStages.map(stage => (
+        <li key={stage.templateSlug} className={clsx('rounded-lg border px-3 py-2 text-xs', changeStyles[stage.change])}>
+          <p className="font-semibold">
+            {stage.change === 'added' ? '+ ' : stage.change === 'removed' ? '− ' : '~ '}
+            {stage.name}
+          </p>
+          {stage.fields.map(field => (
+            <p key={field.field} className="mt-1 text-slate-600">
+              {fieldLabels[field.field] ?? field.field}: <span className="line-through">{String(field.from ?? '—')}</span> → {String(field.to ?? '—')}
+            </p>
+          ))}
+          {stage.tasksAdded.map(title => (
+            <p key={`added-${title}`} className="mt-1 text-emerald-700">+ {title}</p>
+          ))}
+          {stage.tasksRemoved.map(title => (
+            <p key={`removed-${title}`} className="mt-1 text-rose-700">− {title}</p>
+          ))}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export function TemplateHistory({ templateId, templateName, currentVersion, onClose }) {
+  const [range, setRange] = useState({ from: Math.max(currentVersion - 1, 1), to: currentVersion });
+
+  const { data: versions = [] } = useQuery({
+    queryKey: ['templateVersions', templateId],
+    queryFn: async () => {
+      const { data } = await axios.get(`/templates/${templateId}/versions`);
+      return data.versions;
+    }
+  });
+
+  const canDiff = range.from !== range.to;
+  const { data: diffResponse, isLoading: diffLoading } = useQuery({
+    queryKey: ['templateDiff', templateId, range.from, range.to],
+    queryFn: async () => {
+      const { data } = await axios.get(`/templates/${templateId}/diff`, { params: range });
+      return data;
+    },
+    enabled: canDiff
+  });
+
+  const versionSelect = key => (
+    <select
+      value={range[key]}
+      onChange={event => setRange(prev => ({ ...prev, [key]: Number(event.target.value) }))}
+      className="rounded-md border border-slate-300 px-2 py-1 text-xs focus:border-indigo-500 focus:outline-none"
+    >
+      {versions.map(entry => (
+        <option key={entry.version} value={entry.version}>
+          v{entry.version}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="mt-4 rounded-xl border border-slate-200 bg-slate-50 p-4">
+      <div className="mb-3 flex items-center justify-between gap-3">
+        <h4 className="text-sm font-semibold text-slate-900">{templateName} · Version history</h4>
+        <button type="button" onClick={onClose} className="text-xs font-semibold text-slate-500 hover:text-slate-700">
+          Close
+        </button>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-[200px_1fr]">
+        <ul className="space-y-1 text-xs text-slate-600">
+          {versions.map(entry => (
+            <li key={entry.version} className="flex justify-between gap-2">
+              <span className="font-semibold">v{entry.version}</span>
+              <span className="truncate text-slate-400">
+                {new Date(entry.createdAt).toLocaleDateString()}
+                {entry.createdBy ? ` · ${entry.createdBy.displayName}` : ''}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        <div>
+          {versions.length < 2 ? (
+            <p className="text-xs text-slate-500">This template has not been changed since it was created.</p>
+          ) : (
+            <>
+              <div className="mb-3 flex items-center gap-2 text-xs text-slate-600">
+                Compare {versionSelect('from')} with {versionSelect('to')}
+              </div>
+              {!canDiff && <p className="text-xs text-slate-500">Pick two different versions.</p>}
+              {canDiff && diffLoading && <p className="text-xs text-slate-500">Comparing…</p>}
+              {canDiff && diffResponse && <TemplateDiffList diff={diffResponse.diff} />}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
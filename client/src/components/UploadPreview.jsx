@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import axios from 'axios';
+import clsx from 'clsx';
+
+// Previews go through axios (not a plain <img src>) so the auth header is sent
+export function UploadPreview({ projectId, file, className }) {
+  const [url, setUrl] = useState(null);
+
+  const { data: blob, isError } = useQuery({
+    queryKey: ['uploadPreview', projectId, file.id],
+    queryFn: async () => {
+      const { data } = await axios.get(`/projects/${projectId}/uploads/${file.id}/preview`, { responseType: 'blob' });
+      return data;
+    },
+    enabled: Boolean(projectId && file.hasPreview),
+    staleTime: Infinity,
+    retry: false
+  });
+
+  useEffect(() => {
+    if (!blob) return undefined;
+    const objectUrl = window.URL.createObjectURL(blob);
+    setUrl(objectUrl);
+    return () => window.URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+
+  if (!file.hasPreview || isError) return null;
+
+  return (
+    <div className={clsx('overflow-hidden rounded-lg border border-slate-200 bg-white', className)}>
+      {url ? (
+        <img src={url} alt={`Preview of ${file.fileName}`} className="h-full w-full object-contain" />
+      ) : (
+        <div className="h-full w-full animate-pulse bg-slate-100" />
+      )}
+    </div>
+  );
+}
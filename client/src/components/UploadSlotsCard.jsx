@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import axios from 'axios';
+import clsx from 'clsx';
+import { FileDropzone } from './FileDropzone.jsx';
+
+const formatTypes = acceptedTypes =>
+  acceptedTypes.length > 0 ? acceptedTypes.map(type => type.replace(/^\./, '').toUpperCase()).join(', ') : 'Any type';
+
+const reviewStatusLabels = {
+  pending: 'Awaiting review',
+  approved: 'Approved',
+  changes_requested: 'Changes requested'
+};
+
+export function UploadSlotsCard({ projectId, canUpload = false }) {
+  const [openSlotId, setOpenSlotId] = useState(null);
+
+  const { data: slots = [], isLoading } = useQuery({
+    queryKey: ['uploadSlots', projectId],
+    queryFn: async () => {
+      const { data } = await axios.get(`/projects/${projectId}/upload-slots`);
+      return data.slots ?? [];
+    },
+    enabled: Boolean(projectId)
+  });
+
+  // Shares the cache with ProjectFilesCard
+  const { data: uploads = [] } = useQuery({
+    queryKey: ['uploads', projectId],
+    queryFn: async () => {
+      const { data } = await axios.get(`/projects/${projectId}/uploads`);
+      return data.uploads ?? [];
+    },
+    enabled: Boolean(projectId)
+  });
+
+  if (isLoading || slots.length === 0) return null;
+
+  const stages = slots.reduce((groups, slot) => {
+    const group = groups.find(entry => entry.id === slot.stage.id);
+    if (group) {
+      group.slots.push(slot);
+    } else {
+      groups.push({ id: slot.stage.id, name: slot.stage.name, slots: [slot] });
+    }
+    return groups;
+  }, []);
+  const missingRequired = slots.filter(slot => slot.required && slot.fileCount === 0).length;
+
+  return (
+    <section className="rounded-2xl bg-white p-6 shadow-sm border border-slate-200">
+      <header className="mb-4">
+        <h3 className="text-base font-semibold text-slate-900">Required Documents</h3>
+        <p className="text-xs text-slate-500">
+          {missingRequired > 0
+            ? `${missingRequired} required ${missingRequired === 1 ? 'upload is' : 'uploads are'} still missing. Stages cannot be completed until they are provided.`
+            : 'All required uploads are in.'}
+        </p>
+      </header>
+
+      <div className="space-y-5">
+        {stages.map(stage => (
+          <div key={stage.id}>
+            <p className="mb-2 text-xs font-semibold uppercase tracking-wide text-slate-400">{stage.name}</p>
+            <ul className="space-y-2">
+              {stage.slots.map(slot => {
+                const isFull = slot.fileCount >= slot.maxFiles;
+                // A full single-file slot takes the next version of its file instead
+                const canAdd = canUpload && (!isFull || slot.maxFiles === 1);
+                const isMissing = slot.required && slot.fileCount === 0;
+                return (
+                  <li key={slot.id} className="rounded-xl border border-slate-200 bg-slate-50 px-4 py-3">
+                    <div className="flex flex-wrap items-center justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className="text-sm font-semibold text-slate-800">
+                          {slot.label}
+                          {slot.required && <span className="ml-2 text-xs font-semibold text-rose-600">Required</span>}
+                        </p>
+                        <p className="text-xs text-slate-500">
+                          {formatTypes(slot.acceptedTypes)} · {slot.fileCount}/{slot.maxFiles} {slot.maxFiles === 1 ? 'file' : 'files'}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <span
+                          className={clsx(
+                            'inline-flex items-center rounded-full px-3 py-1 text-xs font-semibold',
+                            isMissing
+                              ? 'bg-rose-100 text-rose-700'
+                              : slot.fileCount > 0
+                                ? 'bg-emerald-100 text-emerald-700'
+                                : 'bg-slate-200 text-slate-600'
+                          )}
+                        >
+                          {isMissing ? 'Missing' : slot.fileCount > 0 ? 'Provided' : 'Optional'}
+                        </span>
+                        {canAdd && (
+                          <button
+                            type="button"
+                            onClick={() => setOpenSlotId(openSlotId === slot.id ? null : slot.id)}
+                            className="rounded-full border border-slate-200 bg-white px-3 py-1 text-xs font-semibold uppercase tracking-wide text-slate-600 hover:border-indigo-300 hover:text-indigo-600"
+                          >
+                            {openSlotId === slot.id ? 'Close' : isFull ? 'New Version' : 'Upload'}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                    {uploads.some(file => file.definitionId === slot.id) && (
+                      <ul className="mt-2 space-y-1 text-xs text-slate-600">
+                        {uploads
+                          .filter(file => file.definitionId === slot.id)
+                          .map(file => (
+                            <li key={file.id} className="truncate">
+                              {file.fileName}
+                              {file.version > 1 && <span className="ml-1 font-semibold text-indigo-600">v{file.version}</span>}
+                              <span className="text-slate-400"> · {new Date(file.uploadedAt).toLocaleDateString()}</span>
+                              {file.reviewStatus && (
+                                <span
+                                  className={clsx(
+                                    'ml-1',
+                                    file.reviewStatus === 'approved' && 'text-emerald-600',
+                                    file.reviewStatus === 'pending' && 'text-amber-600',
+                                    file.reviewStatus === 'changes_requested' && 'text-rose-600'
+                                  )}
+                                >
+                                  · {reviewStatusLabels[file.reviewStatus]}
+                                </span>
+                              )}
+                            </li>
+                          ))}
+                      </ul>
+                    )}
+                    {canAdd && openSlotId === slot.id && (
+                      <div className="mt-3">
+                        <FileDropzone projectId={projectId} slot={slot} />
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,52 @@
+import { useQuery } from '@tanstack/react-query';
+import axios from 'axios';
+import clsx from 'clsx';
+
+export function UploadVersionHistory({ projectId, file, onDownload }) {
+  const { data: versions = [], isLoading } = useQuery({
+    queryKey: ['uploadVersions', projectId, file.documentId],
+    queryFn: async () => {
+      const { data } = await axios.get(`/projects/${projectId}/uploads/${file.id}/versions`);
+      return data.versions ?? [];
+    },
+    enabled: Boolean(projectId)
+  });
+
+  if (isLoading) {
+    return <p className="text-xs text-slate-400">Loading history…</p>;
+  }
+
+  return (
+    <ol className="space-y-1">
+      {versions.map(version => (
+        <li
+          key={version.id}
+          className={clsx(
+            'flex items-center justify-between gap-3 rounded-lg px-3 py-2 text-xs',
+            version.isCurrentVersion ? 'bg-indigo-50 text-indigo-700' : 'bg-white text-slate-600'
+          )}
+        >
+          <div className="min-w-0">
+            <p className="truncate font-semibold">
+              v{version.version} · {version.fileName}
+              {version.isCurrentVersion && <span className="ml-2 font-normal">(current)</span>}
+            </p>
+            <p className="text-slate-400">
+              {version.uploadedBy?.displayName ?? 'Unknown'} · {new Date(version.uploadedAt).toLocaleString()}
+              {version.reviewStatus === 'changes_requested' && version.reviewComment && (
+                <span className="text-rose-500"> · Changes requested: {version.reviewComment}</span>
+              )}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => onDownload(version)}
+            className="flex-shrink-0 rounded-full border border-slate-200 bg-white px-3 py-1 font-semibold uppercase tracking-wide text-slate-600 hover:border-indigo-300 hover:text-indigo-600"
+          >
+            Download
+          </button>
+        </li>
+      ))}
+    </ol>
+  );
+}
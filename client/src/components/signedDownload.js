@@ -0,0 +1,13 @@
+import axios from 'axios';
+
+// Asks the API for a short-lived signed URL (local server or S3 bucket) and lets
+// the browser download from it directly, so large files aren't buffered in memory
+export async function openSignedDownload(urlPath) {
+  const { data } = await axios.get(urlPath);
+  const link = document.createElement('a');
+  link.href = data.url;
+  link.rel = 'noopener noreferrer';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
@@ -0,0 +1,28 @@
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Turns the apply-template dry-run plan into a confirm() prompt
+export const describePlan = plan => {
+  const { summary } = plan;
+  const lines = [plan.mode === 'merge' ? 'Merge preview' : 'Replace preview', ''];
+  lines.push(`• Adds ${plural(summary.stagesAdded, 'stage')} and ${plural(summary.tasksAdded, 'task')}`);
+  if (summary.uploadsAdded || summary.togglesAdded) {
+    lines.push(`• Sets up ${plural(summary.uploadsAdded ?? 0, 'upload slot')} and ${plural(summary.togglesAdded ?? 0, 'checklist toggle')}`);
+  }
+  if (plan.mode === 'merge') {
+    lines.push(`• Keeps ${plural(summary.tasksKept, 'matching task')} (${summary.completedTasksKept} completed) and all other existing work`);
+  } else {
+    lines.push(`• Removes ${plural(summary.stagesRemoved, 'existing stage')}, including ${plural(summary.completedTasksRemoved, 'completed task')}`);
+  }
+  const addedStages = plan.stages.filter(stage => stage.action === 'add').map(stage => stage.name);
+  if (addedStages.length > 0) {
+    lines.push('', `New stages: ${addedStages.join(', ')}`);
+  }
+  const stagesWithNewTasks = plan.stages
+    .filter(stage => stage.action === 'keep' && stage.tasks.some(task => task.action === 'add'))
+    .map(stage => `${stage.name} (+${stage.tasks.filter(task => task.action === 'add').length})`);
+  if (stagesWithNewTasks.length > 0) {
+    lines.push(`New tasks in: ${stagesWithNewTasks.join(', ')}`);
+  }
+  lines.push('', 'Apply these changes?');
+  return lines.join('\n');
+};
@@ -0,0 +1,57 @@
+// Unsent chat messages survive reloads here until the server acknowledges them.
+// Outboxes are kept per user so a different login on the same browser never resends them.
+const KEY_PREFIX = 'chatOutbox:';
+const keyFor = (userId, projectId) => `${KEY_PREFIX}${userId}:${projectId}`;
+
+export function loadOutbox(userId, projectId) {
+  try {
+    const raw = localStorage.getItem(keyFor(userId, projectId));
+    const entries = raw ? JSON.parse(raw) : [];
+    return Array.isArray(entries) ? entries.filter(entry => entry?.senderId === userId) : [];
+  } catch (error) {
+    console.warn('[OUTBOX] Unable to read outbox, starting empty', error);
+    return [];
+  }
+}
+
+export function saveOutbox(userId, projectId, entries) {
+  try {
+    if (entries.length === 0) {
+      localStorage.removeItem(keyFor(userId, projectId));
+    } else {
+      localStorage.setItem(keyFor(userId, projectId), JSON.stringify(entries));
+    }
+  } catch (error) {
+    console.warn('[OUTBOX] Unable to persist outbox', error);
+  }
+}
+
+// Called on logout so queued messages never outlive the session that wrote them
+export function clearOutboxes() {
+  try {
+    const keys = [];
+    for (let index = 0; index < localStorage.length; index += 1) {
+      const key = localStorage.key(index);
+      if (key?.startsWith(KEY_PREFIX)) keys.push(key);
+    }
+    keys.forEach(key => localStorage.removeItem(key));
+  } catch (error) {
+    console.warn('[OUTBOX] Unable to clear outboxes', error);
+  }
+}
+
+// The chat renders outbox entries exactly like server messages, flagged pending or failed
+export function toOptimisticMessage(entry) {
+  return {
+    clientMessageId: entry.clientMessageId,
+    projectId: entry.projectId,
+    parentId: entry.parentId ?? null,
+    body: entry.body,
+    attachments: entry.attachments ?? [],
+    author: { id: 'me', displayName: 'You' },
+    createdAt: entry.createdAt,
+    pending: entry.status !== 'failed',
+    failed: entry.status === 'failed',
+    error: entry.error ?? null
+  };
+}
@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+import { getSocket } from './socketSingleton.js';
+
+const emptyPresence = { viewers: [], lastSeen: {} };
+
+// Presence is pushed to the project room that useProjectSocket joins; this hook
+// only listens, and asks for a snapshot in case it mounted after the join.
+export function useProjectPresence({ projectId, token }) {
+  const [presence, setPresence] = useState(emptyPresence);
+
+  useEffect(() => {
+    setPresence(emptyPresence);
+    if (!token || !projectId) return undefined;
+    const socket = getSocket(token);
+    if (!socket) return undefined;
+
+    const handlePresence = ({ projectId: incoming, viewers = [], lastSeen = {} }) => {
+      if (incoming !== projectId) return;
+      setPresence({ viewers, lastSeen });
+    };
+
+    socket.on('presence:state', handlePresence);
+    socket.emit('presence:request', { projectId });
+
+    return () => {
+      socket.off('presence:state', handlePresence);
+    };
+  }, [projectId, token]);
+
+  return presence;
+}
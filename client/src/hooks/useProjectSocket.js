@@ -1,33 +1,216 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
 import { getSocket } from './socketSingleton.js';
+import { loadOutbox, saveOutbox, toOptimisticMessage } from './chatOutbox.js';
 
-export function useProjectSocket({ projectId, token }) {
+// A typing indicator disappears on its own if the matching typing:stop never arrives
+const TYPING_TIMEOUT_MS = 6000;
+const TYPING_IDLE_MS = 3000;
+// Messages without a message:ack in this window are shown as failed with a retry button
+const ACK_TIMEOUT_MS = 15000;
+
+function hasClientMessage(list, clientMessageId) {
+  return list.some(
+    msg =>
+      msg.clientMessageId === clientMessageId ||
+      (msg.replies ?? []).some(reply => reply.clientMessageId === clientMessageId)
+  );
+}
+
+function removeClientMessage(list, clientMessageId) {
+  return list
+    .filter(msg => msg.clientMessageId !== clientMessageId)
+    .map(msg =>
+      msg.replies?.length
+        ? { ...msg, replies: msg.replies.filter(reply => reply.clientMessageId !== clientMessageId) }
+        : msg
+    );
+}
+
+// Applies `update` to every message, including replies nested under their thread
+function mapMessages(list, update) {
+  return list.map(msg => {
+    const next = update(msg);
+    if (!next.replies?.length) return next;
+    return { ...next, replies: next.replies.map(update) };
+  });
+}
+
+function appendMessage(list, message) {
+  // The sender's own message:new replaces its optimistic copy instead of duplicating it
+  if (message.clientMessageId && hasClientMessage(list, message.clientMessageId)) {
+    return mapMessages(list, msg =>
+      msg.clientMessageId === message.clientMessageId ? { ...msg, ...message, pending: false, failed: false } : msg
+    );
+  }
+  if (!message.parentId) return [...list, message];
+  return list.map(msg =>
+    msg.id === message.parentId ? { ...msg, replies: [...(msg.replies ?? []), message] } : msg
+  );
+}
+
+export function useProjectSocket({ projectId, token, userId }) {
   const [messages, setMessages] = useState([]);
   const [badge, setBadge] = useState(0);
+  const [history, setHistory] = useState({ hasMore: false, nextCursor: null, loadingOlder: false });
+  const [typingUsers, setTypingUsers] = useState([]);
+  const [connected, setConnected] = useState(false);
   const socketRef = useRef(null);
+  const typingRef = useRef({ active: false, idleTimer: null });
+  const outboxRef = useRef({ userId: null, projectId: null, entries: [] });
+  const ackTimersRef = useRef(new Map());
+
+  const writeOutbox = entries => {
+    outboxRef.current = { ...outboxRef.current, entries };
+    saveOutbox(outboxRef.current.userId, outboxRef.current.projectId, entries);
+  };
+
+  const clearAckTimer = clientMessageId => {
+    clearTimeout(ackTimersRef.current.get(clientMessageId));
+    ackTimersRef.current.delete(clientMessageId);
+  };
+
+  const markFailed = (clientMessageId, error) => {
+    clearAckTimer(clientMessageId);
+    writeOutbox(
+      outboxRef.current.entries.map(entry =>
+        entry.clientMessageId === clientMessageId ? { ...entry, status: 'failed', error } : entry
+      )
+    );
+    setMessages(prev =>
+      mapMessages(prev, msg =>
+        msg.clientMessageId === clientMessageId ? { ...msg, pending: false, failed: true, error } : msg
+      )
+    );
+  };
+
+  const markDelivered = (clientMessageId, messageId) => {
+    clearAckTimer(clientMessageId);
+    writeOutbox(outboxRef.current.entries.filter(entry => entry.clientMessageId !== clientMessageId));
+    setMessages(prev =>
+      mapMessages(prev, msg =>
+        msg.clientMessageId === clientMessageId
+          ? { ...msg, id: messageId ?? msg.id, pending: false, failed: false, error: null }
+          : msg
+      )
+    );
+  };
+
+  // Only sends while connected; anything else waits in the outbox for the next join
+  const emitEntry = entry => {
+    const socket = socketRef.current;
+    if (!socket?.connected) return;
+    console.log('[SOCKET-CLIENT] Emitting message:send', { projectId: entry.projectId, clientMessageId: entry.clientMessageId });
+    socket.emit('message:send', {
+      projectId: entry.projectId,
+      body: entry.body,
+      attachments: (entry.attachments ?? []).map(attachment => attachment.id),
+      parentId: entry.parentId ?? null,
+      clientMessageId: entry.clientMessageId
+    });
+    clearAckTimer(entry.clientMessageId);
+    ackTimersRef.current.set(
+      entry.clientMessageId,
+      setTimeout(() => markFailed(entry.clientMessageId, 'No response from the server'), ACK_TIMEOUT_MS)
+    );
+  };
 
   useEffect(() => {
-    if (!token || !projectId) return undefined;
+    if (!token || !projectId || !userId) return undefined;
     const socket = getSocket(token);
     socketRef.current = socket;
 
+    outboxRef.current = { userId, projectId, entries: loadOutbox(userId, projectId) };
+    setMessages(outboxRef.current.entries.reduce((list, entry) => appendMessage(list, toOptimisticMessage(entry)), []));
+
     if (!socket) {
       console.warn('[SOCKET-CLIENT] No socket created, token may be invalid');
       return undefined;
     }
 
-    const handleBootstrap = ({ projectId: joinedId, history }) => {
-      console.log('[SOCKET-CLIENT] project:bootstrapped', { joinedId, historyLength: history?.length });
-      if (joinedId === projectId) setMessages(history);
+    const handleBootstrap = ({ projectId: joinedId, history: latest, hasMore = false, nextCursor = null }) => {
+      console.log('[SOCKET-CLIENT] project:bootstrapped', { joinedId, historyLength: latest?.length, hasMore });
+      if (joinedId !== projectId) return;
+      // Anything the server already has was delivered even if the ack never arrived
+      const delivered = new Set();
+      (latest ?? []).forEach(msg => {
+        if (msg.clientMessageId) delivered.add(msg.clientMessageId);
+        (msg.replies ?? []).forEach(reply => reply.clientMessageId && delivered.add(reply.clientMessageId));
+      });
+      writeOutbox(outboxRef.current.entries.filter(entry => !delivered.has(entry.clientMessageId)));
+      const queued = outboxRef.current.entries;
+      setMessages(queued.reduce((list, entry) => appendMessage(list, toOptimisticMessage(entry)), latest ?? []));
+      setHistory({ hasMore, nextCursor, loadingOlder: false });
+      queued.filter(entry => entry.status !== 'failed').forEach(emitEntry);
+    };
+    const handlePage = ({ projectId: incoming, messages: older = [], hasMore = false, nextCursor = null }) => {
+      console.log('[SOCKET-CLIENT] messages:page', { projectId: incoming, count: older.length, hasMore });
+      if (incoming !== projectId) return;
+      setMessages(prev => {
+        const known = new Set(prev.map(msg => msg.id).filter(Boolean));
+        return [...older.filter(msg => !known.has(msg.id)), ...prev];
+      });
+      setHistory({ hasMore, nextCursor, loadingOlder: false });
+    };
+    const handleHistoryError = ({ projectId: incoming, error }) => {
+      console.error('[SOCKET-CLIENT] messages:error', { projectId: incoming, error });
+      if (incoming === projectId) setHistory(prev => ({ ...prev, loadingOlder: false }));
     };
     const handleNewMessage = message => {
       console.log('[SOCKET-CLIENT] message:new', message);
-      if (message.projectId === projectId) setMessages(prev => [...prev, message]);
+      if (message.projectId !== projectId) return;
+      setMessages(prev => appendMessage(prev, message));
+      if (outboxRef.current.entries.some(entry => entry.clientMessageId === message.clientMessageId)) {
+        markDelivered(message.clientMessageId, message.id);
+      }
     };
     const handleAck = ({ clientMessageId, messageId }) => {
       console.log('[SOCKET-CLIENT] message:ack', { clientMessageId, messageId });
+      markDelivered(clientMessageId, messageId);
+    };
+    const handleMessageError = ({ clientMessageId, messageId, error }) => {
+      console.error('[SOCKET-CLIENT] message:error', { clientMessageId, messageId, error });
+      if (clientMessageId && outboxRef.current.entries.some(entry => entry.clientMessageId === clientMessageId)) {
+        markFailed(clientMessageId, error ?? 'Message could not be sent');
+      }
+    };
+    // In-flight sends are re-emitted after the next join, so their timers are dropped here
+    const handleDisconnect = () => {
+      setConnected(false);
+      ackTimersRef.current.forEach(clearTimeout);
+      ackTimersRef.current.clear();
+    };
+    const handleUpdated = message => {
+      console.log('[SOCKET-CLIENT] message:updated/deleted', { id: message.id, deletedAt: message.deletedAt });
+      if (message.projectId !== projectId) return;
+      setMessages(prev => mapMessages(prev, msg => (msg.id === message.id ? { ...msg, ...message } : msg)));
+    };
+    const handleSeen = ({ projectId: incoming, messageIds = [], reader, readAt }) => {
+      console.log('[SOCKET-CLIENT] message:seen', { projectId: incoming, count: messageIds.length, reader });
+      if (incoming !== projectId || !reader) return;
+      const seenIds = new Set(messageIds);
       setMessages(prev =>
-        prev.map(msg => (msg.clientMessageId === clientMessageId ? { ...msg, id: messageId, pending: false } : msg))
+        mapMessages(prev, msg => {
+          if (!seenIds.has(msg.id)) return msg;
+          const seenBy = msg.seenBy ?? [];
+          if (seenBy.some(entry => entry.id === reader.id)) return msg;
+          return { ...msg, seenBy: [...seenBy, { ...reader, readAt }] };
+        })
+      );
+    };
+    const typingTimers = new Map();
+    const handleTyping = ({ projectId: incoming, user, typing }) => {
+      if (incoming !== projectId || !user) return;
+      clearTimeout(typingTimers.get(user.id));
+      typingTimers.delete(user.id);
+      setTypingUsers(prev => prev.filter(entry => entry.id !== user.id));
+      if (!typing) return;
+      setTypingUsers(prev => [...prev, user]);
+      typingTimers.set(
+        user.id,
+        setTimeout(() => {
+          typingTimers.delete(user.id);
+          setTypingUsers(prev => prev.filter(entry => entry.id !== user.id));
+        }, TYPING_TIMEOUT_MS)
       );
     };
     const handleBadge = ({ projectId: incoming, unread }) => {
@@ -36,48 +219,131 @@ export function useProjectSocket({ projectId, token }) {
     };
 
     socket.on('project:bootstrapped', handleBootstrap);
+    socket.on('messages:page', handlePage);
+    socket.on('messages:error', handleHistoryError);
     socket.on('message:new', handleNewMessage);
     socket.on('message:ack', handleAck);
+    socket.on('message:error', handleMessageError);
+    socket.on('disconnect', handleDisconnect);
+    socket.on('message:updated', handleUpdated);
+    socket.on('message:deleted', handleUpdated);
+    socket.on('message:seen', handleSeen);
     socket.on('badge:sync', handleBadge);
+    socket.on('typing:update', handleTyping);
 
     const doJoin = () => {
+      setConnected(true);
       console.log('[SOCKET-CLIENT] Emitting project:join', { projectId });
       socket.emit('project:join', { projectId });
     };
+    // Rejoin on every reconnect: rooms are lost with the old connection
+    socket.on('connect', doJoin);
     if (socket.connected) {
       doJoin();
-    } else {
-      socket.once('connect', () => {
-        doJoin();
-      });
     }
 
     return () => {
       socket.off('project:bootstrapped', handleBootstrap);
+      socket.off('messages:page', handlePage);
+      socket.off('messages:error', handleHistoryError);
       socket.off('message:new', handleNewMessage);
       socket.off('message:ack', handleAck);
+      socket.off('message:error', handleMessageError);
+      socket.off('disconnect', handleDisconnect);
+      socket.off('connect', doJoin);
+      handleDisconnect();
+      socket.off('message:updated', handleUpdated);
+      socket.off('message:deleted', handleUpdated);
+      socket.off('message:seen', handleSeen);
       socket.off('badge:sync', handleBadge);
+      socket.off('typing:update', handleTyping);
+      typingTimers.forEach(clearTimeout);
+      setTypingUsers([]);
+      socket.emit('project:leave', { projectId });
+    };
+  }, [projectId, token, userId]);
+
+  const stopTyping = useMemo(() => {
+    return () => {
+      const state = typingRef.current;
+      clearTimeout(state.idleTimer);
+      state.idleTimer = null;
+      if (!state.active) return;
+      state.active = false;
+      socketRef.current?.emit('typing:stop', { projectId });
     };
-  }, [projectId, token]);
+  }, [projectId]);
+
+  // Call on every keystroke; emits typing:start once and typing:stop after a pause
+  const notifyTyping = useMemo(() => {
+    return () => {
+      if (!socketRef.current) return;
+      const state = typingRef.current;
+      if (!state.active) {
+        state.active = true;
+        socketRef.current.emit('typing:start', { projectId });
+      }
+      clearTimeout(state.idleTimer);
+      state.idleTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+    };
+  }, [projectId, stopTyping]);
+
+  useEffect(() => stopTyping, [stopTyping]);
 
   const sendMessage = useMemo(() => {
-    return body => {
-      if (!body || !socketRef.current) return;
-      const optimistic = {
+    return (body, attachments = [], parentId = null) => {
+      if (!body && attachments.length === 0) return;
+      const entry = {
         clientMessageId: crypto.randomUUID(),
-        body,
         projectId,
-        pending: true,
-        author: { id: 'me', displayName: 'You' },
+        senderId: userId,
+        body,
+        attachments,
+        parentId,
+        status: 'pending',
         createdAt: new Date().toISOString()
       };
-      setMessages(prev => [...prev, optimistic]);
-      console.log('[SOCKET-CLIENT] Emitting message:send', { projectId, clientMessageId: optimistic.clientMessageId });
-      socketRef.current.emit('message:send', {
-        projectId,
-        body,
-        clientMessageId: optimistic.clientMessageId
-      });
+      writeOutbox([...outboxRef.current.entries, entry]);
+      setMessages(prev => appendMessage(prev, toOptimisticMessage(entry)));
+      stopTyping();
+      emitEntry(entry);
+    };
+  }, [projectId, userId, stopTyping]);
+
+  const retryMessage = useMemo(() => {
+    return clientMessageId => {
+      const entry = outboxRef.current.entries.find(item => item.clientMessageId === clientMessageId);
+      if (!entry) return;
+      const retried = { ...entry, status: 'pending', error: null };
+      writeOutbox(outboxRef.current.entries.map(item => (item.clientMessageId === clientMessageId ? retried : item)));
+      setMessages(prev =>
+        mapMessages(prev, msg =>
+          msg.clientMessageId === clientMessageId ? { ...msg, pending: true, failed: false, error: null } : msg
+        )
+      );
+      emitEntry(retried);
+    };
+  }, [projectId]);
+
+  const discardMessage = useMemo(() => {
+    return clientMessageId => {
+      clearAckTimer(clientMessageId);
+      writeOutbox(outboxRef.current.entries.filter(item => item.clientMessageId !== clientMessageId));
+      setMessages(prev => removeClientMessage(prev, clientMessageId));
+    };
+  }, [projectId]);
+
+  const editMessage = useMemo(() => {
+    return (messageId, body) => {
+      if (!messageId || !socketRef.current) return;
+      socketRef.current.emit('message:edit', { projectId, messageId, body });
+    };
+  }, [projectId]);
+
+  const deleteMessage = useMemo(() => {
+    return messageId => {
+      if (!messageId || !socketRef.current) return;
+      socketRef.current.emit('message:delete', { projectId, messageId });
     };
   }, [projectId]);
 
@@ -88,5 +354,30 @@ export function useProjectSocket({ projectId, token }) {
     };
   }, [projectId]);
 
-  return { messages, sendMessage, markRead, badge };
+  const loadOlder = useMemo(() => {
+    return () => {
+      if (!socketRef.current || !history.hasMore || history.loadingOlder || !history.nextCursor) return;
+      setHistory(prev => ({ ...prev, loadingOlder: true }));
+      console.log('[SOCKET-CLIENT] Emitting messages:loadOlder', { projectId, before: history.nextCursor });
+      socketRef.current.emit('messages:loadOlder', { projectId, before: history.nextCursor });
+    };
+  }, [projectId, history]);
+
+  return {
+    messages,
+    sendMessage,
+    retryMessage,
+    discardMessage,
+    editMessage,
+    deleteMessage,
+    markRead,
+    badge,
+    connected,
+    typingUsers,
+    notifyTyping,
+    stopTyping,
+    hasOlder: history.hasMore,
+    loadingOlder: history.loadingOlder,
+    loadOlder
+  };
 }
@@ -14,14 +14,30 @@ import { getUser, listUsers, addUser, removeUser } from './lib/users.js';
 import { registerUser, authenticateUser, getUserById, getAllUsers as getAllUsersFromDb, updateUser, deleteUser as deleteUserFromDb } from './lib/auth.js';
 import { emailService } from './lib/email.js';
 import prisma, { query } from './lib/db.js';
+import { isUuid } from './lib/ids.js';
 import { projectStore } from './stores/projectStore.js';
-import { stageStore, stageStatuses, taskStatuses } from './stores/stageStore.js';
+import { stageStore, stageStatuses, taskStatuses, validateTemplateStages } from './stores/stageStore.js';
 import { checklistStore } from './stores/checklistStore.js';
 import { invoiceStore } from './stores/invoiceStore.js';
 import { inviteStore } from './stores/inviteStore.js';
-import { messageStore } from './stores/messageStore.js';
+import { messageStore, MESSAGE_PAGE_SIZE, resolveMentions } from './stores/messageStore.js';
 import { notificationStore } from './stores/notificationStore.js';
+import { presenceStore } from './stores/presenceStore.js';
+import { taskDependencyStore } from './stores/taskDependencyStore.js';
+import { buildTemplateSchedule, resolveScheduleAnchor } from './lib/schedule.js';
+import { applyModes, diffTemplateStages, executeTemplatePlan, planTemplateApplication, snapshotProjectStages } from './lib/templateApply.js';
 import * as templateStore from './stores/templateStore.js';
+import { buildTemplateExport, parseTemplateImport, templateExportFilename } from './lib/templateTransfer.js';
+import { generatePreview, previewKind } from './lib/previews.js';
+import { createStorage, storageKey } from './lib/storage.js';
+import {
+  documentKey,
+  missingRequiredSlots,
+  planUploadVersions,
+  slotFilesReplaced,
+  taskTransitionsFromUploads,
+  validateSlotUpload
+} from './lib/uploadRules.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -31,15 +47,19 @@ const app = express();
 // Use UPLOAD_DIR environment variable if set (for Render Disk), otherwise default to local ./uploads
 // In Render, set UPLOAD_DIR to your disk mount point (e.g., /var/data or /opt/render/project/src/server/uploads)
 const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
-const invoicesDir = path.join(uploadDir, 'invoices');
+// Multer stages incoming files here before they are moved into storage
+const stagingDir = path.join(uploadDir, '.incoming');
 
 // Create upload directories if they don't exist
 fs.mkdirSync(uploadDir, { recursive: true });
-fs.mkdirSync(invoicesDir, { recursive: true });
+fs.mkdirSync(stagingDir, { recursive: true });
+
+// Files saved before UPLOAD_DIR was configured may still sit in ./uploads
+const storage = createStorage({ uploadDir, legacyDirs: [path.join(__dirname, 'uploads')] });
 
 console.log('[STARTUP] Upload directory:', uploadDir);
-console.log('[STARTUP] Invoices directory:', invoicesDir);
-console.log('[STARTUP] Using persistent storage:', !!process.env.UPLOAD_DIR);
+console.log('[STARTUP] Storage driver:', storage.name);
+console.log('[STARTUP] Using persistent storage:', storage.name !== 'local' || !!process.env.UPLOAD_DIR);
 
 let io;
 
@@ -70,16 +90,47 @@ function corsOriginHandler(origin, callback) {
   return callback(new Error('Not allowed by CORS'), false);
 }
 
-function emitNotificationSummary(userId) {
+async function emitNotificationSummary(userId) {
   if (!io) return;
-  const summary = notificationStore.summary(userId);
-  io.to(`user:${userId}`).emit('notification:update', { summary });
+  try {
+    const summary = await notificationStore.summary(userId);
+    io.to(`user:${userId}`).emit('notification:update', { summary });
+  } catch (error) {
+    console.error('[NOTIFICATIONS] Failed to emit summary for user:', userId, error.message);
+  }
 }
 
 function emitNotificationSummaries(userIds) {
   [...new Set(userIds)].forEach(emitNotificationSummary);
 }
 
+// Read receipts in message_reads drive every chat unread count, so each way of
+// marking a project's chat read records them and clears the matching feed rows
+async function markProjectMessagesRead(user, projectId) {
+  const { messageIds, readAt } = await messageStore.markRead({ projectId, userId: user.id });
+  if (messageIds.length > 0) {
+    io?.to(projectId).emit('message:seen', {
+      projectId,
+      messageIds,
+      reader: { id: user.id, displayName: user.displayName },
+      readAt
+    });
+  }
+  await notificationStore.markMessageRead({ userId: user.id, projectId });
+  const unread = await messageStore.unreadCount({ projectId, userId: user.id });
+  io?.to(`user:${user.id}`).emit('badge:sync', { projectId, unread });
+}
+
+async function emitPresence(projectId) {
+  if (!io) return;
+  try {
+    const state = await presenceStore.snapshot(projectId);
+    io.to(projectId).emit('presence:state', state);
+  } catch (error) {
+    console.error('[PRESENCE] Failed to emit presence for project:', projectId, error.message);
+  }
+}
+
 app.use(cors({ origin: corsOriginHandler, credentials: true }));
 
 // Cookie parser middleware for reading/setting cookies
@@ -757,18 +808,77 @@ app.get('/db/test', async (req, res) => {
 // The old authMiddleware.http is NOT used anymore (it expects Authorization header, not cookies)
 
 // Multer configuration for file uploads
-const storage = multer.diskStorage({
-  destination: (_, __, cb) => cb(null, uploadDir),
+const stagingStorage = multer.diskStorage({
+  destination: (_, __, cb) => cb(null, stagingDir),
   filename: (_, file, cb) => cb(null, `${Date.now()}-${file.originalname}`)
 });
-const upload = multer({ storage });
+const upload = multer({ storage: stagingStorage });
+
+// Invoices are staged the same way and saved under invoices/ in storage
+const invoiceUpload = multer({ storage: stagingStorage });
+
+// Invoice rows store 'uploads/invoices/<file>' (old), 'invoices/<file>' or a bare filename
+const invoiceStorageKey = fileUrl => {
+  const key = storageKey(fileUrl);
+  return key.includes('/') ? key : `invoices/${key}`;
+};
+
+// Streams a stored file as a download; resolves false when it is missing
+// Streams a stored object to the response. A read error before anything was sent
+// becomes a 404 (object gone) or 500; later errors can only abort the response.
+function pipeStoredStream(res, stream, label) {
+  stream.on('error', error => {
+    console.error('[STORAGE] Error streaming file:', label, error);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    const missing = error?.code === 'ENOENT' || error?.name === 'NoSuchKey';
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('Content-Length');
+    res.status(missing ? 404 : 500).json({ error: missing ? 'File not found' : 'Failed to download file' });
+  });
+  stream.pipe(res);
+}
 
-// Separate storage configuration for invoices
-const invoiceStorage = multer.diskStorage({
-  destination: (_, __, cb) => cb(null, path.join(uploadDir, 'invoices')),
-  filename: (_, file, cb) => cb(null, `${Date.now()}-${file.originalname}`)
+async function sendStoredFile(res, key, fileName) {
+  const stored = await storage.open(key);
+  if (!stored) return false;
+
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Type, Content-Length');
+  res.setHeader('Cache-Control', 'private, max-age=0, must-revalidate');
+  res.setHeader('Content-Disposition', storage.contentDisposition(fileName));
+  res.type(stored.contentType || path.extname(fileName) || 'application/octet-stream');
+  if (stored.size != null) {
+    res.setHeader('Content-Length', stored.size);
+  }
+  pipeStoredStream(res, stored.stream, key);
+  return true;
+}
+
+// Absolute URL of this server, for signed URLs served by the local storage driver.
+// PUBLIC_API_URL overrides it when the server sits behind a proxy.
+const requestBaseUrl = req => {
+  const protocol = req.get('x-forwarded-proto')?.split(',')[0].trim() || req.protocol;
+  return (process.env.PUBLIC_API_URL || `${protocol}://${req.get('host')}`).replace(/\/$/, '');
+};
+
+// Signed URLs from the local driver land here; S3 URLs go straight to the bucket
+app.get('/storage/files', async (req, res) => {
+  try {
+    const signed = storage.verifySignedUrl(req.query);
+    if (!signed) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+    const sent = await sendStoredFile(res, signed.key, signed.fileName);
+    if (!sent) {
+      res.status(404).json({ error: 'File not found' });
+    }
+  } catch (error) {
+    console.error('[ERROR] Failed to serve signed download:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
 });
-const invoiceUpload = multer({ storage: invoiceStorage });
 
 app.get('/users', authRequired, async (req, res) => {
   try {
@@ -845,7 +955,7 @@ app.post('/users', authRequired, async (req, res) => {
 
     if (ownerRecipients.length > 0) {
       const recipientIds = ownerRecipients.map(u => u.id);
-      notificationStore.bumpUserChange({
+      await notificationStore.bumpUserChange({
         recipients: recipientIds,
         actorId: req.user.id,
         actorName: req.user.displayName,
@@ -945,7 +1055,7 @@ app.delete('/users/:userId', authRequired, async (req, res) => {
 
     if (ownerRecipients.length > 0) {
       const recipientIds = ownerRecipients.map(u => u.id);
-      notificationStore.bumpUserChange({
+      await notificationStore.bumpUserChange({
         recipients: recipientIds,
         actorId: req.user.id,
         actorName: req.user.displayName,
@@ -974,6 +1084,46 @@ app.get('/me', (req, res) => {
   res.json({ user: req.user, projects: projectStore.listForUser(req.user.id) });
 });
 
+// Tasks assigned to the signed-in user across every project they still belong to
+app.get('/me/tasks', authRequired, async (req, res) => {
+  try {
+    const includeCompleted = req.query.includeCompleted === 'true';
+
+    const tasks = await prisma.task.findMany({
+      where: {
+        assigneeId: req.user.id,
+        ...(includeCompleted ? {} : { state: { not: 'completed' } }),
+        stage: {
+          project: {
+            members: { some: { userId: req.user.id } }
+          }
+        }
+      },
+      include: {
+        stage: {
+          select: {
+            id: true,
+            name: true,
+            project: { select: { id: true, name: true } }
+          }
+        }
+      },
+      orderBy: [{ dueDate: { sort: 'asc', nulls: 'last' } }, { position: 'asc' }]
+    });
+
+    res.json({
+      tasks: tasks.map(({ stage, ...task }) => ({
+        ...task,
+        stage: { id: stage.id, name: stage.name },
+        project: stage.project
+      }))
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to load assigned tasks:', error);
+    res.status(500).json({ error: 'Failed to load assigned tasks' });
+  }
+});
+
 app.get('/template/stages', authRequired, (req, res) => {
   const template = stageStore.getTemplateDefinition();
   res.json({
@@ -999,56 +1149,179 @@ app.put('/template/stages', authRequired, (req, res) => {
 });
 
 // Template management endpoints
-app.get('/templates', authRequired, (req, res) => {
-  const templates = templateStore.listTemplates();
-  res.json({ templates });
+app.get('/templates', authRequired, async (req, res) => {
+  try {
+    const templates = await templateStore.listTemplates();
+    res.json({ templates });
+  } catch (error) {
+    console.error('[ERROR] Failed to list templates:', error);
+    res.status(500).json({ error: 'Failed to list templates' });
+  }
 });
 
-app.get('/templates/:id', authRequired, (req, res) => {
-  const { id } = req.params;
-  const template = templateStore.getTemplate(id);
-  if (!template) {
-    return res.status(404).json({ error: 'Template not found' });
+app.get('/templates/:id', authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const template = await templateStore.getTemplate(id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ template });
+  } catch (error) {
+    console.error('[ERROR] Failed to load template:', error);
+    res.status(500).json({ error: 'Failed to load template' });
   }
-  res.json({ template });
 });
 
-app.post('/templates', authRequired, (req, res) => {
+app.post('/templates', authRequired, async (req, res) => {
   if (req.user.role !== 'owner') {
     return res.status(403).json({ error: 'Only owners can create templates' });
   }
   try {
-    const { name, description, stages } = req.body;
-    if (!name || !stages || !Array.isArray(stages) || stages.length === 0) {
+    const { name, description } = req.body;
+    if (!name || !req.body.stages || !Array.isArray(req.body.stages) || req.body.stages.length === 0) {
       throw new Error('Name and stages are required');
     }
-    const template = templateStore.createTemplate({ name, description, stages });
+    // Same rules as imported and saved-from-project templates
+    const { stages, errors } = validateTemplateStages(req.body.stages);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0].message, errors });
+    }
+    const template = await templateStore.createTemplate({ name, description, stages, createdById: req.user.id });
     res.json({ template });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-app.put('/templates/:id', authRequired, (req, res) => {
+app.put('/templates/:id', authRequired, async (req, res) => {
   if (req.user.role !== 'owner') {
     return res.status(403).json({ error: 'Only owners can update templates' });
   }
   try {
     const { id } = req.params;
-    const template = templateStore.updateTemplate(id, req.body);
+    const updates = { ...(req.body ?? {}) };
+    if (Array.isArray(updates.stages) && updates.stages.length > 0) {
+      const { stages, errors } = validateTemplateStages(updates.stages);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors[0].message, errors });
+      }
+      updates.stages = stages;
+    }
+    const template = await templateStore.updateTemplate(id, updates, { updatedById: req.user.id });
+    res.json({ template });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/templates/:id/export', authRequired, async (req, res) => {
+  try {
+    const template = await templateStore.getTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${templateExportFilename(template)}"`);
+    res.json(buildTemplateExport(template));
+  } catch (error) {
+    console.error('[ERROR] Failed to export template:', error);
+    res.status(500).json({ error: 'Failed to export template' });
+  }
+});
+
+// Body: { document } holding the exported file's text, so errors can point at its lines
+app.post('/templates/import', authRequired, async (req, res) => {
+  if (req.user.role !== 'owner') {
+    return res.status(403).json({ error: 'Only owners can import templates' });
+  }
+  try {
+    const { document } = req.body ?? {};
+    if (document === undefined || document === null || document === '') {
+      return res.status(400).json({ error: 'A template document is required' });
+    }
+    const { template: imported, errors } = parseTemplateImport(document);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Template file is not valid', errors });
+    }
+    const template = await templateStore.createTemplate({ ...imported, createdById: req.user.id });
+    console.log('[INFO] Imported template', template.id, 'with', template.stageCount, 'stages');
+    res.status(201).json({ template });
+  } catch (error) {
+    console.error('[ERROR] Failed to import template:', error);
+    res.status(500).json({ error: 'Failed to import template' });
+  }
+});
+
+app.get('/templates/:id/versions', authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const versions = await templateStore.listVersions(id);
+    res.json({ versions });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.get('/templates/:id/versions/:version', authRequired, async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const snapshot = await templateStore.getVersion(id, Number(version));
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+    res.json({ version: snapshot });
+  } catch (error) {
+    console.error('[ERROR] Failed to load template version:', error);
+    res.status(500).json({ error: 'Failed to load template version' });
+  }
+});
+
+// Diff between two versions; `to` defaults to the current version, `from` to the one before it
+app.get('/templates/:id/diff', authRequired, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const template = await templateStore.getTemplate(id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const to = req.query.to ? Number(req.query.to) : template.currentVersion;
+    const from = req.query.from ? Number(req.query.from) : to - 1;
+    const [fromVersion, toVersion] = await Promise.all([
+      templateStore.getVersion(id, from),
+      templateStore.getVersion(id, to)
+    ]);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    res.json({ from, to, diff: diffTemplateStages(fromVersion.stages, toVersion.stages) });
+  } catch (error) {
+    console.error('[ERROR] Failed to diff template versions:', error);
+    res.status(500).json({ error: 'Failed to diff template versions' });
+  }
+});
+
+app.post('/templates/:id/default', authRequired, async (req, res) => {
+  if (req.user.role !== 'owner') {
+    return res.status(403).json({ error: 'Only owners can change the default template' });
+  }
+  try {
+    const { id } = req.params;
+    const template = await templateStore.setDefaultTemplate(id);
     res.json({ template });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-app.delete('/templates/:id', authRequired, (req, res) => {
+app.delete('/templates/:id', authRequired, async (req, res) => {
   if (req.user.role !== 'owner') {
     return res.status(403).json({ error: 'Only owners can delete templates' });
   }
   try {
     const { id } = req.params;
-    templateStore.deleteTemplate(id);
+    await templateStore.deleteTemplate(id);
     res.json({ success: true });
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -1232,7 +1505,7 @@ app.post('/projects/:projectId/invite', authRequired, async (req, res) => {
     });
 
     // Send notification to invited user
-    notificationStore.bumpUserChange({
+    await notificationStore.bumpUserChange({
       recipients: [userId],
       actorId: req.user.id,
       actorName: req.user.displayName,
@@ -1247,7 +1520,7 @@ app.post('/projects/:projectId/invite', authRequired, async (req, res) => {
       .filter(id => id !== userId && id !== req.user.id);
 
     if (otherMembers.length > 0) {
-      notificationStore.bumpUserChange({
+      await notificationStore.bumpUserChange({
         recipients: otherMembers,
         actorId: req.user.id,
         actorName: req.user.displayName,
@@ -1308,7 +1581,7 @@ app.delete('/projects/:projectId/members/:memberId', authRequired, async (req, r
     const summaryTargets = new Set([...remainingRecipients, memberId]);
 
     if (remainingRecipients.length > 0) {
-      notificationStore.bumpUserChange({
+      await notificationStore.bumpUserChange({
         recipients: remainingRecipients,
         actorId: req.user.id,
         actorName: req.user.displayName,
@@ -1319,7 +1592,7 @@ app.delete('/projects/:projectId/members/:memberId', authRequired, async (req, r
       });
     }
 
-    notificationStore.bumpUserChange({
+    await notificationStore.bumpUserChange({
       recipients: [memberId],
       actorId: req.user.id,
       actorName: req.user.displayName,
@@ -1350,7 +1623,11 @@ app.get('/projects/:projectId/stages', authRequired, async (req, res) => {
           orderBy: { position: 'asc' },
           include: {
             tasks: {
-              orderBy: { position: 'asc' }
+              orderBy: { position: 'asc' },
+              include: {
+                assignedTo: { select: taskAssigneeSelect },
+                predecessors: { select: { dependsOnId: true } }
+              }
             },
             uploadDefinitions: true,
             toggles: true
@@ -1403,8 +1680,17 @@ app.get('/projects/:projectId/stages', authRequired, async (req, res) => {
       percentComplete
     };
     
+    // Flatten predecessor links to plain task ids for the client
+    const stages = project.stages.map(stage => ({
+      ...stage,
+      tasks: stage.tasks.map(({ predecessors, ...task }) => ({
+        ...task,
+        dependsOn: predecessors.map(link => link.dependsOnId)
+      }))
+    }));
+
     res.json({ 
-      stages: project.stages, 
+      stages, 
       statuses: stageStatuses, 
       taskStatuses, 
       progress 
@@ -1415,11 +1701,86 @@ app.get('/projects/:projectId/stages', authRequired, async (req, res) => {
   }
 });
 
-app.post('/projects/:projectId/apply-template', authRequired, async (req, res) => {
-  const { projectId } = req.params;
-  const { templateId } = req.body ?? {};
-  
-  // Check if project exists in database
+// Plans (and unless dryRun, writes) a template's content onto a project and
+// records the template id + version the project now follows. `source` is the
+// content being applied: the live template or one of its immutable versions.
+async function applyTemplateToProject({ project, template, source, version, mode, anchor, skipWeekends, dryRun, actor }) {
+  let schedule;
+  try {
+    const scheduleAnchor = resolveScheduleAnchor(project, anchor);
+    schedule = buildTemplateSchedule(source.stages, { ...scheduleAnchor, skipWeekends: Boolean(skipWeekends) });
+  } catch (error) {
+    return { status: 400, body: { error: error.message } };
+  }
+
+  console.log('[APPLY-TEMPLATE] Applying template:', template.name, `v${version}`, 'Mode:', mode, dryRun ? '(dry run)' : '');
+  console.log('[APPLY-TEMPLATE] Template has', source.stages.length, 'stages');
+  console.log('[APPLY-TEMPLATE] Project:', project.id, 'Anchor:', anchor, 'Skip weekends:', Boolean(skipWeekends));
+
+  const existingStages = await prisma.stage.findMany({
+    where: { projectId: project.id },
+    include: { tasks: { orderBy: { position: 'asc' } }, uploadDefinitions: true, toggles: true },
+    orderBy: { position: 'asc' }
+  });
+  const plan = planTemplateApplication({ template: source, existingStages, schedule, mode });
+  const templateSummary = {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    version,
+    stagesCount: source.stages.length
+  };
+
+  if (dryRun) {
+    return { status: 200, body: { dryRun: true, plan, template: templateSummary } };
+  }
+
+  await prisma.$transaction(async tx => {
+    await executeTemplatePlan(tx, { projectId: project.id, plan });
+    await tx.project.update({
+      where: { id: project.id },
+      data: { templateId: template.id, templateVersion: version, templateAppliedAt: new Date() }
+    });
+  }, { timeout: 20000 });
+
+  console.log('[APPLY-TEMPLATE] Applied template:', plan.summary);
+
+  const stages = await prisma.stage.findMany({
+    where: { projectId: project.id },
+    orderBy: { position: 'asc' }
+  });
+
+  // Notify all project members
+  const memberIds = project.members.map(m => m.userId);
+  await notificationStore.bumpProjectChange({
+    projectId: project.id,
+    projectName: project.name,
+    actorId: actor.id,
+    actorName: actor.displayName,
+    memberIds,
+    change: { type: 'template_applied', templateName: template.name, version, mode, summary: plan.summary }
+  });
+
+  const recipients = memberIds.filter(id => id !== actor.id);
+  if (recipients.length > 0) {
+    emitNotificationSummaries(recipients);
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: mode === 'merge'
+        ? `Template "${template.name}" merged: ${plan.summary.stagesAdded} stages and ${plan.summary.tasksAdded} tasks added`
+        : `Template "${template.name}" applied successfully with ${stages.length} stages`,
+      plan,
+      stages,
+      template: templateSummary
+    }
+  };
+}
+
+async function loadProjectForTemplates(projectId, userId) {
   const project = await prisma.project.findUnique({
     where: { id: projectId },
     include: {
@@ -1430,125 +1791,80 @@ app.post('/projects/:projectId/apply-template', authRequired, async (req, res) =
       }
     }
   });
-  
   if (!project) {
-    return res.status(404).json({ error: 'Project not found' });
+    return { status: 404, error: 'Project not found' };
   }
-  
-  // Check if user is a member with owner or staff role
-  const member = project.members.find(m => m.userId === req.user.id);
+  // Only members with owner or staff role manage a project's template
+  const member = project.members.find(m => m.userId === userId);
   if (!member || (member.role !== 'owner' && member.role !== 'staff')) {
-    return res.status(403).json({ error: 'Only owners or staff can apply templates' });
+    return { status: 403, error: 'Only owners or staff can apply templates' };
+  }
+  return { project };
+}
+
+// Applies a template to a project. `mode: 'merge'` (the default) keeps existing
+// stages and tasks and only adds what is missing; `mode: 'replace'` starts over.
+// `version` applies an older snapshot, `?dryRun=true` returns the plan without
+// writing, and due dates run forward from project creation or backward from the
+// `anchor` date, optionally counting business days only (`skipWeekends`).
+app.post('/projects/:projectId/apply-template', authRequired, async (req, res) => {
+  const { projectId } = req.params;
+  const { templateId, version, anchor = 'creation', skipWeekends = false, mode = 'merge' } = req.body ?? {};
+  const dryRun = req.query.dryRun === 'true';
+
+  if (!applyModes.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${applyModes.join(', ')}` });
   }
   
   try {
+    const { project, status, error } = await loadProjectForTemplates(projectId, req.user.id);
+    if (!project) {
+      return res.status(status).json({ error });
+    }
+
     // Get the template from templateStore
-    const template = templateStore.getTemplate(templateId);
+    const template = await templateStore.getTemplate(templateId);
     if (!template) {
       return res.status(404).json({ error: 'Template not found' });
     }
-    
-    console.log('[APPLY-TEMPLATE] Applying template:', template.name);
-    console.log('[APPLY-TEMPLATE] Template has', template.stages.length, 'stages');
-    console.log('[APPLY-TEMPLATE] Project:', projectId);
-    
-    // Delete existing stages for this project
-    await prisma.stage.deleteMany({
-      where: { projectId }
-    });
-    
-    console.log('[APPLY-TEMPLATE] Existing stages deleted');
-    
-    // Create new stages from the template
-    const createdStages = [];
-    for (let i = 0; i < template.stages.length; i++) {
-      const templateStage = template.stages[i];
-      
-      const newStage = await prisma.stage.create({
-        data: {
-          projectId,
-          name: templateStage.name,
-          position: i,
-          status: 'not_started',
-          description: templateStage.description || null
-        }
-      });
-      
-      console.log('[APPLY-TEMPLATE] Created stage:', newStage.name);
-      createdStages.push(newStage);
-      
-      // Create tasks for this stage (from either 'tasks' or 'checklist' field for backwards compatibility)
-      const tasksSource = templateStage.tasks || templateStage.checklist || [];
-      
-      if (tasksSource.length > 0) {
-        for (const taskItem of tasksSource) {
-          await prisma.task.create({
-            data: {
-              stageId: newStage.id,
-              title: taskItem.title || taskItem.text || taskItem,
-              state: 'not_started',
-              position: taskItem.position || 0
-            }
-          });
-        }
-        console.log('[APPLY-TEMPLATE] Created', tasksSource.length, 'tasks for stage:', newStage.name);
-      }
-    }
-    
-    console.log('[APPLY-TEMPLATE] Successfully applied template with', createdStages.length, 'stages');
-    
-    // Notify all project members
-    const memberIds = project.members.map(m => m.userId);
-    notificationStore.bumpProjectChange({
-      projectId,
-      projectName: project.name,
-      actorId: req.user.id,
-      actorName: req.user.displayName,
-      memberIds,
-      change: { type: 'template_applied', templateName: template.name }
-    });
-    
-    const recipients = memberIds.filter(id => id !== req.user.id);
-    if (recipients.length > 0) {
-      emitNotificationSummaries(recipients);
-    }
-    
-    // Return success with the created stages
-    res.json({ 
-      success: true,
-      message: `Template "${template.name}" applied successfully with ${createdStages.length} stages`,
-      stages: createdStages,
-      template: {
-        id: template.id,
-        name: template.name,
-        description: template.description,
-        stagesCount: createdStages.length
+
+    let source = template;
+    let appliedVersion = template.currentVersion;
+    if (version !== undefined && version !== null && Number(version) !== template.currentVersion) {
+      source = await templateStore.getVersion(template.id, Number(version));
+      if (!source) {
+        return res.status(404).json({ error: 'Template version not found' });
       }
+      appliedVersion = source.version;
+    }
+
+    const result = await applyTemplateToProject({
+      project,
+      template,
+      source,
+      version: appliedVersion,
+      mode,
+      anchor,
+      skipWeekends,
+      dryRun,
+      actor: req.user
     });
+    res.status(result.status).json(result.body);
   } catch (error) {
     console.error('[ERROR] Apply template failed:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.patch('/projects/:projectId/stages/:stageId', authRequired, async (req, res) => {
+// Which template version the project was built from, and what changed since
+app.get('/projects/:projectId/template', authRequired, async (req, res) => {
   try {
-    const { projectId, stageId } = req.params;
-    const { status } = req.body ?? {};
-
-    console.log('[STAGE UPDATE] Request to update stage:', stageId, 'Status:', status);
-
-    if (!status) {
-      return res.status(400).json({ error: 'Status is required' });
-    }
-
-    // Check if project exists and user has permission
+    const { projectId } = req.params;
     const project = await prisma.project.findUnique({
       where: { id: projectId },
       include: {
-        members: {
-          where: { userId: req.user.id }
-        }
+        template: true,
+        members: { where: { userId: req.user.id } }
       }
     });
 
@@ -1560,56 +1876,259 @@ app.patch('/projects/:projectId/stages/:stageId', authRequired, async (req, res)
       return res.status(403).json({ error: 'Forbidden' });
     }
 
-    const member = project.members[0];
-    if (member.role === 'client') {
-      return res.status(403).json({ error: 'Only owners or staff can change stage status' });
+    if (!project.template) {
+      return res.json({ lineage: null });
     }
 
-    // Get existing stage
-    const existingStage = await prisma.stage.findUnique({
-      where: { id: stageId }
+    const { template } = project;
+    const upgradeAvailable = (project.templateVersion ?? 0) < template.currentVersion;
+    const applied = upgradeAvailable && project.templateVersion
+      ? await templateStore.getVersion(template.id, project.templateVersion)
+      : null;
+
+    res.json({
+      lineage: {
+        template: { id: template.id, name: template.name, currentVersion: template.currentVersion },
+        appliedVersion: project.templateVersion,
+        appliedAt: project.templateAppliedAt,
+        upgradeAvailable,
+        diff: upgradeAvailable ? diffTemplateStages(applied?.stages ?? [], template.stages) : null
+      }
     });
+  } catch (error) {
+    console.error('[ERROR] Failed to load project template lineage:', error);
+    res.status(500).json({ error: 'Failed to load project template' });
+  }
+});
 
-    if (!existingStage || existingStage.projectId !== projectId) {
-      return res.status(404).json({ error: 'Stage not found' });
+// Rolls the latest version of the project's template in, always in merge mode
+// so existing progress is kept. Supports `?dryRun=true` like apply-template.
+app.post('/projects/:projectId/template/upgrade', authRequired, async (req, res) => {
+  const { projectId } = req.params;
+  const { anchor = 'creation', skipWeekends = false } = req.body ?? {};
+  const dryRun = req.query.dryRun === 'true';
+
+  try {
+    const { project, status, error } = await loadProjectForTemplates(projectId, req.user.id);
+    if (!project) {
+      return res.status(status).json({ error });
     }
 
-    // Update stage status
-    const stage = await prisma.stage.update({
-      where: { id: stageId },
-      data: { status }
+    const template = project.templateId ? await templateStore.getTemplate(project.templateId) : null;
+    if (!template) {
+      return res.status(400).json({ error: 'Project was not built from a saved template' });
+    }
+
+    if ((project.templateVersion ?? 0) >= template.currentVersion) {
+      return res.status(400).json({ error: 'Project is already on the latest template version' });
+    }
+
+    const result = await applyTemplateToProject({
+      project,
+      template,
+      source: template,
+      version: template.currentVersion,
+      mode: 'merge',
+      anchor,
+      skipWeekends,
+      dryRun,
+      actor: req.user
     });
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('[ERROR] Template upgrade failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log('[STAGE UPDATE] Stage updated:', stage.name, 'New status:', stage.status);
+// Snapshots the project's current stages, tasks, toggles and upload slots into
+// a new saved template (no dates or progress). The project then follows v1 of
+// that template, and its stages and tasks take the slugs the template uses.
+app.post('/projects/:projectId/save-as-template', authRequired, async (req, res) => {
+  if (req.user.role !== 'owner') {
+    return res.status(403).json({ error: 'Only owners can create templates' });
+  }
+  const { projectId } = req.params;
+  const { name, description } = req.body ?? {};
 
-    // Calculate progress based on tasks (not stages)
-    const allStages = await prisma.stage.findMany({
+  try {
+    const { project, status, error } = await loadProjectForTemplates(projectId, req.user.id);
+    if (!project) {
+      return res.status(status).json({ error });
+    }
+
+    const projectStages = await prisma.stage.findMany({
       where: { projectId },
       include: {
-        tasks: true
+        tasks: { orderBy: { position: 'asc' } },
+        toggles: { orderBy: { createdAt: 'asc' } },
+        uploadDefinitions: { orderBy: { createdAt: 'asc' } }
       },
       orderBy: { position: 'asc' }
     });
+    if (projectStages.length === 0) {
+      return res.status(400).json({ error: 'Project has no stages to save' });
+    }
 
-    const allTasks = allStages.flatMap(stage => stage.tasks);
-    const total = allTasks.length;
-    const completed = allTasks.filter(t => t.state === 'completed').length;
-    const progress = { total, completed, percentage: total > 0 ? Math.round((completed / total) * 100) : 0 };
+    const snapshot = snapshotProjectStages(projectStages, { projectStart: project.createdAt });
+    const { stages, errors } = validateTemplateStages(snapshot);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0].message, errors });
+    }
 
-    // Get all project members for notifications
-    const allMembers = await prisma.projectMember.findMany({
-      where: { projectId },
-      select: { userId: true }
+    const templateName = typeof name === 'string' && name.trim() ? name.trim() : `${project.name} workflow`;
+    const template = await templateStore.createTemplate({
+      name: templateName,
+      description: typeof description === 'string' && description.trim() ? description.trim() : `Saved from ${project.name}`,
+      stages,
+      createdById: req.user.id
     });
 
-    const memberIds = allMembers.map(m => m.userId);
-    notificationStore.bumpProjectChange({
-      projectId,
-      projectName: project.name,
-      actorId: req.user.id,
+    await prisma.$transaction(async tx => {
+      for (const [index, stage] of projectStages.entries()) {
+        const templateStage = stages[index];
+        if (stage.templateSlug !== templateStage.slug) {
+          await tx.stage.update({ where: { id: stage.id }, data: { templateSlug: templateStage.slug } });
+        }
+        for (const [taskIndex, task] of stage.tasks.entries()) {
+          const slug = templateStage.tasks[taskIndex].slug;
+          if (task.templateSlug !== slug) {
+            await tx.task.update({ where: { id: task.id }, data: { templateSlug: slug } });
+          }
+        }
+      }
+      await tx.project.update({
+        where: { id: projectId },
+        data: { templateId: template.id, templateVersion: template.currentVersion, templateAppliedAt: new Date() }
+      });
+    }, { timeout: 20000 });
+
+    console.log('[SAVE-AS-TEMPLATE] Saved project', projectId, 'as template', template.id, 'with', stages.length, 'stages');
+    res.status(201).json({ template });
+  } catch (error) {
+    console.error('[ERROR] Failed to save project as template:', error);
+    res.status(500).json({ error: 'Failed to save project as template' });
+  }
+});
+
+const DUE_DATE_FORMAT_ERROR = 'Due date must be a date in YYYY-MM-DD format';
+
+// Stage and task due dates arrive as YYYY-MM-DD from date inputs and are stored as
+// UTC midnight to avoid timezone shifts. Returns null for an empty value and
+// undefined when the value is not a real calendar date.
+function parseDueDate(value) {
+  if (value === null || value === '') return null;
+  const match = typeof value === 'string' ? value.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+  if (!match) return undefined;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : undefined;
+}
+
+app.patch('/projects/:projectId/stages/:stageId', authRequired, async (req, res) => {
+  try {
+    const { projectId, stageId } = req.params;
+    const { status, dueDate } = req.body ?? {};
+
+    console.log('[STAGE UPDATE] Request to update stage:', stageId, 'Status:', status, 'Due date:', dueDate);
+
+    if (!status && dueDate === undefined) {
+      return res.status(400).json({ error: 'Status or due date is required' });
+    }
+
+    const updateData = {};
+    if (status) updateData.status = status;
+    if (dueDate !== undefined) {
+      updateData.dueDate = parseDueDate(dueDate);
+      if (updateData.dueDate === undefined) {
+        return res.status(400).json({ error: DUE_DATE_FORMAT_ERROR });
+      }
+    }
+
+    // Check if project exists and user has permission
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: {
+        members: {
+          where: { userId: req.user.id }
+        }
+      }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.members.length === 0) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const member = project.members[0];
+    if (member.role === 'client') {
+      return res.status(403).json({ error: 'Only owners or staff can change stage status' });
+    }
+
+    // Get existing stage
+    const existingStage = await prisma.stage.findUnique({
+      where: { id: stageId }
+    });
+
+    if (!existingStage || existingStage.projectId !== projectId) {
+      return res.status(404).json({ error: 'Stage not found' });
+    }
+
+    if (status === 'completed' && existingStage.status !== 'completed') {
+      const definitions = await prisma.uploadDefinition.findMany({
+        where: { stageId },
+        include: { _count: { select: { uploads: { where: slotUploadWhere } } } }
+      });
+      const missing = missingRequiredSlots(definitions);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: `Stage cannot be completed until required uploads are provided: ${missing.map(definition => definition.label).join(', ')}`,
+          missingUploads: missing.map(definition => ({ id: definition.id, label: definition.label }))
+        });
+      }
+    }
+
+    // Update stage status and/or due date
+    const stage = await prisma.stage.update({
+      where: { id: stageId },
+      data: updateData
+    });
+
+    console.log('[STAGE UPDATE] Stage updated:', stage.name, 'New status:', stage.status, 'Due date:', stage.dueDate);
+
+    // Calculate progress based on tasks (not stages)
+    const allStages = await prisma.stage.findMany({
+      where: { projectId },
+      include: {
+        tasks: true
+      },
+      orderBy: { position: 'asc' }
+    });
+
+    const allTasks = allStages.flatMap(stage => stage.tasks);
+    const total = allTasks.length;
+    const completed = allTasks.filter(t => t.state === 'completed').length;
+    const progress = { total, completed, percentage: total > 0 ? Math.round((completed / total) * 100) : 0 };
+
+    // Get all project members for notifications
+    const allMembers = await prisma.projectMember.findMany({
+      where: { projectId },
+      select: { userId: true }
+    });
+
+    const memberIds = allMembers.map(m => m.userId);
+    await notificationStore.bumpProjectChange({
+      projectId,
+      projectName: project.name,
+      actorId: req.user.id,
       actorName: req.user.displayName,
       memberIds,
-      change: { type: 'stage_status', stageName: stage.name, status }
+      change: status
+        ? { type: 'stage_status', stageName: stage.name, status }
+        : { type: 'stage_rescheduled', stageName: stage.name, dueDate: stage.dueDate }
     });
 
     const recipients = memberIds.filter(id => id !== req.user.id);
@@ -1625,18 +2144,194 @@ app.patch('/projects/:projectId/stages/:stageId', authRequired, async (req, res)
   }
 });
 
+// Tasks may only be assigned to members of the project. Returns null when the user
+// is not a member; the legacy `assignee` text mirrors the display name.
+async function resolveTaskAssignee(projectId, assigneeId) {
+  if (!assigneeId) {
+    return { assigneeId: null, assignee: null };
+  }
+  // Anything but a UUID can't be a member and would make Prisma throw
+  if (!isUuid(assigneeId)) {
+    return null;
+  }
+  const membership = await prisma.projectMember.findUnique({
+    where: { projectId_userId: { projectId, userId: assigneeId } },
+    include: { user: { select: { id: true, displayName: true } } }
+  });
+  if (!membership) {
+    return null;
+  }
+  return { assigneeId: membership.user.id, assignee: membership.user.displayName };
+}
+
+const taskAssigneeSelect = { id: true, displayName: true, email: true, role: true };
+
+async function notifyTaskAssignee({ project, stageName, task, actor }) {
+  if (!task.assigneeId || task.assigneeId === actor.id) return;
+
+  await notificationStore.bumpProjectChange({
+    projectId: project.id,
+    projectName: project.name,
+    actorId: actor.id,
+    actorName: actor.displayName,
+    memberIds: [task.assigneeId],
+    change: { type: 'task_assigned', stageName, taskTitle: task.title }
+  });
+  emitNotificationSummaries([task.assigneeId]);
+
+  const assignee = await prisma.user.findUnique({
+    where: { id: task.assigneeId },
+    select: { email: true }
+  });
+  if (assignee?.email) {
+    console.log('[EMAIL] Sending task assignment to:', assignee.email);
+    emailService.sendTaskAssignedNotification({
+      to: assignee.email,
+      userName: actor.displayName,
+      projectName: project.name,
+      taskTitle: task.title,
+      stageName,
+      dueDate: task.dueDate,
+      projectId: project.id,
+      clientUrl: CLIENT_URL.replace(/\/$/, '')
+    }).catch(error => console.error('[EMAIL] Failed to send task assignment:', error));
+  }
+}
+
+async function notifyUnblockedTasks({ project, actor, unblocked }) {
+  if (unblocked.length === 0) return;
+
+  const allMembers = await prisma.projectMember.findMany({
+    where: { projectId: project.id },
+    select: { userId: true }
+  });
+  const memberIds = allMembers.map(m => m.userId);
+
+  for (const task of unblocked) {
+    console.log('[TASK DEPENDENCY] Unblocked task:', task.title);
+    await notificationStore.bumpProjectChange({
+      projectId: project.id,
+      projectName: project.name,
+      actorId: actor.id,
+      actorName: actor.displayName,
+      memberIds,
+      change: { type: 'task_unblocked', stageName: task.stageName, taskTitle: task.title }
+    });
+  }
+  emitNotificationSummaries(memberIds.filter(id => id !== actor.id));
+}
+
+// Pushes the project's current stages and progress to everyone in its room
+async function emitProjectUpdate(projectId) {
+  if (!io) return;
+  const stages = await prisma.stage.findMany({
+    where: { projectId },
+    include: { tasks: { orderBy: { position: 'asc' } } },
+    orderBy: { position: 'asc' }
+  });
+  const allTasks = stages.flatMap(stage => stage.tasks);
+  const completed = allTasks.filter(task => task.state === 'completed').length;
+  io.to(projectId).emit('project:update', {
+    projectId,
+    stages,
+    progress: {
+      total: allTasks.length,
+      completed,
+      percentage: allTasks.length > 0 ? Math.round((completed / allTasks.length) * 100) : 0
+    }
+  });
+}
+
+// Uploads that fill their slot: current versions not sent back with changes
+// requested (Prisma's `not` skips NULLs, hence the OR)
+const slotUploadWhere = {
+  isCurrentVersion: true,
+  OR: [{ reviewStatus: null }, { reviewStatus: { not: 'changes_requested' } }]
+};
+
+// Re-evaluates tasks that require any of the given upload slots after files
+// arrive or are reviewed: filled slots complete the task (or send it to
+// needs_review while a file awaits review), and a rejection sends a task in
+// review back to in_progress. Returns the tasks that changed.
+async function advanceTasksForUploads({ project, actor, definitionIds }) {
+  if (definitionIds.length === 0) return [];
+
+  const tasks = await prisma.task.findMany({
+    where: { stage: { projectId: project.id }, state: { in: ['not_started', 'in_progress', 'needs_review'] } },
+    include: { stage: { select: { name: true } } }
+  });
+  const candidates = tasks.filter(task =>
+    Array.isArray(task.requiredUploadIds) && task.requiredUploadIds.some(id => definitionIds.includes(id))
+  );
+  if (candidates.length === 0) return [];
+
+  const slotUploads = await prisma.upload.findMany({
+    where: {
+      definitionId: { in: [...new Set(candidates.flatMap(task => task.requiredUploadIds))] },
+      isCurrentVersion: true
+    },
+    select: { definitionId: true, reviewStatus: true }
+  });
+  const uploadsByDefinition = new Map();
+  slotUploads.forEach(upload => {
+    uploadsByDefinition.set(upload.definitionId, [...(uploadsByDefinition.get(upload.definitionId) ?? []), upload]);
+  });
+
+  const transitions = taskTransitionsFromUploads(candidates, uploadsByDefinition);
+  if (transitions.length === 0) return [];
+
+  for (const { task, state } of transitions) {
+    await prisma.task.update({ where: { id: task.id }, data: { state, autoBlocked: false } });
+    console.log('[UPLOAD TASKS] Task', task.title, 'moved to', state, 'after upload changes');
+  }
+
+  const completedIds = transitions.filter(entry => entry.state === 'completed').map(entry => entry.task.id);
+  const dependents = (await Promise.all(completedIds.map(id => taskDependencyStore.dependentIds(id)))).flat();
+  const { unblocked } = await taskDependencyStore.reconcile(dependents);
+
+  const allMembers = await prisma.projectMember.findMany({
+    where: { projectId: project.id },
+    select: { userId: true }
+  });
+  const memberIds = allMembers.map(m => m.userId);
+  for (const { task, state } of transitions) {
+    await notificationStore.bumpProjectChange({
+      projectId: project.id,
+      projectName: project.name,
+      actorId: actor.id,
+      actorName: actor.displayName,
+      memberIds,
+      change: {
+        type: state === 'in_progress' ? 'task_status' : 'task_uploads_received',
+        stageName: task.stage.name,
+        taskTitle: task.title,
+        status: state
+      }
+    });
+  }
+  emitNotificationSummaries(memberIds.filter(id => id !== actor.id));
+  await notifyUnblockedTasks({ project, actor, unblocked });
+
+  return transitions.map(({ task, state }) => ({ id: task.id, title: task.title, state }));
+}
+
 app.post('/projects/:projectId/stages/:stageId/tasks', authRequired, async (req, res) => {
   try {
     const { projectId, stageId } = req.params;
-    const { title, dueDate, assignee } = req.body ?? {};
+    const { title, dueDate, assignee, assigneeId } = req.body ?? {};
 
     console.log('[TASK CREATE] Request body:', req.body);
-    console.log('[TASK CREATE] Parsed - title:', title, 'dueDate:', dueDate, 'assignee:', assignee);
+    console.log('[TASK CREATE] Parsed - title:', title, 'dueDate:', dueDate, 'assignee:', assignee, 'assigneeId:', assigneeId);
 
     if (!title || !title.trim()) {
       return res.status(400).json({ error: 'Task title is required' });
     }
 
+    const requestedDueDate = dueDate ? parseDueDate(dueDate) : null;
+    if (requestedDueDate === undefined) {
+      return res.status(400).json({ error: DUE_DATE_FORMAT_ERROR });
+    }
+
     // Check project and membership
     const project = await prisma.project.findUnique({
       where: { id: projectId },
@@ -1669,13 +2364,19 @@ app.post('/projects/:projectId/stages/:stageId/tasks', authRequired, async (req,
       return res.status(404).json({ error: 'Stage not found' });
     }
 
+    // A member assignment wins over the free-text name older clients send
+    let assignment = { assigneeId: null, assignee: assignee || null };
+    if (assigneeId) {
+      assignment = await resolveTaskAssignee(projectId, assigneeId);
+      if (!assignment) {
+        return res.status(400).json({ error: 'Assignee must be a member of this project' });
+      }
+    }
+
     // Set default due date if not provided (7 days from today)
     let taskDueDate = null;
-    if (dueDate) {
-      // Parse date string as UTC midnight to avoid timezone shifts
-      // Input format is YYYY-MM-DD from date input
-      const [year, month, day] = dueDate.split('-').map(Number);
-      taskDueDate = new Date(Date.UTC(year, month - 1, day));
+    if (requestedDueDate) {
+      taskDueDate = requestedDueDate;
     } else {
       // Default: 7 days from now at UTC midnight
       const defaultDate = new Date();
@@ -1691,7 +2392,11 @@ app.post('/projects/:projectId/stages/:stageId/tasks', authRequired, async (req,
         title: title.trim(),
         state: 'not_started',  // Fixed: use 'state' not 'status'
         dueDate: taskDueDate,
-        assignee: assignee || null
+        assignee: assignment.assignee,
+        assigneeId: assignment.assigneeId
+      },
+      include: {
+        assignedTo: { select: taskAssigneeSelect }
       }
     });
 
@@ -1712,7 +2417,7 @@ app.post('/projects/:projectId/stages/:stageId/tasks', authRequired, async (req,
 
     const memberIds = allMembers.map(m => m.userId);
 
-    notificationStore.bumpProjectChange({
+    await notificationStore.bumpProjectChange({
       projectId,
       projectName: project.name,
       actorId: req.user.id,
@@ -1749,6 +2454,8 @@ app.post('/projects/:projectId/stages/:stageId/tasks', authRequired, async (req,
       }
     }
 
+    await notifyTaskAssignee({ project, stageName: stage.name, task, actor: req.user });
+
     res.status(201).json({ task });
   } catch (error) {
     console.error('[ERROR] Failed to create task:', error);
@@ -1759,7 +2466,7 @@ app.post('/projects/:projectId/stages/:stageId/tasks', authRequired, async (req,
 app.patch('/projects/:projectId/stages/:stageId/tasks/:taskId', authRequired, async (req, res) => {
   try {
     const { projectId, stageId, taskId } = req.params;
-    const { state, status, dueDate, title, assignee } = req.body ?? {};
+    const { state, status, dueDate, title, assignee, assigneeId, dependsOn } = req.body ?? {};
 
     // Accept both 'state' and 'status' for backwards compatibility
     const taskState = state || status;
@@ -1768,22 +2475,23 @@ app.patch('/projects/:projectId/stages/:stageId/tasks/:taskId', authRequired, as
     const updateData = {};
     if (taskState) updateData.state = taskState;
     if (dueDate !== undefined) {
-      if (dueDate) {
-        // Parse date string as UTC midnight to avoid timezone shifts
-        const [year, month, day] = dueDate.split('-').map(Number);
-        updateData.dueDate = new Date(Date.UTC(year, month - 1, day));
-      } else {
-        updateData.dueDate = null;
+      updateData.dueDate = parseDueDate(dueDate);
+      if (updateData.dueDate === undefined) {
+        return res.status(400).json({ error: DUE_DATE_FORMAT_ERROR });
       }
     }
     if (title !== undefined) updateData.title = title.trim();
-    if (assignee !== undefined) updateData.assignee = assignee || null;
+    if (assignee !== undefined) {
+      updateData.assignee = assignee || null;
+      updateData.assigneeId = null;
+    }
+    if (assigneeId !== undefined) updateData.assigneeId = assigneeId || null;
 
-    if (Object.keys(updateData).length === 0) {
+    if (Object.keys(updateData).length === 0 && dependsOn === undefined) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
-    console.log('[TASK UPDATE] Updating task:', taskId, 'Update data:', updateData);
+    console.log('[TASK UPDATE] Updating task:', taskId, 'Update data:', updateData, 'dependsOn:', dependsOn);
 
     // Check project and membership
     const project = await prisma.project.findUnique({
@@ -1820,12 +2528,66 @@ app.patch('/projects/:projectId/stages/:stageId/tasks/:taskId', authRequired, as
       return res.status(404).json({ error: 'Task not found' });
     }
 
+    if (updateData.assigneeId) {
+      const assignment = await resolveTaskAssignee(projectId, updateData.assigneeId);
+      if (!assignment) {
+        return res.status(400).json({ error: 'Assignee must be a member of this project' });
+      }
+      Object.assign(updateData, assignment);
+    } else if (assigneeId !== undefined) {
+      updateData.assignee = null;
+    }
+
+    // Dependencies are validated up front and only written together with the task update
+    let predecessorIds;
+    if (dependsOn !== undefined) {
+      try {
+        predecessorIds = await taskDependencyStore.validatePredecessors({ projectId, taskId, predecessorIds: dependsOn });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    // A state picked by hand replaces any dependency block, but a task cannot
+    // leave `blocked` while something it depends on is still open
+    if (taskState) {
+      updateData.autoBlocked = false;
+      if (taskState !== 'blocked') {
+        const openPredecessors = await taskDependencyStore.openPredecessors(taskId, predecessorIds);
+        if (openPredecessors.length > 0) {
+          const titles = openPredecessors.map(predecessor => `"${predecessor.title}"`).join(', ');
+          return res.status(400).json({ error: `Task is blocked until ${titles} ${openPredecessors.length === 1 ? 'is' : 'are'} completed` });
+        }
+      }
+    }
+
     const wasCompleted = existingTask.state === 'completed';
+    const newlyAssigned = Boolean(updateData.assigneeId) && updateData.assigneeId !== existingTask.assigneeId;
 
     // Update task with provided fields
-    const task = await prisma.task.update({
+    await prisma.$transaction([
+      ...(predecessorIds ? taskDependencyStore.replacePredecessors(taskId, predecessorIds) : []),
+      prisma.task.update({
+        where: { id: taskId },
+        data: updateData
+      })
+    ]);
+
+    // Re-evaluate this task against its predecessors, and its dependents when
+    // it moved into or out of completed
+    const isCompleted = (taskState ?? existingTask.state) === 'completed';
+    const affectedIds = [taskId];
+    if (isCompleted !== wasCompleted) {
+      affectedIds.push(...await taskDependencyStore.dependentIds(taskId));
+    }
+    const { unblocked } = await taskDependencyStore.reconcile(affectedIds);
+
+    const task = await prisma.task.findUnique({
       where: { id: taskId },
-      data: updateData
+      include: {
+        assignedTo: { select: taskAssigneeSelect },
+        predecessors: { select: { dependsOnId: true } }
+      }
     });
 
     console.log('[TASK UPDATE] Task updated successfully:', task.title, 'Updated fields:', Object.keys(updateData));
@@ -1839,7 +2601,7 @@ app.patch('/projects/:projectId/stages/:stageId/tasks/:taskId', authRequired, as
     const memberIds = allMembers.map(m => m.userId);
     const changeType = (taskState === 'completed' && !wasCompleted) ? 'task_completed' : 'task_status';
 
-    notificationStore.bumpProjectChange({
+    await notificationStore.bumpProjectChange({
       projectId,
       projectName: project.name,
       actorId: req.user.id,
@@ -1858,7 +2620,14 @@ app.patch('/projects/:projectId/stages/:stageId/tasks/:taskId', authRequired, as
       emitNotificationSummaries(recipients);
     }
 
-    res.json({ task });
+    if (newlyAssigned) {
+      await notifyTaskAssignee({ project, stageName: existingTask.stage.name, task, actor: req.user });
+    }
+
+    await notifyUnblockedTasks({ project, actor: req.user, unblocked });
+
+    const { predecessors, ...taskFields } = task;
+    res.json({ task: { ...taskFields, dependsOn: predecessors.map(link => link.dependsOnId) } });
   } catch (error) {
     console.error('[ERROR] Failed to update task:', error);
     res.status(500).json({ error: 'Failed to update task' });
@@ -1906,6 +2675,9 @@ app.delete('/projects/:projectId/stages/:stageId/tasks/:taskId', authRequired, a
       return res.status(404).json({ error: 'Task not found' });
     }
 
+    // Tasks waiting on this one may be free to start once it is gone
+    const dependentIds = await taskDependencyStore.dependentIds(taskId);
+
     // Delete task
     const task = await prisma.task.delete({
       where: { id: taskId }
@@ -1913,6 +2685,9 @@ app.delete('/projects/:projectId/stages/:stageId/tasks/:taskId', authRequired, a
 
     console.log('[TASK DELETE] Task deleted successfully:', task.title);
 
+    const { unblocked } = await taskDependencyStore.reconcile(dependentIds);
+    await notifyUnblockedTasks({ project, actor: req.user, unblocked });
+
     // Get all project members for notifications
     const allMembers = await prisma.projectMember.findMany({
       where: { projectId },
@@ -1921,7 +2696,7 @@ app.delete('/projects/:projectId/stages/:stageId/tasks/:taskId', authRequired, a
 
     const memberIds = allMembers.map(m => m.userId);
 
-    notificationStore.bumpProjectChange({
+    await notificationStore.bumpProjectChange({
       projectId,
       projectName: project.name,
       actorId: req.user.id,
@@ -2174,7 +2949,9 @@ app.get('/projects/:projectId/invoices', authRequired, async (req, res) => {
   }
 });
 
-app.post('/projects/:projectId/invoices', invoiceUpload.single('file'), authRequired, async (req, res) => {
+app.post('/projects/:projectId/invoices', authRequired, invoiceUpload.single('file'), async (req, res) => {
+  // Set once the invoice file is in storage and cleared when its row is written
+  let unrecordedKey = null;
   try {
     const { projectId } = req.params;
     const { type, amount, dueDate, description, status } = req.body;
@@ -2193,6 +2970,7 @@ app.post('/projects/:projectId/invoices', invoiceUpload.single('file'), authRequ
     
     if (!project) {
       console.log('[INVOICE CREATE] Project not found:', projectId);
+      await discardStoredFiles([req.file].filter(Boolean));
       return res.status(404).json({ error: 'Project not found' });
     }
     
@@ -2202,6 +2980,7 @@ app.post('/projects/:projectId/invoices', invoiceUpload.single('file'), authRequ
     const member = project.members.find(m => m.userId === req.user.id);
     if (!member || member.role === 'client') {
       console.log('[INVOICE CREATE] User not authorized. Member:', member, 'Role:', member?.role);
+      await discardStoredFiles([req.file].filter(Boolean));
       return res.status(403).json({ error: 'Only owners or staff can create invoices' });
     }
     
@@ -2217,7 +2996,9 @@ app.post('/projects/:projectId/invoices', invoiceUpload.single('file'), authRequ
     
     // If file was uploaded, add file info
     if (req.file) {
-      const fileUrl = `uploads/invoices/${req.file.filename}`;
+      const fileUrl = `invoices/${req.file.filename}`;
+      await storage.save(fileUrl, req.file.path, { contentType: req.file.mimetype });
+      unrecordedKey = fileUrl;
       invoiceData.fileUrl = fileUrl;
       invoiceData.fileName = req.file.originalname;
       invoiceData.fileSize = req.file.size;
@@ -2228,10 +3009,11 @@ app.post('/projects/:projectId/invoices', invoiceUpload.single('file'), authRequ
     const invoice = await prisma.invoice.create({
       data: invoiceData
     });
+    unrecordedKey = null;
     
     // Send notifications to all project members
     const memberIds = project.members.map(m => m.userId);
-    notificationStore.bumpProjectChange({
+    await notificationStore.bumpProjectChange({
       projectId,
       projectName: project.name,
       actorId: req.user.id,
@@ -2279,6 +3061,8 @@ app.post('/projects/:projectId/invoices', invoiceUpload.single('file'), authRequ
     console.error('[ERROR] Request user:', req.user);
     console.error('[ERROR] Request file:', req.file);
     console.error('[ERROR] Request body:', req.body);
+    await discardStoredFiles([req.file].filter(Boolean));
+    await removeStoredKeys([unrecordedKey].filter(Boolean));
     res.status(500).json({ error: 'Failed to create invoice', details: error.message });
   }
 });
@@ -2324,72 +3108,57 @@ app.get('/projects/:projectId/invoices/:invoiceId/download', authRequired, async
       return res.status(404).json({ error: 'This invoice has no file attached' });
     }
     
-    // Construct absolute path - handle both old and new path formats
-    // Old format: 'uploads/invoices/filename.pdf' (relative to __dirname)
-    // New format: 'invoices/filename.pdf' or just 'filename.pdf'
-    let absolutePath;
-    
-    // Try different path combinations
-    const pathsToTry = [];
-    
-    // Option 1: Old format - path relative to __dirname with 'uploads/' prefix
-    if (invoice.fileUrl.startsWith('uploads/')) {
-      pathsToTry.push(path.join(__dirname, invoice.fileUrl));
+    console.log('[INVOICE DOWNLOAD] Sending file:', invoice.fileName, 'from', invoice.fileUrl);
+    const sent = await sendStoredFile(res, invoiceStorageKey(invoice.fileUrl), invoice.fileName || 'invoice.pdf');
+    if (!sent) {
+      console.log('[INVOICE DOWNLOAD] File does not exist in storage:', invoice.fileUrl);
+      return res.status(404).json({ error: 'File not found on server. It may have been deleted.' });
     }
-    
-    // Option 2: New format - fileUrl is relative from uploadDir (like 'invoices/filename.pdf')
-    pathsToTry.push(path.join(uploadDir, invoice.fileUrl));
-    
-    // Option 3: Old format alternative - strip 'uploads/' and join with uploadDir
-    if (invoice.fileUrl.startsWith('uploads/')) {
-      const withoutUploads = invoice.fileUrl.substring('uploads/'.length);
-      pathsToTry.push(path.join(uploadDir, withoutUploads));
+  } catch (error) {
+    console.error('[ERROR] Failed to download invoice:', error);
+    res.status(500).json({ error: 'Failed to download invoice: ' + error.message });
+  }
+});
+
+// Short-lived signed URL for downloading an invoice without the API in the middle
+app.get('/projects/:projectId/invoices/:invoiceId/download-url', authRequired, async (req, res) => {
+  try {
+    const { projectId, invoiceId } = req.params;
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: {
+        members: { where: { userId: req.user.id } },
+        invoices: { where: { id: invoiceId } }
+      }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
     }
-    
-    // Option 4: fileUrl is just the filename, assume it's in invoices/
-    if (!invoice.fileUrl.includes('/')) {
-      pathsToTry.push(path.join(uploadDir, 'invoices', invoice.fileUrl));
+
+    if (project.members.length === 0) {
+      return res.status(403).json({ error: 'You are not a member of this project' });
     }
-    
-    console.log('[INVOICE DOWNLOAD] Original fileUrl:', invoice.fileUrl);
-    console.log('[INVOICE DOWNLOAD] uploadDir:', uploadDir);
-    console.log('[INVOICE DOWNLOAD] __dirname:', __dirname);
-    console.log('[INVOICE DOWNLOAD] Trying paths:', pathsToTry);
-    
-    // Find the first path that exists
-    const uploadsRoot = path.resolve(uploadDir);
-    
-    for (const tryPath of pathsToTry) {
-      const resolvedPath = path.resolve(tryPath);
-      
-      // Security check - path must be within uploads directory
-      // This works for both __dirname/uploads and uploadDir based paths
-      if (!resolvedPath.includes(path.sep + 'uploads' + path.sep) && 
-          !resolvedPath.endsWith(path.sep + 'uploads')) {
-        console.log('[INVOICE DOWNLOAD] Path security violation, skipping:', resolvedPath);
-        continue;
-      }
-      
-      if (fs.existsSync(resolvedPath)) {
-        absolutePath = resolvedPath;
-        console.log('[INVOICE DOWNLOAD] ✅ Found file at:', absolutePath);
-        break;
-      } else {
-        console.log('[INVOICE DOWNLOAD] File not found at:', resolvedPath);
-      }
+
+    const invoice = project.invoices[0];
+    if (!invoice || !invoice.fileUrl) {
+      return res.status(404).json({ error: 'This invoice has no file attached' });
     }
-    
-    if (!absolutePath) {
-      console.log('[INVOICE DOWNLOAD] File does not exist at any expected location');
+
+    const key = invoiceStorageKey(invoice.fileUrl);
+    if (!(await storage.exists(key))) {
       return res.status(404).json({ error: 'File not found on server. It may have been deleted.' });
     }
-    
-    console.log('[INVOICE DOWNLOAD] ✅ Sending file:', invoice.fileName);
-    // Send the file
-    res.download(absolutePath, invoice.fileName || 'invoice.pdf');
+
+    const { url, expiresAt } = await storage.signedUrl(key, {
+      fileName: invoice.fileName || 'invoice.pdf',
+      baseUrl: requestBaseUrl(req)
+    });
+    res.json({ url, expiresAt });
   } catch (error) {
-    console.error('[ERROR] Failed to download invoice:', error);
-    res.status(500).json({ error: 'Failed to download invoice: ' + error.message });
+    console.error('[ERROR] Failed to sign invoice download:', error);
+    res.status(500).json({ error: 'Failed to prepare invoice download' });
   }
 });
 
@@ -2424,7 +3193,7 @@ app.patch('/projects/:projectId/invoices/:invoiceId', authRequired, async (req,
     
     // Send notifications
     const memberIds = project.members.map(m => m.userId);
-    notificationStore.bumpProjectChange({
+    await notificationStore.bumpProjectChange({
       projectId,
       projectName: project.name,
       actorId: req.user.id,
@@ -2485,13 +3254,11 @@ app.delete('/projects/:projectId/invoices/:invoiceId', authRequired, async (req,
       return res.status(403).json({ error: 'Invoice does not belong to this project' });
     }
     
-    // Delete the file from filesystem if it exists
+    // Delete the file from storage if it exists
     if (invoice.fileUrl) {
-      const filePath = path.join(__dirname, invoice.fileUrl);
-      
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        console.log('[INFO] Deleted invoice file:', filePath);
+      const removed = await storage.remove(invoiceStorageKey(invoice.fileUrl));
+      if (removed) {
+        console.log('[INFO] Deleted invoice file:', invoice.fileUrl);
       }
     }
     
@@ -2504,7 +3271,7 @@ app.delete('/projects/:projectId/invoices/:invoiceId', authRequired, async (req,
     
     // Send notifications
     const memberIds = project.members.map(m => m.userId);
-    notificationStore.bumpProjectChange({
+    await notificationStore.bumpProjectChange({
       projectId,
       projectName: project.name,
       actorId: req.user.id,
@@ -2532,6 +3299,10 @@ app.delete('/projects/:projectId/invoices/:invoiceId', authRequired, async (req,
 app.get('/projects/:projectId/messages', authRequired, async (req, res) => {
   try {
     const { projectId } = req.params;
+
+    if (!isUuid(projectId)) {
+      return res.status(400).json({ error: 'Invalid project id' });
+    }
     
     // Verify user is a member of the project
     const project = await prisma.project.findUnique({
@@ -2550,83 +3321,242 @@ app.get('/projects/:projectId/messages', authRequired, async (req, res) => {
       return res.status(403).json({ error: 'Not a member of this project' });
     }
 
-    // Load messages from database
-    const messages = await prisma.message.findMany({
-      where: { projectId },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            displayName: true,
-            role: true
-          }
-        }
-      },
-      orderBy: { createdAt: 'asc' }
-    });
-
-    // Format messages for response
-    const history = messages.map(msg => ({
-      id: msg.id,
-      projectId: msg.projectId,
-      body: msg.content,
-      author: {
-        id: msg.sender.id,
-        displayName: msg.sender.displayName,
-        role: msg.sender.role
-      },
-      createdAt: msg.createdAt.toISOString()
-    }));
+    // Load a page of messages (with read receipts), newest page first
+    const { before, limit } = req.query;
+    let page;
+    try {
+      page = await messageStore.page({ projectId, before, limit });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-    res.json({ messages: history });
+    res.json(page);
   } catch (error) {
     console.error('[ERROR] Failed to load messages:', error);
     res.status(500).json({ error: 'Failed to load messages' });
   }
 });
 
-app.get('/notifications', authRequired, (req, res) => {
-  const summary = notificationStore.summary(req.user.id);
-  res.json(summary);
-});
-
-app.post('/notifications/read', authRequired, (req, res) => {
-  const { category, projectId } = req.body ?? {};
-  if (!category) {
-    return res.status(400).json({ error: 'category is required' });
-  }
+app.get('/projects/:projectId/messages/search', authRequired, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { q, limit } = req.query;
 
-  if (category === 'messages') {
-    if (projectId) {
-      notificationStore.markMessageRead({ userId: req.user.id, projectId });
-    } else {
-      notificationStore.markAllMessagesRead(req.user.id);
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+    if (!isUuid(projectId)) {
+      return res.status(400).json({ error: 'Invalid project id' });
     }
-  } else if (['uploads', 'projects', 'users'].includes(category)) {
-    notificationStore.markCategoryRead({ userId: req.user.id, category });
-  } else {
-    return res.status(400).json({ error: 'Unsupported category' });
-  }
 
-  emitNotificationSummary(req.user.id);
-  res.sendStatus(204);
-});
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: {
+        members: {
+          where: { userId: req.user.id }
+        }
+      }
+    });
 
-app.post('/projects/:projectId/messages/read', authRequired, (req, res) => {
-  const { projectId } = req.params;
-  notificationStore.markMessageRead({ userId: req.user.id, projectId });
-  emitNotificationSummary(req.user.id);
-  res.sendStatus(204);
-});
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
 
-const uploadsByProject = new Map();
-function ensureUploadBucket(projectId) {
-  if (!uploadsByProject.has(projectId)) {
+    if (project.members.length === 0) {
+      return res.status(403).json({ error: 'Not a member of this project' });
+    }
+
+    let results;
+    try {
+      results = await messageStore.search({ projectId, query: q, limit });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.json({ query: String(q).trim(), messages: results });
+  } catch (error) {
+    console.error('[ERROR] Failed to search messages:', error);
+    res.status(500).json({ error: 'Failed to search messages' });
+  }
+});
+
+// GET /projects/:projectId/messages/:messageId/history - Prior versions of an edited or deleted message
+app.get('/projects/:projectId/messages/:messageId/history', authRequired, async (req, res) => {
+  try {
+    const { projectId, messageId } = req.params;
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: {
+        members: {
+          where: { userId: req.user.id }
+        }
+      }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const membership = project.members[0];
+    if (!membership) {
+      return res.status(403).json({ error: 'Not a member of this project' });
+    }
+
+    const history = await messageStore.history({ projectId, messageId });
+    if (!history) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    // Removed content stays visible to its author and project owners only
+    const canModerate = req.user.role === 'owner' || membership.role === 'owner';
+    if (history.message.deletedAt && history.message.author.id !== req.user.id && !canModerate) {
+      return res.status(403).json({ error: 'Only the author or an owner can view deleted messages' });
+    }
+
+    res.json(history);
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch message history:', error);
+    res.status(500).json({ error: 'Failed to fetch message history' });
+  }
+});
+
+app.get('/notifications', authRequired, async (req, res) => {
+  try {
+    const summary = await notificationStore.summary(req.user.id);
+    res.json(summary);
+  } catch (error) {
+    console.error('[ERROR] Failed to load notifications:', error);
+    res.status(500).json({ error: 'Failed to load notifications' });
+  }
+});
+
+app.post('/notifications/read', authRequired, async (req, res) => {
+  const { category, projectId } = req.body ?? {};
+  if (!category) {
+    return res.status(400).json({ error: 'category is required' });
+  }
+
+  try {
+    if (category === 'messages') {
+      const memberships = await prisma.projectMember.findMany({
+        where: { userId: req.user.id, ...(projectId ? { projectId } : {}) },
+        select: { projectId: true }
+      });
+      for (const membership of memberships) {
+        await markProjectMessagesRead(req.user, membership.projectId);
+      }
+      if (!projectId) {
+        await notificationStore.markAllMessagesRead(req.user.id);
+      }
+    } else if (['uploads', 'projects', 'users'].includes(category)) {
+      await notificationStore.markCategoryRead({ userId: req.user.id, category });
+    } else {
+      return res.status(400).json({ error: 'Unsupported category' });
+    }
+
+    emitNotificationSummary(req.user.id);
+    res.sendStatus(204);
+  } catch (error) {
+    console.error('[ERROR] Failed to mark notifications read:', error);
+    res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+});
+
+app.post('/projects/:projectId/messages/read', authRequired, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const membership = await prisma.projectMember.findFirst({ where: { projectId, userId: req.user.id } });
+    if (!membership) {
+      return res.status(403).json({ error: 'Not a member of this project' });
+    }
+    await markProjectMessagesRead(req.user, projectId);
+    emitNotificationSummary(req.user.id);
+    res.sendStatus(204);
+  } catch (error) {
+    console.error('[ERROR] Failed to mark messages read:', error);
+    res.status(500).json({ error: 'Failed to mark messages read' });
+  }
+});
+
+const uploadsByProject = new Map();
+function ensureUploadBucket(projectId) {
+  if (!uploadsByProject.has(projectId)) {
     uploadsByProject.set(projectId, []);
   }
   return uploadsByProject.get(projectId);
 }
 
+// Multer has already written rejected files to disk; remove them again.
+// Files that were already moved into storage are no longer staged and are skipped.
+async function discardStoredFiles(files = []) {
+  await Promise.all(
+    files.map(file =>
+      fs.promises.unlink(file.path).catch(error => {
+        if (error.code === 'ENOENT') return;
+        console.error('[FILE UPLOAD] Failed to remove rejected file:', file.path, error.message);
+      })
+    )
+  );
+}
+
+// Storage objects whose database rows were never written; removed so they don't linger
+async function removeStoredKeys(keys = []) {
+  await Promise.all(
+    keys.map(key =>
+      storage.remove(key).catch(error => {
+        console.error('[STORAGE] Failed to remove orphaned file:', key, error.message);
+      })
+    )
+  );
+}
+
+// Files saved before previews existed get theirs on first request
+const canPreviewUpload = upload =>
+  Boolean(upload.previewPath) || previewKind({ originalname: upload.originalFilename }) !== null;
+
+// Upload slots across the project's stages, with how many files each holds
+app.get('/projects/:projectId/upload-slots', authRequired, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: { members: { where: { userId: req.user.id } } }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.members.length === 0) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const definitions = await prisma.uploadDefinition.findMany({
+      where: { stage: { projectId } },
+      include: {
+        stage: { select: { id: true, name: true, position: true } },
+        _count: { select: { uploads: { where: slotUploadWhere } } }
+      },
+      orderBy: [{ stage: { position: 'asc' } }, { createdAt: 'asc' }]
+    });
+
+    const slots = definitions.map(definition => ({
+      id: definition.id,
+      uploadId: definition.uploadId,
+      label: definition.label,
+      acceptedTypes: definition.acceptedTypes,
+      maxFiles: definition.maxFiles,
+      required: definition.required,
+      stage: { id: definition.stage.id, name: definition.stage.name },
+      fileCount: definition._count.uploads
+    }));
+    res.json({ slots });
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch upload slots:', error);
+    res.status(500).json({ error: 'Failed to fetch upload slots' });
+  }
+});
+
 app.get('/projects/:projectId/uploads', authRequired, async (req, res) => {
   try {
     const { projectId } = req.params;
@@ -2636,6 +3566,7 @@ app.get('/projects/:projectId/uploads', authRequired, async (req, res) => {
       where: { id: projectId },
       include: {
         uploads: {
+          where: { isCurrentVersion: true },
           orderBy: { createdAt: 'desc' },
           include: {
             uploader: {
@@ -2673,6 +3604,13 @@ app.get('/projects/:projectId/uploads', authRequired, async (req, res) => {
       remarks: upload.remarks,
       requiresReview: upload.requiresReview,
       category: upload.category,
+      definitionId: upload.definitionId,
+      reviewStatus: upload.reviewStatus,
+      reviewComment: upload.reviewComment,
+      reviewedAt: upload.reviewedAt,
+      documentId: documentKey(upload),
+      version: upload.version,
+      hasPreview: canPreviewUpload(upload),
       isActiveRendering: upload.isActiveRendering,
       filePath: upload.filePath
     }));
@@ -2684,7 +3622,9 @@ app.get('/projects/:projectId/uploads', authRequired, async (req, res) => {
   }
 });
 
-app.post('/projects/:projectId/uploads', upload.array('files'), authRequired, async (req, res) => {
+app.post('/projects/:projectId/uploads', authRequired, upload.array('files'), async (req, res) => {
+  // Storage keys saved for the file whose database row hasn't been written yet
+  let unrecordedKeys = [];
   try {
     const { projectId } = req.params;
     
@@ -2705,21 +3645,101 @@ app.post('/projects/:projectId/uploads', upload.array('files'), authRequired, as
 
     if (!project) {
       console.log('[FILE UPLOAD] Project not found:', projectId);
+      await discardStoredFiles(req.files);
       return res.status(404).json({ error: 'Project not found' });
     }
 
     if (project.members.length === 0) {
       console.log('[FILE UPLOAD] User not a member of project');
+      await discardStoredFiles(req.files);
       return res.status(403).json({ error: 'Forbidden' });
     }
 
     console.log('[FILE UPLOAD] User is member, proceeding with upload');
 
     // Allow all project members to upload files
-    const meta = JSON.parse(req.body.meta ?? '[]');
+    let meta;
+    try {
+      meta = JSON.parse(req.body.meta ?? '[]');
+    } catch {
+      await discardStoredFiles(req.files);
+      return res.status(400).json({ error: 'Invalid upload metadata' });
+    }
     const category = req.body.category || null;
     const isActiveRendering = req.body.isActiveRendering === 'true';
 
+    // "Upload new version" names the file being replaced; the new version
+    // stays in that file's slot and category
+    let replaces = null;
+    if (req.body.replacesUploadId) {
+      const { replacesUploadId } = req.body;
+      const target = isUuid(replacesUploadId)
+        ? await prisma.upload.findFirst({ where: { id: replacesUploadId, projectId } })
+        : null;
+      if (!target) {
+        await discardStoredFiles(req.files);
+        return res.status(400).json({ error: 'The file being replaced was not found in this project' });
+      }
+      if (req.files.length !== 1) {
+        await discardStoredFiles(req.files);
+        return res.status(400).json({ error: 'Upload exactly one file as the new version' });
+      }
+      // A new version can't move the file to another slot or label
+      const requestedSlot = req.body.definitionId || null;
+      const requestedLabel = typeof meta[0]?.label === 'string' ? meta[0].label.trim() : '';
+      if ((requestedSlot && requestedSlot !== target.definitionId) || (requestedLabel && requestedLabel !== target.label)) {
+        await discardStoredFiles(req.files);
+        return res.status(400).json({ error: 'A new version must keep the upload slot and label of the file it replaces' });
+      }
+      const key = documentKey(target);
+      replaces = target.isCurrentVersion
+        ? target
+        : await prisma.upload.findFirst({ where: { projectId, OR: [{ id: key }, { documentId: key }], isCurrentVersion: true } });
+      if (!replaces) {
+        await discardStoredFiles(req.files);
+        return res.status(404).json({ error: 'File not found' });
+      }
+    }
+    const definitionId = replaces ? replaces.definitionId : req.body.definitionId || null;
+    const uploadCategory = replaces ? replaces.category : category;
+
+    let definition = null;
+    if (definitionId) {
+      definition = await prisma.uploadDefinition.findUnique({
+        where: { id: definitionId },
+        include: { stage: { select: { projectId: true } }, _count: { select: { uploads: { where: slotUploadWhere } } } }
+      });
+      if (!definition || definition.stage.projectId !== projectId) {
+        await discardStoredFiles(req.files);
+        return res.status(404).json({ error: 'Upload slot not found' });
+      }
+    }
+
+    // Re-uploads of the same slot or label become new versions of the current file
+    const currentUploads = replaces
+      ? []
+      : await prisma.upload.findMany({
+          where: { projectId, isCurrentVersion: true, definitionId: definitionId ?? null }
+        });
+    const versionPlan = planUploadVersions({
+      files: req.files.map((file, index) => ({ label: meta[index]?.label })),
+      definition,
+      category: uploadCategory,
+      currentUploads,
+      replaces
+    });
+
+    // Uploads aimed at a slot must match its accepted types and file limit
+    if (definition) {
+      const existingCount = definition._count.uploads - slotFilesReplaced(versionPlan, definition);
+      const errors = validateSlotUpload({ definition, files: req.files, existingCount });
+      if (errors.length > 0) {
+        console.log('[FILE UPLOAD] Rejected for slot', definition.uploadId, errors);
+        await discardStoredFiles(req.files);
+        return res.status(400).json({ error: errors.join('. '), errors });
+      }
+    }
+
     console.log('[FILE UPLOAD] Category:', category);
     console.log('[FILE UPLOAD] isActiveRendering:', isActiveRendering);
 
@@ -2727,39 +3747,67 @@ app.post('/projects/:projectId/uploads', upload.array('files'), authRequired, as
     const uploads = [];
     for (let i = 0; i < req.files.length; i++) {
       const file = req.files[i];
-      // Store only the filename, we'll prepend uploadDir when accessing
+      // The storage key is the staged filename
       const filePath = file.filename;
-      
-      console.log('[FILE UPLOAD] Creating upload record for:', file.originalname);
-      
-      const upload = await prisma.upload.create({
-        data: {
-          projectId,
-          uploaderId: req.user.id,
-          filePath: filePath,
-          originalFilename: file.originalname,
-          label: meta[i]?.label ?? '',
-          remarks: meta[i]?.remarks ?? '',
-          requiresReview: Boolean(meta[i]?.requiresReview),
-          category: category,
-          isActiveRendering: isActiveRendering
-        },
-        include: {
-          uploader: {
-            select: {
-              id: true,
-              email: true,
-              displayName: true,
-              role: true
+      const previous = versionPlan[i].replacesIndex !== null ? uploads[versionPlan[i].replacesIndex] : versionPlan[i].replaces;
+      const previewPath = await generatePreview({ filePath: file.path, originalname: file.originalname, mimetype: file.mimetype });
+      if (previewPath) {
+        await storage.save(previewPath, path.join(stagingDir, previewPath), { contentType: 'image/webp' });
+        unrecordedKeys.push(previewPath);
+      }
+      await storage.save(filePath, file.path, { contentType: file.mimetype });
+      unrecordedKeys.push(filePath);
+      // Revisions of a reviewed file go back into review
+      const requiresReview = Boolean(meta[i]?.requiresReview || previous?.reviewStatus);
+
+      console.log('[FILE UPLOAD] Creating upload record for:', file.originalname, previous ? `(v${previous.version + 1})` : '');
+
+      const [upload] = await prisma.$transaction([
+        prisma.upload.create({
+          data: {
+            projectId,
+            uploaderId: req.user.id,
+            filePath: filePath,
+            originalFilename: file.originalname,
+            label: meta[i]?.label || previous?.label || '',
+            remarks: meta[i]?.remarks ?? '',
+            requiresReview,
+            reviewStatus: requiresReview ? 'pending' : null,
+            category: uploadCategory,
+            definitionId,
+            documentId: previous ? documentKey(previous) : null,
+            version: previous ? previous.version + 1 : 1,
+            previewPath,
+            isActiveRendering: isActiveRendering
+          },
+          include: {
+            uploader: {
+              select: {
+                id: true,
+                email: true,
+                displayName: true,
+                role: true
+              }
             }
           }
-        }
-      });
+        }),
+        ...(previous ? [prisma.upload.update({ where: { id: previous.id }, data: { isCurrentVersion: false } })] : [])
+      ]);
       uploads.push(upload);
+      unrecordedKeys = [];
     }
 
     console.log('[INFO] Uploaded', uploads.length, 'file(s) to project:', project.name);
 
+    const advancedTasks = await advanceTasksForUploads({
+      project,
+      actor: req.user,
+      definitionIds: definitionId ? [definitionId] : []
+    });
+    if (advancedTasks.length > 0) {
+      await emitProjectUpdate(projectId);
+    }
+
     // Get all project members for notifications
     const allMembers = await prisma.projectMember.findMany({
       where: { projectId },
@@ -2768,7 +3816,7 @@ app.post('/projects/:projectId/uploads', upload.array('files'), authRequired, as
 
     const memberIds = allMembers.map(m => m.userId);
 
-    notificationStore.bumpUploads({
+    await notificationStore.bumpUploads({
       projectId,
       projectName: project.name,
       actorId: req.user.id,
@@ -2795,24 +3843,27 @@ app.post('/projects/:projectId/uploads', upload.array('files'), authRequired, as
       if (recipientEmails.length > 0) {
         const fileNames = uploads.map(u => u.originalFilename).join(', ');
         console.log('[EMAIL] Sending file notification to:', recipientEmails.join(', '));
-        emailService.sendFileNotification({
+        emailService.sendFileUploadNotification({
           to: recipientEmails,
+          userName: req.user.displayName || req.user.email,
           projectName: project.name,
           fileName: fileNames,
-          uploadedBy: req.user.displayName || req.user.email,
-          category: category || 'General'
+          projectId,
+          clientUrl: CLIENT_URL.replace(/\/$/, '')
         });
       }
     }
     emitNotificationSummary(req.user.id);
 
-    res.json({ uploaded: uploads });
+    res.json({ uploaded: uploads, advancedTasks });
   } catch (error) {
     console.error('[ERROR] Failed to upload files:', error);
     console.error('[ERROR] Error stack:', error.stack);
     console.error('[ERROR] Request user:', req.user);
     console.error('[ERROR] Request files:', req.files?.length || 0);
     console.error('[ERROR] Request body:', req.body);
+    await discardStoredFiles(req.files);
+    await removeStoredKeys(unrecordedKeys);
     res.status(500).json({ error: 'Failed to upload files', details: error.message });
   }
 });
@@ -2852,72 +3903,164 @@ app.get('/projects/:projectId/uploads/:uploadId', authRequired, async (req, res)
       return res.status(403).json({ error: 'Forbidden' });
     }
     
-    // Construct absolute path - handle both old and new formats
-    // Old format: relative path from __dirname (e.g., 'uploads/filename.pdf')
-    // New format: just the filename
-    let absolutePath;
-    const pathsToTry = [];
-    
-    // Option 1: Old format - path is relative to __dirname and includes 'uploads/' prefix
-    if (upload.filePath.startsWith('uploads/')) {
-      pathsToTry.push(path.join(__dirname, upload.filePath));
+    console.log('[FILE DOWNLOAD] Sending file:', upload.originalFilename, 'from', upload.filePath);
+    const sent = await sendStoredFile(res, storageKey(upload.filePath), upload.originalFilename);
+    if (!sent) {
+      console.error('[FILE DOWNLOAD] File not found in storage:', upload.filePath);
+      return res.status(404).json({ error: 'File not found on disk' });
     }
-    
-    // Option 2: New format - just filename, join with uploadDir
-    pathsToTry.push(path.join(uploadDir, upload.filePath));
-    
-    // Option 3: Old format alternative - strip 'uploads/' and join with uploadDir
-    if (upload.filePath.startsWith('uploads/')) {
-      const withoutUploads = upload.filePath.substring('uploads/'.length);
-      pathsToTry.push(path.join(uploadDir, withoutUploads));
+  } catch (error) {
+    console.error('[ERROR] Failed to download file:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+// Short-lived signed URL for downloading an upload (any version) directly
+app.get('/projects/:projectId/uploads/:uploadId/download-url', authRequired, async (req, res) => {
+  try {
+    const { projectId, uploadId } = req.params;
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: { members: { where: { userId: req.user.id } } }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
     }
-    
-    console.log('[FILE DOWNLOAD] Original filePath:', upload.filePath);
-    console.log('[FILE DOWNLOAD] uploadDir:', uploadDir);
-    console.log('[FILE DOWNLOAD] __dirname:', __dirname);
-    console.log('[FILE DOWNLOAD] Trying paths:', pathsToTry);
-    
-    const uploadsRoot = path.resolve(uploadDir);
-    
-    // Find the first path that exists and is secure
-    for (const tryPath of pathsToTry) {
-      const resolvedPath = path.resolve(tryPath);
-      
-      // Security check - path must be within uploads directory
-      // This works for both __dirname/uploads and uploadDir based paths
-      if (!resolvedPath.includes(path.sep + 'uploads' + path.sep) && 
-          !resolvedPath.endsWith(path.sep + 'uploads')) {
-        console.log('[FILE DOWNLOAD] Path security violation, skipping:', resolvedPath);
-        continue;
+
+    if (project.members.length === 0) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const upload = await prisma.upload.findUnique({ where: { id: uploadId } });
+    if (!upload || upload.projectId !== projectId) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const key = storageKey(upload.filePath);
+    if (!(await storage.exists(key))) {
+      return res.status(404).json({ error: 'File not found on disk' });
+    }
+
+    const { url, expiresAt } = await storage.signedUrl(key, {
+      fileName: upload.originalFilename,
+      baseUrl: requestBaseUrl(req)
+    });
+    res.json({ url, expiresAt });
+  } catch (error) {
+    console.error('[ERROR] Failed to sign file download:', error);
+    res.status(500).json({ error: 'Failed to prepare file download' });
+  }
+});
+
+// Thumbnail (images) or first-page preview (PDFs) of an upload
+app.get('/projects/:projectId/uploads/:uploadId/preview', authRequired, async (req, res) => {
+  try {
+    const { projectId, uploadId } = req.params;
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: { members: { where: { userId: req.user.id } } }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.members.length === 0) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const upload = await prisma.upload.findUnique({ where: { id: uploadId } });
+    if (!upload || upload.projectId !== projectId) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (!canPreviewUpload(upload)) {
+      return res.status(404).json({ error: 'No preview available for this file' });
+    }
+
+    let preview = upload.previewPath ? await storage.open(upload.previewPath) : null;
+    if (!preview) {
+      // Render from a local copy of the original, then keep the result in storage
+      const original = await storage.localCopy(storageKey(upload.filePath));
+      if (!original) {
+        return res.status(404).json({ error: 'No preview available for this file' });
       }
-      
       try {
-        await fs.promises.access(resolvedPath, fs.constants.R_OK);
-        absolutePath = resolvedPath;
-        console.log('[FILE DOWNLOAD] ✅ Found file at:', absolutePath);
-        break;
-      } catch {
-        // File doesn't exist at this path, try next
-        console.log('[FILE DOWNLOAD] File not found at:', resolvedPath);
+        const previewPath = await generatePreview({ filePath: original.path, originalname: upload.originalFilename });
+        if (!previewPath) {
+          return res.status(404).json({ error: 'No preview available for this file' });
+        }
+        await storage.save(previewPath, path.join(path.dirname(original.path), previewPath), { contentType: 'image/webp' });
+        await prisma.upload.update({ where: { id: uploadId }, data: { previewPath } });
+        console.log('[FILE PREVIEW] Generated preview for:', upload.originalFilename);
+        preview = await storage.open(previewPath);
+      } finally {
+        await original.release();
       }
     }
-    
-    if (!absolutePath) {
-      console.error('[FILE DOWNLOAD] File not accessible at any expected location');
-      return res.status(404).json({ error: 'File not found on disk' });
+    if (!preview) {
+      return res.status(404).json({ error: 'No preview available for this file' });
     }
 
-    console.log('[FILE DOWNLOAD] ✅ Sending file:', upload.originalFilename);
-    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Type, Content-Length');
-    res.setHeader('Cache-Control', 'private, max-age=0, must-revalidate');
-    res.download(absolutePath, upload.originalFilename, err => {
-      if (err) {
-        console.error('[FILE DOWNLOAD] Error sending file:', err);
-      }
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.type('image/webp');
+    pipeStoredStream(res, preview.stream, `preview of upload ${uploadId}`);
+  } catch (error) {
+    console.error('[ERROR] Failed to load file preview:', error);
+    res.status(500).json({ error: 'Failed to load file preview' });
+  }
+});
+
+// Every version of the document an upload belongs to, newest first
+app.get('/projects/:projectId/uploads/:uploadId/versions', authRequired, async (req, res) => {
+  try {
+    const { projectId, uploadId } = req.params;
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: { members: { where: { userId: req.user.id } } }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.members.length === 0) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const upload = await prisma.upload.findUnique({ where: { id: uploadId } });
+    if (!upload || upload.projectId !== projectId) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const key = documentKey(upload);
+    const versions = await prisma.upload.findMany({
+      where: { projectId, OR: [{ id: key }, { documentId: key }] },
+      orderBy: { version: 'desc' },
+      include: { uploader: { select: { id: true, email: true, displayName: true, role: true } } }
+    });
+
+    res.json({
+      documentId: key,
+      versions: versions.map(version => ({
+        id: version.id,
+        fileName: version.originalFilename,
+        version: version.version,
+        isCurrentVersion: version.isCurrentVersion,
+        hasPreview: canPreviewUpload(version),
+        uploadedAt: version.createdAt,
+        uploadedBy: version.uploader,
+        remarks: version.remarks,
+        reviewStatus: version.reviewStatus,
+        reviewComment: version.reviewComment
+      }))
     });
   } catch (error) {
-    console.error('[ERROR] Failed to download file:', error);
-    res.status(500).json({ error: 'Failed to download file' });
+    console.error('[ERROR] Failed to fetch file versions:', error);
+    res.status(500).json({ error: 'Failed to fetch file versions' });
   }
 });
 
@@ -2972,43 +4115,18 @@ app.delete('/projects/:projectId/uploads/:uploadId', authRequired, async (req, r
       return res.status(400).json({ error: 'File does not belong to this project' });
     }
 
-    // Delete file from filesystem - handle both old and new path formats
-    const pathsToTry = [];
-    
-    // Option 1: Old format - path relative to __dirname with 'uploads/' prefix
-    if (upload.filePath.startsWith('uploads/')) {
-      pathsToTry.push(path.join(__dirname, upload.filePath));
-    }
-    
-    // Option 2: New format - just filename, join with uploadDir
-    pathsToTry.push(path.join(uploadDir, upload.filePath));
-    
-    // Option 3: Old format alternative - strip 'uploads/' and join with uploadDir
-    if (upload.filePath.startsWith('uploads/')) {
-      const withoutUploads = upload.filePath.substring('uploads/'.length);
-      pathsToTry.push(path.join(uploadDir, withoutUploads));
+    // Delete the file (and its preview) from storage
+    const fileDeleted = await storage.remove(storageKey(upload.filePath));
+    if (fileDeleted) {
+      console.log('[DELETE UPLOAD] File deleted from storage:', upload.filePath);
+    } else {
+      console.warn('[DELETE UPLOAD] File not found in storage, continuing with database deletion');
     }
-    
-    console.log('[DELETE UPLOAD] Attempting to delete file, trying paths:', pathsToTry);
 
-    let fileDeleted = false;
-    for (const filePath of pathsToTry) {
-      try {
-        await fs.promises.unlink(filePath);
-        console.log('[DELETE UPLOAD] File deleted from disk:', filePath);
-        fileDeleted = true;
-        break;
-      } catch (fsError) {
-        if (fsError.code === 'ENOENT') {
-          console.log('[DELETE UPLOAD] File not found at:', filePath, '- trying next path');
-        } else {
-          console.error('[DELETE UPLOAD] Error deleting file:', filePath, fsError);
-        }
-      }
-    }
-    
-    if (!fileDeleted) {
-      console.warn('[DELETE UPLOAD] File not found on disk at any expected location, continuing with database deletion');
+    if (upload.previewPath) {
+      await storage.remove(upload.previewPath).catch(error => {
+        console.warn('[DELETE UPLOAD] Could not remove preview:', upload.previewPath, error.message);
+      });
     }
 
     // Delete database record
@@ -3019,12 +4137,36 @@ app.delete('/projects/:projectId/uploads/:uploadId', authRequired, async (req, r
 
     console.log('[DELETE UPLOAD] Database record deleted:', uploadId);
 
+    // Removing the current version makes the newest remaining one current again
+    if (upload.isCurrentVersion) {
+      const key = documentKey(upload);
+      const previous = await prisma.upload.findFirst({
+        where: { OR: [{ id: key }, { documentId: key }] },
+        orderBy: { version: 'desc' }
+      });
+      if (previous) {
+        await prisma.upload.update({ where: { id: previous.id }, data: { isCurrentVersion: true } });
+        console.log('[DELETE UPLOAD] Restored version', previous.version, 'as current');
+      }
+    }
+
+    if (upload.definitionId) {
+      const advancedTasks = await advanceTasksForUploads({ project, actor: user, definitionIds: [upload.definitionId] });
+      if (advancedTasks.length > 0) {
+        await emitProjectUpdate(projectId);
+      }
+    }
+
     // Send notifications to project members
     const memberIds = project.members.map(m => m.userId).filter(id => id !== user.id);
     const notifications = memberIds.map(userId => ({
       userId,
       projectId,
+      projectName: project.name,
+      category: 'uploads',
       type: 'file_deleted',
+      actorId: user.id,
+      actorName: user.displayName || user.email,
       title: 'File Deleted',
       message: `${user.displayName || user.email} deleted a file: ${upload.originalFilename}`
     }));
@@ -3059,12 +4201,216 @@ app.delete('/projects/:projectId/uploads/:uploadId', authRequired, async (req, r
   }
 });
 
+const reviewDecisions = ['approved', 'changes_requested'];
+
+const reviewUploadInclude = {
+  uploader: { select: { id: true, email: true, displayName: true, role: true } },
+  reviewedBy: { select: { id: true, displayName: true } },
+  definition: { select: { id: true, label: true, stage: { select: { id: true, name: true } } } }
+};
+
+// Review queue: uploads awaiting review (or another status via ?status=)
+app.get('/projects/:projectId/reviews', authRequired, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const status = req.query.status || 'pending';
+    if (![...reviewDecisions, 'pending'].includes(status)) {
+      return res.status(400).json({ error: 'status must be one of: pending, approved, changes_requested' });
+    }
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: { members: { where: { userId: req.user.id } } }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.members.length === 0) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    // Older versions drop out of the queue once a newer one is uploaded
+    const uploads = await prisma.upload.findMany({
+      where: { projectId, reviewStatus: status, ...(status === 'pending' ? { isCurrentVersion: true } : {}) },
+      include: reviewUploadInclude,
+      orderBy: { createdAt: status === 'pending' ? 'asc' : 'desc' }
+    });
+
+    res.json({
+      reviews: uploads.map(upload => ({
+        id: upload.id,
+        fileName: upload.originalFilename,
+        label: upload.label,
+        remarks: upload.remarks,
+        uploadedAt: upload.createdAt,
+        uploadedBy: upload.uploader,
+        hasPreview: canPreviewUpload(upload),
+        slot: upload.definition
+          ? { id: upload.definition.id, label: upload.definition.label, stage: upload.definition.stage }
+          : null,
+        reviewStatus: upload.reviewStatus,
+        reviewComment: upload.reviewComment,
+        reviewedBy: upload.reviewedBy,
+        reviewedAt: upload.reviewedAt
+      }))
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to load review queue:', error);
+    res.status(500).json({ error: 'Failed to load review queue' });
+  }
+});
+
+// Body: { decision: 'approved' | 'changes_requested', comment }
+app.post('/projects/:projectId/uploads/:uploadId/review', authRequired, async (req, res) => {
+  try {
+    const { projectId, uploadId } = req.params;
+    const { decision, comment } = req.body ?? {};
+    const trimmedComment = typeof comment === 'string' ? comment.trim() : '';
+
+    if (!reviewDecisions.includes(decision)) {
+      return res.status(400).json({ error: `decision must be one of: ${reviewDecisions.join(', ')}` });
+    }
+    if (decision === 'changes_requested' && !trimmedComment) {
+      return res.status(400).json({ error: 'Please describe the changes you need' });
+    }
+
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: { members: { where: { userId: req.user.id } } }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.members.length === 0) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    if (project.members[0].role === 'client') {
+      return res.status(403).json({ error: 'Only owners or staff can review files' });
+    }
+
+    const existing = await prisma.upload.findUnique({
+      where: { id: uploadId },
+      include: { definition: true }
+    });
+
+    if (!existing || existing.projectId !== projectId) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!existing.reviewStatus) {
+      return res.status(400).json({ error: 'This file was not submitted for review' });
+    }
+
+    // Only the current version of a file can be reviewed
+    if (!existing.isCurrentVersion) {
+      return res.status(400).json({ error: 'A newer version of this file has been uploaded; review that version instead' });
+    }
+
+    const upload = await prisma.upload.update({
+      where: { id: uploadId },
+      data: {
+        reviewStatus: decision,
+        reviewComment: trimmedComment || null,
+        reviewedById: req.user.id,
+        reviewedAt: new Date()
+      },
+      include: reviewUploadInclude
+    });
+
+    console.log('[REVIEW] Upload', upload.originalFilename, 'marked', decision, 'by', req.user.email);
+
+    // An approved slot can tick its stage checklist toggle (e.g. print proofs → "Proofs approved for print")
+    let toggle = null;
+    const definition = existing.definition;
+    if (decision === 'approved' && definition?.approvalToggleId) {
+      const openInSlot = await prisma.upload.count({
+        where: { definitionId: definition.id, reviewStatus: 'pending', isCurrentVersion: true }
+      });
+      if (openInSlot === 0) {
+        const target = await prisma.toggle.findFirst({
+          where: { stageId: definition.stageId, templateToggleId: definition.approvalToggleId }
+        });
+        if (target && !target.value) {
+          toggle = await prisma.toggle.update({ where: { id: target.id }, data: { value: true } });
+          console.log('[REVIEW] Checklist item ticked by approval:', toggle.label);
+        }
+      }
+    }
+
+    const advancedTasks = definition
+      ? await advanceTasksForUploads({ project, actor: req.user, definitionIds: [definition.id] })
+      : [];
+    if (advancedTasks.length > 0 || toggle) {
+      await emitProjectUpdate(projectId);
+    }
+
+    // Tell the uploader how their file was reviewed
+    if (upload.uploaderId !== req.user.id) {
+      await notificationStore.bumpProjectChange({
+        projectId,
+        projectName: project.name,
+        actorId: req.user.id,
+        actorName: req.user.displayName,
+        memberIds: [upload.uploaderId],
+        change: {
+          type: 'upload_reviewed',
+          fileName: upload.originalFilename,
+          status: decision,
+          comment: trimmedComment || null
+        }
+      });
+      emitNotificationSummaries([upload.uploaderId]);
+
+      if (upload.uploader.email) {
+        emailService.sendUploadReviewedNotification({
+          to: upload.uploader.email,
+          userName: req.user.displayName || req.user.email,
+          projectName: project.name,
+          fileName: upload.originalFilename,
+          decision,
+          comment: trimmedComment || null,
+          projectId,
+          clientUrl: CLIENT_URL.replace(/\/$/, '')
+        });
+      }
+    }
+
+    res.json({ upload, advancedTasks, toggle });
+  } catch (error) {
+    console.error('[ERROR] Failed to review upload:', error);
+    res.status(500).json({ error: 'Failed to review upload' });
+  }
+});
+
 const httpServer = http.createServer(app);
 io = new Server(httpServer, {
   cors: { origin: corsOriginHandler, credentials: true }
 });
 io.use(authMiddleware.socket);
 
+// Only people addressed with @mentions get an email for chat activity
+function emailMentionedMembers({ project, mentionIds, author, text }) {
+  const mentionEmails = project.members
+    .filter(member => mentionIds.includes(member.userId))
+    .map(member => member.user.email)
+    .filter(email => email);
+  if (mentionEmails.length === 0) return;
+  console.log('[EMAIL] Sending mention notification to:', mentionEmails.join(', '));
+  emailService.sendMentionNotification({
+    to: mentionEmails,
+    userName: author.displayName || author.email,
+    projectName: project.name,
+    messagePreview: text,
+    projectId: project.id,
+    clientUrl: CLIENT_URL.replace(/\/$/, '')
+  });
+}
+
 io.on('connection', socket => {
   const user = socket.data.user;
   console.log('[SOCKET] User connected:', { id: user.id, email: user.email, displayName: user.displayName });
@@ -3097,37 +4443,18 @@ io.on('connection', socket => {
       
       socket.join(projectId);
       console.log('[SOCKET] User joined project room:', { userId: user.id, projectId });
+      await presenceStore.join({ projectId, userId: user.id, displayName: user.displayName, socketId: socket.id });
+      emitPresence(projectId);
 
-      // Load message history from database
-      const messages = await prisma.message.findMany({
-        where: { projectId },
-        include: {
-          sender: {
-            select: {
-              id: true,
-              displayName: true,
-              role: true
-            }
-          }
-        },
-        orderBy: { createdAt: 'asc' }
+      // Only the latest page is sent up front; older pages are fetched with messages:loadOlder
+      const { messages: history, hasMore, nextCursor } = await messageStore.page({
+        projectId,
+        limit: MESSAGE_PAGE_SIZE
       });
 
-      // Format messages to match client expectations
-      const history = messages.map(msg => ({
-        id: msg.id,
-        projectId: msg.projectId,
-        body: msg.content,
-        author: {
-          id: msg.sender.id,
-          displayName: msg.sender.displayName,
-          role: msg.sender.role
-        },
-        createdAt: msg.createdAt.toISOString()
-      }));
-
-      socket.emit('project:bootstrapped', { projectId, history });
-      const unread = notificationStore.unreadForProject({ userId: user.id, projectId });
+      socket.emit('project:bootstrapped', { projectId, history, hasMore, nextCursor });
+      // Unread count comes from message_reads so it matches the receipts shown in chat
+      const unread = await messageStore.unreadCount({ projectId, userId: user.id });
       socket.emit('badge:sync', { projectId, unread });
     } catch (error) {
       console.error('[ERROR] Failed to join project:', error);
@@ -3135,7 +4462,9 @@ io.on('connection', socket => {
   });
 
   socket.on('message:send', async payload => {
-    const { projectId, body, attachments = [], clientMessageId } = payload;
+    const { projectId, body, attachments = [], parentId } = payload;
+    const clientMessageId =
+      typeof payload.clientMessageId === 'string' && payload.clientMessageId.length <= 255 ? payload.clientMessageId : null;
     
     console.log('[SOCKET] message:send received:', { projectId, body, clientMessageId, userId: user.id });
     
@@ -3144,7 +4473,13 @@ io.on('connection', socket => {
       const project = await prisma.project.findUnique({
         where: { id: projectId },
         include: {
-          members: true
+          members: {
+            include: {
+              user: {
+                select: { id: true, email: true, displayName: true }
+              }
+            }
+          }
         }
       });
       
@@ -3169,50 +4504,71 @@ io.on('connection', socket => {
         return;
       }
 
-      // Save message to database
-      console.log('[SOCKET] Saving message to database:', { projectId, senderId: user.id, content: body });
-      const savedMessage = await prisma.message.create({
-        data: {
-          projectId,
-          senderId: user.id,
-          content: body
-        },
-        include: {
-          sender: {
-            select: {
-              id: true,
-              displayName: true,
-              role: true
-            }
-          }
-        }
-      });
-      console.log('[SOCKET] Message saved successfully:', savedMessage.id);
+      // A retry of a message we already stored (e.g. the ack was lost) gets the original ack back
+      const existing = await messageStore.findByClientId({ senderId: user.id, clientMessageId });
+      if (existing) {
+        console.log('[SOCKET] Duplicate message:send, re-acking:', { clientMessageId, messageId: existing.id });
+        socket.emit('message:ack', { clientMessageId, messageId: existing.id });
+        return;
+      }
 
-      // Format message for socket emission
-      const message = {
-        id: savedMessage.id,
+      const text = typeof body === 'string' ? body.trim() : '';
+      const attachmentIds = await messageStore.resolveAttachments({ projectId, attachmentIds: attachments });
+      if (!text && attachmentIds.length === 0) {
+        socket.emit('message:error', {
+          clientMessageId,
+          error: 'Message is empty'
+        });
+        return;
+      }
+
+      let threadId = null;
+      try {
+        threadId = await messageStore.resolveParent({ projectId, parentId });
+      } catch {
+        socket.emit('message:error', {
+          clientMessageId,
+          error: 'The message you replied to is no longer available'
+        });
+        return;
+      }
+
+      const mentionIds = resolveMentions(
+        text,
+        project.members
+          .filter(member => member.userId !== user.id)
+          .map(member => ({ userId: member.userId, displayName: member.user.displayName }))
+      );
+
+      // Save message to database
+      console.log('[SOCKET] Saving message to database:', { projectId, senderId: user.id, content: text, attachments: attachmentIds.length, parentId: threadId, mentions: mentionIds.length });
+      const { message, created } = await messageStore.create({
+        projectId,
+        senderId: user.id,
+        body: text,
         clientMessageId,
-        projectId: savedMessage.projectId,
-        body: savedMessage.content,
-        author: {
-          id: savedMessage.sender.id,
-          displayName: savedMessage.sender.displayName,
-          role: savedMessage.sender.role
-        },
-        createdAt: savedMessage.createdAt.toISOString()
-      };
+        parentId: threadId,
+        attachmentIds,
+        mentionIds
+      });
+      if (!created) {
+        console.log('[SOCKET] Concurrent duplicate message:send, re-acking:', { clientMessageId, messageId: message.id });
+        socket.emit('message:ack', { clientMessageId, messageId: message.id });
+        return;
+      }
+      console.log('[SOCKET] Message saved successfully:', message.id);
 
       console.log('[SOCKET] Emitting message:new to room:', projectId);
       io.to(projectId).emit('message:new', message);
 
-      const updates = notificationStore.bumpMessageUnread({
+      const updates = await notificationStore.bumpMessageUnread({
         projectId,
         projectName: project.name,
         authorId: user.id,
         authorName: user.displayName,
-        messagePreview: body,
-        memberIds: members
+        messagePreview: text || `Shared ${attachmentIds.length} file${attachmentIds.length === 1 ? '' : 's'}`,
+        memberIds: members,
+        mentionedIds: mentionIds
       });
 
       updates.forEach(update => {
@@ -3224,6 +4580,8 @@ io.on('connection', socket => {
       emitNotificationSummaries(updates.map(update => update.userId));
       emitNotificationSummary(user.id);
 
+      emailMentionedMembers({ project, mentionIds, author: user, text });
+
       console.log('[SOCKET] Sending message:ack:', { clientMessageId, messageId: message.id });
       socket.emit('message:ack', {
         clientMessageId,
@@ -3232,18 +4590,188 @@ io.on('connection', socket => {
       console.log('[SOCKET] message:send completed successfully');
     } catch (error) {
       console.error('[ERROR] Failed to send message:', error);
+      socket.emit('message:error', {
+        clientMessageId,
+        error: 'Failed to send message'
+      });
+    }
+  });
+
+  socket.on('messages:loadOlder', async ({ projectId, before, limit }) => {
+    try {
+      if (!socket.rooms.has(projectId)) {
+        socket.emit('messages:error', { projectId, error: 'Join the project before loading history' });
+        return;
+      }
+      const page = await messageStore.page({ projectId, before, limit });
+      socket.emit('messages:page', { projectId, before, ...page });
+    } catch (error) {
+      console.error('[ERROR] Failed to load older messages:', error);
+      socket.emit('messages:error', { projectId, error: error.message });
+    }
+  });
+
+  socket.on('message:edit', async ({ projectId, messageId, body }) => {
+    try {
+      const membership = await prisma.projectMember.findFirst({ where: { projectId, userId: user.id } });
+      if (!membership) {
+        socket.emit('message:error', { messageId, error: 'Not a member of this project' });
+        return;
+      }
+
+      const existing = await messageStore.find({ projectId, messageId });
+      if (!existing || existing.deletedAt) {
+        socket.emit('message:error', { messageId, error: 'Message not found' });
+        return;
+      }
+      if (existing.senderId !== user.id) {
+        socket.emit('message:error', { messageId, error: 'Only the author can edit this message' });
+        return;
+      }
+
+      const text = typeof body === 'string' ? body.trim() : '';
+      if (!text && existing._count.attachments === 0) {
+        socket.emit('message:error', { messageId, error: 'Message is empty' });
+        return;
+      }
+      if (text === existing.content) return;
+
+      const project = await prisma.project.findUnique({
+        where: { id: projectId },
+        include: {
+          members: {
+            include: {
+              user: {
+                select: { id: true, email: true, displayName: true }
+              }
+            }
+          }
+        }
+      });
+      const mentionIds = resolveMentions(
+        text,
+        project.members
+          .filter(member => member.userId !== user.id)
+          .map(member => ({ userId: member.userId, displayName: member.user.displayName }))
+      );
+
+      const { message, addedMentionIds } = await messageStore.edit({ messageId, editorId: user.id, body: text, mentionIds });
+      io.to(projectId).emit('message:updated', message);
+
+      // Only members the edit newly mentions are notified; earlier mentions already were
+      if (addedMentionIds.length > 0) {
+        const recipients = await notificationStore.bumpMentions({
+          projectId,
+          projectName: project.name,
+          authorId: user.id,
+          authorName: user.displayName,
+          messagePreview: text,
+          mentionedIds: addedMentionIds
+        });
+        emitNotificationSummaries(recipients);
+        emailMentionedMembers({ project, mentionIds: addedMentionIds, author: user, text });
+      }
+    } catch (error) {
+      console.error('[ERROR] Failed to edit message:', error);
+      socket.emit('message:error', { messageId, error: 'Failed to edit message' });
+    }
+  });
+
+  socket.on('message:delete', async ({ projectId, messageId }) => {
+    try {
+      const membership = await prisma.projectMember.findFirst({ where: { projectId, userId: user.id } });
+      if (!membership) {
+        socket.emit('message:error', { messageId, error: 'Not a member of this project' });
+        return;
+      }
+
+      const existing = await messageStore.find({ projectId, messageId });
+      if (!existing || existing.deletedAt) {
+        socket.emit('message:error', { messageId, error: 'Message not found' });
+        return;
+      }
+
+      // Authors can remove their own messages; owners can moderate anyone's
+      const canModerate = user.role === 'owner' || membership.role === 'owner';
+      if (existing.senderId !== user.id && !canModerate) {
+        socket.emit('message:error', { messageId, error: 'Only the author or an owner can delete this message' });
+        return;
+      }
+
+      const message = await messageStore.remove({ messageId, actorId: user.id });
+      io.to(projectId).emit('message:deleted', {
+        ...message,
+        deletedBy: { id: user.id, displayName: user.displayName }
+      });
+    } catch (error) {
+      console.error('[ERROR] Failed to delete message:', error);
+      socket.emit('message:error', { messageId, error: 'Failed to delete message' });
     }
   });
 
-  socket.on('message:read', ({ projectId }) => {
-    notificationStore.markMessageRead({ userId: user.id, projectId });
-    const unread = notificationStore.unreadForProject({ userId: user.id, projectId });
-    socket.emit('badge:sync', { projectId, unread });
-    emitNotificationSummary(user.id);
+  socket.on('message:read', async ({ projectId }) => {
+    try {
+      // Only members of the room can leave read receipts
+      if (!socket.rooms.has(projectId)) return;
+
+      await markProjectMessagesRead(user, projectId);
+      emitNotificationSummary(user.id);
+    } catch (error) {
+      console.error('[ERROR] Failed to mark messages read:', error);
+    }
   });
 
-  socket.on('disconnect', (reason) => {
+  // Leaving a room clears any typing indicator the user left behind
+  const leaveProjectRoom = async projectId => {
+    socket.to(projectId).emit('typing:update', {
+      projectId,
+      user: { id: user.id, displayName: user.displayName },
+      typing: false
+    });
+    socket.leave(projectId);
+    await presenceStore.leave({ projectId, userId: user.id, socketId: socket.id });
+    emitPresence(projectId);
+  };
+
+  socket.on('project:leave', async ({ projectId }) => {
+    try {
+      if (!socket.rooms.has(projectId)) return;
+      await leaveProjectRoom(projectId);
+    } catch (error) {
+      console.error('[ERROR] Failed to leave project:', error);
+    }
+  });
+
+  socket.on('presence:request', async ({ projectId }) => {
+    try {
+      if (!socket.rooms.has(projectId)) return;
+      socket.emit('presence:state', await presenceStore.snapshot(projectId));
+    } catch (error) {
+      console.error('[ERROR] Failed to send presence:', error);
+    }
+  });
+
+  const emitTyping = (projectId, typing) => {
+    if (!socket.rooms.has(projectId)) return;
+    socket.to(projectId).emit('typing:update', {
+      projectId,
+      user: { id: user.id, displayName: user.displayName },
+      typing
+    });
+  };
+
+  socket.on('typing:start', ({ projectId }) => emitTyping(projectId, true));
+  socket.on('typing:stop', ({ projectId }) => emitTyping(projectId, false));
+
+  socket.on('disconnect', async (reason) => {
     console.log('[SOCKET] User disconnected:', { userId: user.id, email: user.email, reason });
+    try {
+      for (const projectId of presenceStore.projectsForSocket(socket.id)) {
+        await leaveProjectRoom(projectId);
+      }
+    } catch (error) {
+      console.error('[ERROR] Failed to clear presence on disconnect:', error);
+    }
   });
 });
 
@@ -3282,23 +4810,25 @@ function checkOverdueTasks() {
               notifiedOverdueTasks.add(taskKey);
               
               // Send notification to all project members
-              notificationStore.bumpProjectChange({
-                projectId: project.id,
-                projectName: project.name,
-                actorId: 'system',
-                actorName: 'System',
-                memberIds,
-                change: {
-                  type: 'task_overdue',
-                  taskTitle: task.title,
-                  stageName: stage.name,
-                  dueDate: task.dueDate
-                }
-              });
+              notificationStore
+                .bumpProjectChange({
+                  projectId: project.id,
+                  projectName: project.name,
+                  actorId: 'system',
+                  actorName: 'System',
+                  memberIds,
+                  change: {
+                    type: 'task_overdue',
+                    taskTitle: task.title,
+                    stageName: stage.name,
+                    dueDate: task.dueDate
+                  }
+                })
+                .then(() => emitNotificationSummaries(memberIds))
+                .catch(error => console.error('[OVERDUE] Failed to record notification:', error.message));
               
               // Emit real-time notifications
               if (io) {
-                emitNotificationSummaries(memberIds);
                 io.to(project.id).emit('project:update', {
                   projectId: project.id,
                   stages: stageStore.list(project.id),
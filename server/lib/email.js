@@ -27,6 +27,15 @@ function formatEntry({ to, subject, body }) {
   return `\n[${timestamp}]\nTO: ${to}\nSUBJECT: ${subject}\n${body}\n`;
 }
 
+// Chat text is user-supplied, so escape it before dropping it into HTML bodies
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // Helper function to send email via Gmail or log to file if not configured
 async function sendEmail({ to, subject, html, text }) {
   // If Gmail is not configured, fall back to file logging
@@ -239,6 +248,141 @@ export const emailService = {
       </html>
     `;
     
+    await sendEmail({ to, subject, html, text });
+  },
+
+  async sendMentionNotification({ to, userName, projectName, messagePreview, projectId, clientUrl }) {
+    const subject = `${userName} mentioned you in ${projectName}`;
+    const text = `Hello,\n\n${userName} mentioned you in the ${projectName} chat:\n\n"${messagePreview}"\n\nReply in the project: ${clientUrl}/projects/${projectId}\n\nBest regards,\nEC Exhibits Team`;
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .message-info { background: white; padding: 20px; border-left: 4px solid #667eea; border-radius: 5px; margin: 20px 0; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>💬 You were mentioned</h1>
+          </div>
+          <div class="content">
+            <p><strong>${escapeHtml(userName)}</strong> mentioned you in <strong>${escapeHtml(projectName)}</strong>:</p>
+            <div class="message-info">
+              <p style="margin: 0;">${escapeHtml(messagePreview)}</p>
+            </div>
+            <div style="text-align: center;">
+              <a href="${clientUrl}/projects/${projectId}" class="button">Reply in Chat</a>
+            </div>
+          </div>
+          <div class="footer">
+            <p>Best regards,<br>EC Exhibits Team</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+    
+    await sendEmail({ to, subject, html, text });
+  },
+
+  async sendTaskAssignedNotification({ to, userName, projectName, taskTitle, stageName, dueDate, projectId, clientUrl }) {
+    const subject = `You were assigned "${taskTitle}" in ${projectName}`;
+    const text = `Hello,\n\n${userName} assigned you a task in ${projectName}:\n\nTask: ${taskTitle}\nStage: ${stageName}${dueDate ? `\nDue: ${new Date(dueDate).toLocaleDateString()}` : ''}\n\nView your tasks: ${clientUrl}/projects/${projectId}\n\nBest regards,\nEC Exhibits Team`;
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .task-info { background: white; padding: 20px; border-left: 4px solid #667eea; border-radius: 5px; margin: 20px 0; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📌 Task Assigned to You</h1>
+          </div>
+          <div class="content">
+            <p><strong>${escapeHtml(userName)}</strong> assigned you a task in <strong>${escapeHtml(projectName)}</strong>:</p>
+            <div class="task-info">
+              <p style="margin: 5px 0;"><strong>Task:</strong> ${escapeHtml(taskTitle)}</p>
+              <p style="margin: 5px 0;"><strong>Stage:</strong> ${escapeHtml(stageName)}</p>
+              ${dueDate ? `<p style="margin: 5px 0;"><strong>Due:</strong> ${new Date(dueDate).toLocaleDateString()}</p>` : ''}
+            </div>
+            <div style="text-align: center;">
+              <a href="${clientUrl}/projects/${projectId}" class="button">View Project</a>
+            </div>
+          </div>
+          <div class="footer">
+            <p>Best regards,<br>EC Exhibits Team</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+    
+    await sendEmail({ to, subject, html, text });
+  },
+
+  async sendUploadReviewedNotification({ to, userName, projectName, fileName, decision, comment, projectId, clientUrl }) {
+    const approved = decision === 'approved';
+    const subject = approved
+      ? `"${fileName}" was approved in ${projectName}`
+      : `Changes requested on "${fileName}" in ${projectName}`;
+    const text = `Hello,\n\n${userName} ${approved ? 'approved' : 'requested changes to'} your file in ${projectName}:\n\nFile: ${fileName}${comment ? `\nComment: ${comment}` : ''}\n\nView project: ${clientUrl}/projects/${projectId}\n\nBest regards,\nEC Exhibits Team`;
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .review-info { background: white; padding: 20px; border-left: 4px solid ${approved ? '#10b981' : '#f59e0b'}; border-radius: 5px; margin: 20px 0; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${approved ? '✅ File Approved' : '✏️ Changes Requested'}</h1>
+          </div>
+          <div class="content">
+            <p><strong>${escapeHtml(userName)}</strong> ${approved ? 'approved' : 'requested changes to'} your file in <strong>${escapeHtml(projectName)}</strong>:</p>
+            <div class="review-info">
+              <p style="margin: 5px 0;"><strong>File:</strong> ${escapeHtml(fileName)}</p>
+              ${comment ? `<p style="margin: 5px 0;"><strong>Comment:</strong> ${escapeHtml(comment)}</p>` : ''}
+            </div>
+            <div style="text-align: center;">
+              <a href="${clientUrl}/projects/${projectId}" class="button">View Project</a>
+            </div>
+          </div>
+          <div class="footer">
+            <p>Best regards,<br>EC Exhibits Team</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+    
     await sendEmail({ to, subject, html, text });
   }
 };
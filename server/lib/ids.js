@@ -0,0 +1,5 @@
+// Primary keys are Postgres UUID columns; anything else makes Prisma throw a cast
+// error, so ids from requests are checked before they reach a query.
+export const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const isUuid = value => typeof value === 'string' && UUID_PATTERN.test(value);
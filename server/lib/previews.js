@@ -0,0 +1,71 @@
+// Thumbnails for uploaded images and first-page previews for PDFs.
+//
+// Previews are WebP files written next to the source file as
+// `<stored filename>.preview.webp`; callers then move them into storage
+// alongside the original. Generation never fails an upload: files that can't
+// be read or rendered simply have no preview.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+export const PREVIEW_WIDTH = 480;
+
+const imageExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.tif', '.tiff', '.avif', '.svg'];
+
+export const previewFilename = storedName => `${storedName}.preview.webp`;
+
+export function previewKind({ originalname, mimetype }) {
+  const extension = path.extname(originalname ?? '').toLowerCase();
+  const mime = String(mimetype ?? '').toLowerCase();
+  if (mime === 'application/pdf' || extension === '.pdf') return 'pdf';
+  if (mime.startsWith('image/') || imageExtensions.includes(extension)) return 'image';
+  return null;
+}
+
+// pdfjs is only loaded once a PDF actually needs rendering
+let pdfjs;
+const standardFontDataUrl = `${path.join(
+  path.dirname(fileURLToPath(import.meta.resolve('pdfjs-dist/package.json'))),
+  'standard_fonts'
+)}${path.sep}`;
+
+async function renderPdfFirstPage(filePath) {
+  pdfjs ??= await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const data = new Uint8Array(await fs.promises.readFile(filePath));
+  const document = await pdfjs.getDocument({ data, standardFontDataUrl, isEvalSupported: false, verbosity: 0 }).promise;
+  try {
+    const page = await document.getPage(1);
+    const { width } = page.getViewport({ scale: 1 });
+    // Render at twice the preview width so the downscale stays sharp
+    const viewport = page.getViewport({ scale: (PREVIEW_WIDTH * 2) / width });
+    const { canvas, context } = document.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    await document.destroy();
+  }
+}
+
+// Writes the preview for a stored upload; returns its filename (relative to
+// the upload's own directory) or null when the file has no preview
+export async function generatePreview({ filePath, originalname, mimetype }) {
+  const kind = previewKind({ originalname, mimetype });
+  if (!kind) return null;
+
+  const outputName = previewFilename(path.basename(filePath));
+  try {
+    const source = kind === 'pdf' ? await renderPdfFirstPage(filePath) : filePath;
+    await sharp(source, { animated: false })
+      .rotate()
+      .resize({ width: PREVIEW_WIDTH, withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .webp({ quality: 80 })
+      .toFile(path.join(path.dirname(filePath), outputName));
+    return outputName;
+  } catch (error) {
+    console.warn('[PREVIEW] Could not generate preview for', originalname, '-', error.message);
+    return null;
+  }
+}
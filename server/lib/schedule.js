@@ -0,0 +1,90 @@
+// Turns template day offsets into concrete due dates.
+//
+// Template stages run back to back: `defaultStageDueInDays` is how many days a
+// stage takes after the previous one is due, and a task's `defaultDueInDays`
+// counts from the start of its stage (capped at the stage's due date). Forward
+// schedules start on the anchor date; backward schedules end on it.
+
+export const scheduleAnchors = ['creation', 'moveInDate', 'openingDay'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toUtcMidnight(value) {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+const isWeekend = date => date.getUTCDay() === 0 || date.getUTCDay() === 6;
+
+// Moves `days` calendar days, or business days when weekends are skipped
+function shiftDays(date, days, skipWeekends) {
+  if (!skipWeekends) {
+    return new Date(date.getTime() + days * DAY_MS);
+  }
+  const step = days < 0 ? -1 : 1;
+  let result = new Date(date.getTime());
+  let remaining = Math.abs(days);
+  while (remaining > 0) {
+    result = new Date(result.getTime() + step * DAY_MS);
+    if (!isWeekend(result)) remaining -= 1;
+  }
+  return result;
+}
+
+// A due date that falls on a weekend rolls toward the anchor side that keeps
+// the schedule safe: earlier when working back from a deadline, later otherwise
+function toWorkday(date, direction) {
+  let result = date;
+  while (isWeekend(result)) {
+    result = new Date(result.getTime() + direction * DAY_MS);
+  }
+  return result;
+}
+
+const nonNegative = value => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.round(number) : 0;
+};
+
+export function resolveScheduleAnchor(project, anchor = 'creation') {
+  if (!scheduleAnchors.includes(anchor)) {
+    throw new Error(`anchor must be one of: ${scheduleAnchors.join(', ')}`);
+  }
+  if (anchor === 'creation') {
+    return { direction: 'forward', date: toUtcMidnight(project.createdAt ?? new Date()) };
+  }
+  if (!project[anchor]) {
+    const label = anchor === 'moveInDate' ? 'move-in date' : 'opening day';
+    throw new Error(`Project has no ${label} to schedule from`);
+  }
+  return { direction: 'backward', date: toUtcMidnight(project[anchor]) };
+}
+
+// Returns one entry per template stage: { dueDate, durationDays, taskDueDates[] }
+export function buildTemplateSchedule(stages, { direction, date, skipWeekends = false }) {
+  const durations = stages.map(stage => nonNegative(stage.defaultStageDueInDays));
+  const totalDays = durations.reduce((sum, days) => sum + days, 0);
+  const rollDirection = direction === 'backward' ? -1 : 1;
+
+  const anchorDate = skipWeekends ? toWorkday(date, rollDirection) : date;
+  let stageStart = direction === 'backward' ? shiftDays(anchorDate, -totalDays, skipWeekends) : anchorDate;
+
+  return stages.map((stage, index) => {
+    const durationDays = durations[index];
+    let dueDate = shiftDays(stageStart, durationDays, skipWeekends);
+    if (skipWeekends) dueDate = toWorkday(dueDate, rollDirection);
+
+    const tasks = stage.tasks || stage.checklist || [];
+    const taskDueDates = tasks.map(task => {
+      if (task?.defaultDueInDays === undefined || task?.defaultDueInDays === null) return dueDate;
+      const offset = Math.min(nonNegative(task.defaultDueInDays), durationDays);
+      let taskDue = shiftDays(stageStart, offset, skipWeekends);
+      if (skipWeekends) taskDue = toWorkday(taskDue, rollDirection);
+      return taskDue > dueDate ? dueDate : taskDue;
+    });
+
+    const entry = { dueDate, durationDays, taskDueDates };
+    stageStart = dueDate;
+    return entry;
+  });
+}
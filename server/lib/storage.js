@@ -0,0 +1,247 @@
+// Where uploaded files, previews and invoices are kept.
+//
+// STORAGE_DRIVER picks the backend: 'local' (default) keeps files under
+// UPLOAD_DIR, 's3' stores them in an S3-compatible bucket (AWS S3, R2, MinIO…).
+// Both drivers address files by key, a path relative to the storage root such
+// as "1700000000-plan.pdf" or "invoices/1700000000-invoice.pdf", and hand out
+// short-lived signed download URLs.
+//
+// Incoming files are staged on local disk by multer first; save() then moves
+// them into storage and takes ownership of the staged copy.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  S3Client
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+const DEFAULT_SIGNED_URL_TTL = 300; // seconds
+
+// Older rows store paths as 'uploads/<file>' relative to the server directory
+export const storageKey = storedPath => String(storedPath ?? '').replace(/^uploads\//, '');
+
+const contentDisposition = fileName =>
+  `attachment; filename="${String(fileName).replace(/["\\\r\n]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+
+const isMissing = error => error?.code === 'ENOENT' || error?.name === 'NoSuchKey' || error?.name === 'NotFound' || error?.$metadata?.httpStatusCode === 404;
+
+// Local disk: files live under `root`; `legacyRoots` are also searched when reading
+function createLocalStorage({ root, legacyRoots = [], signingSecret, signedUrlTtl }) {
+  const roots = [root, ...legacyRoots.filter(dir => path.resolve(dir) !== path.resolve(root))];
+
+  // Keys must stay inside the storage root
+  const resolveIn = (base, key) => {
+    const resolved = path.resolve(base, key);
+    const baseDir = path.resolve(base);
+    if (!resolved.startsWith(baseDir + path.sep)) {
+      throw new Error(`Storage key escapes the storage root: ${key}`);
+    }
+    return resolved;
+  };
+
+  const locate = async key => {
+    for (const base of roots) {
+      const candidate = resolveIn(base, key);
+      try {
+        await fs.promises.access(candidate, fs.constants.R_OK);
+        return candidate;
+      } catch {
+        // Try the next root
+      }
+    }
+    return null;
+  };
+
+  const signature = (key, fileName, expires) =>
+    crypto.createHmac('sha256', signingSecret).update(`${key}\n${fileName}\n${expires}`).digest('hex');
+
+  return {
+    name: 'local',
+
+    async save(key, sourcePath) {
+      const target = resolveIn(root, key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      if (path.resolve(sourcePath) !== target) {
+        await fs.promises.rename(sourcePath, target);
+      }
+    },
+
+    async open(key) {
+      const filePath = await locate(key);
+      if (!filePath) return null;
+      const { size } = await fs.promises.stat(filePath);
+      return { stream: fs.createReadStream(filePath), size, contentType: null };
+    },
+
+    async exists(key) {
+      return Boolean(await locate(key));
+    },
+
+    async remove(key) {
+      const filePath = await locate(key);
+      if (!filePath) return false;
+      await fs.promises.unlink(filePath);
+      return true;
+    },
+
+    // Local files can be used in place; release() is a no-op
+    async localCopy(key) {
+      const filePath = await locate(key);
+      return filePath ? { path: filePath, release: async () => {} } : null;
+    },
+
+    // Served by GET /storage/files on this server; baseUrl is the server's public origin
+    async signedUrl(key, { fileName, baseUrl, expiresIn = signedUrlTtl }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const params = new URLSearchParams({
+        key,
+        name: fileName,
+        expires: String(expires),
+        signature: signature(key, fileName, expires)
+      });
+      return { url: `${baseUrl}/storage/files?${params}`, expiresAt: new Date(expires * 1000) };
+    },
+
+    // Returns { key, fileName } for a valid, unexpired signed URL query, otherwise null
+    verifySignedUrl({ key, name, expires, signature: given }) {
+      if (!key || !name || !expires || !given) return null;
+      if (Number(expires) < Date.now() / 1000) return null;
+      const expected = Buffer.from(signature(key, name, expires));
+      const actual = Buffer.from(String(given));
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+      return { key, fileName: name };
+    },
+
+    contentDisposition
+  };
+}
+
+// S3-compatible bucket; `endpoint` + `forcePathStyle` point it at MinIO-style servers
+function createS3Storage({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix = '', signedUrlTtl }) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+    // Many S3-compatible servers reject the SDK's default streaming checksums
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED'
+  });
+  const objectKey = key => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+
+    async save(key, sourcePath, { contentType } = {}) {
+      const { size } = await fs.promises.stat(sourcePath);
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: fs.createReadStream(sourcePath),
+          ContentLength: size,
+          ContentType: contentType || 'application/octet-stream'
+        })
+      );
+      await fs.promises.unlink(sourcePath);
+    },
+
+    async open(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { stream: object.Body, size: object.ContentLength ?? null, contentType: object.ContentType ?? null };
+      } catch (error) {
+        if (isMissing(error)) return null;
+        throw error;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (error) {
+        if (isMissing(error)) return false;
+        throw error;
+      }
+    },
+
+    // S3 deletes succeed for missing keys, so check first to report whether anything was removed
+    async remove(key) {
+      if (!(await this.exists(key))) return false;
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return true;
+    },
+
+    // Downloads the object to a temp file for tools that need a path (e.g. preview rendering)
+    async localCopy(key) {
+      const object = await this.open(key);
+      if (!object) return null;
+      const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ec-storage-'));
+      const filePath = path.join(dir, path.basename(key));
+      await new Promise((resolve, reject) => {
+        object.stream.pipe(fs.createWriteStream(filePath)).on('finish', resolve).on('error', reject);
+        object.stream.on('error', reject);
+      });
+      return { path: filePath, release: () => fs.promises.rm(dir, { recursive: true, force: true }) };
+    },
+
+    async signedUrl(key, { fileName, expiresIn = signedUrlTtl }) {
+      const url = await getSignedUrl(
+        client,
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          ResponseContentDisposition: contentDisposition(fileName)
+        }),
+        { expiresIn }
+      );
+      return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+    },
+
+    verifySignedUrl() {
+      return null;
+    },
+
+    contentDisposition
+  };
+}
+
+export function createStorage({ uploadDir, legacyDirs = [], env = process.env }) {
+  const signedUrlTtl = Number(env.SIGNED_URL_TTL_SECONDS) || DEFAULT_SIGNED_URL_TTL;
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 's3') {
+    return createS3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || 'us-east-1',
+      endpoint: env.S3_ENDPOINT,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      prefix: env.S3_PREFIX ? `${env.S3_PREFIX.replace(/\/+$/, '')}/` : '',
+      signedUrlTtl
+    });
+  }
+  if (driver !== 'local') {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "local" or "s3")`);
+  }
+
+  return createLocalStorage({
+    root: uploadDir,
+    legacyRoots: legacyDirs,
+    signingSecret: env.STORAGE_SIGNING_SECRET || env.JWT_SECRET || 'insecure-dev-secret',
+    signedUrlTtl
+  });
+}
@@ -0,0 +1,434 @@
+// Plans how a template lands on a project that may already have stages.
+//
+// `replace` discards every existing stage (the original behaviour). `merge`
+// matches existing stages and tasks by templateSlug — falling back to the name
+// or title for rows created before slugs were recorded — and only adds what is
+// missing, so progress on existing work is never touched.
+//
+// A template stage's `uploads` become UploadDefinition rows and its `toggles`
+// become Toggle rows. Tasks name their required uploads by template uploadId;
+// on the project, requiredUploadIds hold the UploadDefinition row ids instead.
+
+export const applyModes = ['merge', 'replace'];
+
+export function templateSlugFor(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+const sameText = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+const templateTasksOf = templateStage => templateStage.tasks || templateStage.checklist || [];
+
+function describeTemplateTask(taskItem, index, dueDate) {
+  const title = taskItem?.title || taskItem?.text || String(taskItem);
+  return {
+    title,
+    templateSlug: taskItem?.slug || templateSlugFor(title),
+    position: taskItem?.position ?? index,
+    dueDate,
+    ownerRole: taskItem?.ownerRole ?? null,
+    requiresClientInput: Boolean(taskItem?.requiresClientInput),
+    requiredUploadIds: Array.isArray(taskItem?.requiredUploadIds) ? taskItem.requiredUploadIds : []
+  };
+}
+
+const describeTemplateUpload = upload => ({
+  uploadId: upload.uploadId,
+  label: upload.label,
+  acceptedTypes: Array.isArray(upload.acceptedTypes) ? upload.acceptedTypes : [],
+  maxFiles: upload.maxFiles ?? 1,
+  required: Boolean(upload.required),
+  approvalToggleId: upload.approvalToggleId ?? null
+});
+
+const describeTemplateToggle = toggle => ({
+  toggleId: toggle.toggleId,
+  label: toggle.label,
+  defaultValue: Boolean(toggle.defaultValue)
+});
+
+function findMatch(rows, slug, name, nameField) {
+  return (
+    rows.find(row => row.templateSlug === slug) ??
+    rows.find(row => !row.templateSlug && sameText(row[nameField], name)) ??
+    null
+  );
+}
+
+// existingStages: project stages with their tasks, uploadDefinitions and toggles. schedule: output of
+// buildTemplateSchedule for the same template. Returns a serialisable plan
+// that doubles as the dry-run diff.
+export function planTemplateApplication({ template, existingStages, schedule, mode }) {
+  const stages = [];
+  const claimedStageIds = new Set();
+
+  template.stages.forEach((templateStage, index) => {
+    const slug = templateStage.slug || templateSlugFor(templateStage.name);
+    const candidates = existingStages.filter(stage => !claimedStageIds.has(stage.id));
+    const existing = mode === 'merge' ? findMatch(candidates, slug, templateStage.name, 'name') : null;
+    const plannedTasks = templateTasksOf(templateStage).map((taskItem, taskIndex) =>
+      describeTemplateTask(taskItem, taskIndex, schedule[index].taskDueDates[taskIndex])
+    );
+    const plannedUploads = (templateStage.uploads || []).map(describeTemplateUpload);
+    const plannedToggles = (templateStage.toggles || []).map(describeTemplateToggle);
+
+    if (!existing) {
+      stages.push({
+        action: 'add',
+        name: templateStage.name,
+        description: templateStage.description || null,
+        templateSlug: slug,
+        position: index,
+        dueDate: schedule[index].dueDate,
+        durationDays: schedule[index].durationDays,
+        permissions: templateStage.permissions ?? null,
+        tasks: plannedTasks.map(task => ({ action: 'add', ...task })),
+        uploads: plannedUploads.map(upload => ({ action: 'add', ...upload })),
+        toggles: plannedToggles.map(toggle => ({ action: 'add', ...toggle }))
+      });
+      return;
+    }
+
+    claimedStageIds.add(existing.id);
+    const claimedTaskIds = new Set();
+    const tasks = plannedTasks.map(task => {
+      const match = findMatch(
+        existing.tasks.filter(row => !claimedTaskIds.has(row.id)),
+        task.templateSlug,
+        task.title,
+        'title'
+      );
+      if (!match) {
+        return { action: 'add', ...task };
+      }
+      claimedTaskIds.add(match.id);
+      return {
+        action: 'keep',
+        taskId: match.id,
+        title: match.title,
+        templateSlug: task.templateSlug,
+        state: match.state,
+        dueDate: match.dueDate,
+        adoptSlug: !match.templateSlug,
+        // Only fill in upload requirements the task does not have yet
+        requiredUploadIds:
+          Array.isArray(match.requiredUploadIds) && match.requiredUploadIds.length > 0 ? [] : task.requiredUploadIds
+      };
+    });
+
+    const existingDefinitions = existing.uploadDefinitions ?? [];
+    const uploads = plannedUploads.map(upload => {
+      const match = existingDefinitions.find(definition => definition.uploadId === upload.uploadId);
+      return match ? { action: 'keep', definitionId: match.id, ...upload } : { action: 'add', ...upload };
+    });
+    const existingToggles = existing.toggles ?? [];
+    const toggles = plannedToggles.map(toggle => {
+      const match =
+        existingToggles.find(row => row.templateToggleId === toggle.toggleId) ??
+        existingToggles.find(row => !row.templateToggleId && sameText(row.label, toggle.label));
+      return match ? { action: 'keep', toggleRowId: match.id, ...toggle } : { action: 'add', ...toggle };
+    });
+
+    stages.push({
+      action: 'keep',
+      stageId: existing.id,
+      name: existing.name,
+      templateSlug: slug,
+      status: existing.status,
+      adoptSlug: !existing.templateSlug,
+      tasks,
+      uploads,
+      toggles,
+      // Tasks on the project that the template does not know about stay as they are
+      extraTasks: existing.tasks
+        .filter(row => !claimedTaskIds.has(row.id))
+        .map(row => ({ taskId: row.id, title: row.title, state: row.state }))
+    });
+  });
+
+  const leftover = existingStages
+    .filter(stage => !claimedStageIds.has(stage.id))
+    .map(stage => ({
+      stageId: stage.id,
+      name: stage.name,
+      status: stage.status,
+      taskCount: stage.tasks.length,
+      completedTaskCount: stage.tasks.filter(task => task.state === 'completed').length
+    }));
+
+  const count = (list, predicate) => list.filter(predicate).length;
+  const allPlannedTasks = stages.flatMap(stage => stage.tasks);
+  const allPlannedUploads = stages.flatMap(stage => stage.uploads);
+  const allPlannedToggles = stages.flatMap(stage => stage.toggles);
+
+  return {
+    mode,
+    stages,
+    // merge keeps stages the template does not mention; replace removes them
+    ...(mode === 'merge' ? { keptStages: leftover } : { removedStages: leftover }),
+    summary: {
+      stagesAdded: count(stages, stage => stage.action === 'add'),
+      stagesKept: count(stages, stage => stage.action === 'keep') + (mode === 'merge' ? leftover.length : 0),
+      stagesRemoved: mode === 'replace' ? leftover.length : 0,
+      tasksAdded: count(allPlannedTasks, task => task.action === 'add'),
+      tasksKept: count(allPlannedTasks, task => task.action === 'keep'),
+      uploadsAdded: count(allPlannedUploads, upload => upload.action === 'add'),
+      togglesAdded: count(allPlannedToggles, toggle => toggle.action === 'add'),
+      completedTasksKept: count(allPlannedTasks, task => task.action === 'keep' && task.state === 'completed'),
+      completedTasksRemoved:
+        mode === 'replace' ? leftover.reduce((sum, stage) => sum + stage.completedTaskCount, 0) : 0
+    }
+  };
+}
+
+// Creates the upload slots and toggles a stage is missing and returns the
+// stage's uploadId → UploadDefinition id map
+async function materializeStageExtras(tx, stageId, stage) {
+  const definitionIds = new Map();
+  for (const upload of stage.uploads) {
+    if (upload.action === 'keep') {
+      definitionIds.set(upload.uploadId, upload.definitionId);
+      continue;
+    }
+    const definition = await tx.uploadDefinition.create({
+      data: {
+        stageId,
+        uploadId: upload.uploadId,
+        label: upload.label,
+        acceptedTypes: upload.acceptedTypes,
+        maxFiles: upload.maxFiles,
+        required: upload.required,
+        approvalToggleId: upload.approvalToggleId
+      }
+    });
+    definitionIds.set(upload.uploadId, definition.id);
+  }
+
+  const newToggles = stage.toggles.filter(toggle => toggle.action === 'add');
+  if (newToggles.length > 0) {
+    await tx.toggle.createMany({
+      data: newToggles.map(toggle => ({
+        stageId,
+        templateToggleId: toggle.toggleId,
+        label: toggle.label,
+        value: toggle.defaultValue
+      }))
+    });
+  }
+  return definitionIds;
+}
+
+// Writes a plan inside an interactive Prisma transaction
+export async function executeTemplatePlan(tx, { projectId, plan }) {
+  if (plan.mode === 'replace') {
+    await tx.stage.deleteMany({ where: { projectId } });
+  }
+
+  const lastStage = await tx.stage.findFirst({
+    where: { projectId },
+    orderBy: { position: 'desc' },
+    select: { position: true }
+  });
+  let nextStagePosition = plan.mode === 'replace' ? 0 : (lastStage?.position ?? -1) + 1;
+
+  // Upload slots already on the project, so a task can require one from an earlier stage
+  const projectDefinitionIds = new Map(
+    (await tx.uploadDefinition.findMany({
+      where: { stage: { projectId } },
+      select: { id: true, uploadId: true }
+    })).map(definition => [definition.uploadId, definition.id])
+  );
+  const resolveUploads = (uploadIds, stageDefinitionIds) =>
+    uploadIds
+      .map(uploadId => stageDefinitionIds.get(uploadId) ?? projectDefinitionIds.get(uploadId))
+      .filter(Boolean);
+
+  for (const stage of plan.stages) {
+    let stageId = stage.stageId;
+    if (stage.action === 'add') {
+      const created = await tx.stage.create({
+        data: {
+          projectId,
+          name: stage.name,
+          description: stage.description,
+          templateSlug: stage.templateSlug,
+          position: plan.mode === 'replace' ? stage.position : nextStagePosition++,
+          status: 'not_started',
+          dueDate: stage.dueDate,
+          defaultDueOffsetDays: stage.durationDays,
+          ...(stage.permissions ? { permissions: stage.permissions } : {})
+        }
+      });
+      stageId = created.id;
+    } else if (stage.adoptSlug) {
+      await tx.stage.update({ where: { id: stageId }, data: { templateSlug: stage.templateSlug } });
+    }
+
+    const stageDefinitionIds = await materializeStageExtras(tx, stageId, stage);
+    stageDefinitionIds.forEach((id, uploadId) => {
+      if (!projectDefinitionIds.has(uploadId)) projectDefinitionIds.set(uploadId, id);
+    });
+
+    const lastTask = stage.action === 'add'
+      ? null
+      : await tx.task.findFirst({
+          where: { stageId },
+          orderBy: { position: 'desc' },
+          select: { position: true }
+        });
+    let nextTaskPosition = (lastTask?.position ?? -1) + 1;
+
+    for (const task of stage.tasks) {
+      const requiredUploadIds = resolveUploads(task.requiredUploadIds, stageDefinitionIds);
+      if (task.action === 'keep') {
+        const data = {};
+        if (task.adoptSlug) data.templateSlug = task.templateSlug;
+        if (requiredUploadIds.length > 0) data.requiredUploadIds = requiredUploadIds;
+        if (Object.keys(data).length > 0) {
+          await tx.task.update({ where: { id: task.taskId }, data });
+        }
+        continue;
+      }
+      await tx.task.create({
+        data: {
+          stageId,
+          title: task.title,
+          templateSlug: task.templateSlug,
+          state: 'not_started',
+          position: stage.action === 'add' ? task.position : nextTaskPosition++,
+          dueDate: task.dueDate,
+          ownerRole: task.ownerRole,
+          requiresClientInput: task.requiresClientInput,
+          requiredUploadIds
+        }
+      });
+    }
+  }
+}
+
+const stageFields = ['name', 'description', 'defaultStageDueInDays'];
+
+// Compares two template stage lists (e.g. two versions of one template),
+// matching stages by slug and tasks by slug or title
+export function diffTemplateStages(fromStages = [], toStages = []) {
+  const keyed = stages =>
+    new Map(stages.map(stage => [stage.slug || templateSlugFor(stage.name), stage]));
+  const taskKeys = stage =>
+    new Map(
+      templateTasksOf(stage).map((taskItem, index) => {
+        const task = describeTemplateTask(taskItem, index, null);
+        return [task.templateSlug, task.title];
+      })
+    );
+
+  const before = keyed(fromStages);
+  const after = keyed(toStages);
+  const stages = [];
+
+  after.forEach((stage, slug) => {
+    const previous = before.get(slug);
+    if (!previous) {
+      stages.push({ templateSlug: slug, name: stage.name, change: 'added', fields: [], tasksAdded: [...taskKeys(stage).values()], tasksRemoved: [] });
+      return;
+    }
+    const fields = stageFields
+      .filter(field => JSON.stringify(previous[field] ?? null) !== JSON.stringify(stage[field] ?? null))
+      .map(field => ({ field, from: previous[field] ?? null, to: stage[field] ?? null }));
+    const previousTasks = taskKeys(previous);
+    const nextTasks = taskKeys(stage);
+    const tasksAdded = [...nextTasks].filter(([key]) => !previousTasks.has(key)).map(([, title]) => title);
+    const tasksRemoved = [...previousTasks].filter(([key]) => !nextTasks.has(key)).map(([, title]) => title);
+    const changed = fields.length > 0 || tasksAdded.length > 0 || tasksRemoved.length > 0;
+    stages.push({ templateSlug: slug, name: stage.name, change: changed ? 'changed' : 'unchanged', fields, tasksAdded, tasksRemoved });
+  });
+
+  before.forEach((stage, slug) => {
+    if (!after.has(slug)) {
+      stages.push({ templateSlug: slug, name: stage.name, change: 'removed', fields: [], tasksAdded: [], tasksRemoved: [...taskKeys(stage).values()] });
+    }
+  });
+
+  const count = change => stages.filter(stage => stage.change === change).length;
+  return {
+    stages,
+    summary: {
+      stagesAdded: count('added'),
+      stagesRemoved: count('removed'),
+      stagesChanged: count('changed'),
+      tasksAdded: stages.reduce((sum, stage) => sum + stage.tasksAdded.length, 0),
+      tasksRemoved: stages.reduce((sum, stage) => sum + stage.tasksRemoved.length, 0)
+    }
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysBetween = (from, to) => Math.round((new Date(to).getTime() - new Date(from).getTime()) / DAY_MS);
+
+function uniqueSlug(base, used) {
+  let slug = base;
+  for (let suffix = 2; used.has(slug); suffix += 1) {
+    slug = `${base}_${suffix}`;
+  }
+  used.add(slug);
+  return slug;
+}
+
+// The reverse of applying a template: turns a project's stages (with tasks,
+// toggles and uploadDefinitions) into template stages. Dates and states are
+// dropped; durations and task offsets are kept relative to each stage's start
+// (the previous stage's due date, or `projectStart` for the first stage).
+export function snapshotProjectStages(projectStages, { projectStart }) {
+  const stageSlugs = new Set();
+  let stageStart = projectStart;
+  const uploadIdsByDefinition = new Map(
+    projectStages.flatMap(stage => stage.uploadDefinitions.map(definition => [definition.id, definition.uploadId]))
+  );
+
+  return projectStages.map(stage => {
+    const durationDays =
+      stage.defaultDueOffsetDays ??
+      (stage.dueDate && stageStart ? Math.max(0, daysBetween(stageStart, stage.dueDate)) : 0);
+    const startOfStage = stageStart;
+    if (stage.dueDate) stageStart = stage.dueDate;
+
+    const taskSlugs = new Set();
+    return {
+      slug: uniqueSlug(stage.templateSlug || templateSlugFor(stage.name) || 'stage', stageSlugs),
+      name: stage.name,
+      description: stage.description ?? '',
+      defaultStageDueInDays: durationDays,
+      permissions: stage.permissions,
+      tasks: stage.tasks.map(task => ({
+        slug: uniqueSlug(task.templateSlug || templateSlugFor(task.title) || 'task', taskSlugs),
+        title: task.title,
+        ownerRole: task.ownerRole || 'staff',
+        // Undated tasks fall due with their stage
+        defaultDueInDays:
+          task.dueDate && startOfStage
+            ? Math.min(Math.max(0, daysBetween(startOfStage, task.dueDate)), durationDays)
+            : durationDays,
+        requiresClientInput: task.requiresClientInput,
+        requiredUploadIds: (Array.isArray(task.requiredUploadIds) ? task.requiredUploadIds : []).map(
+          id => uploadIdsByDefinition.get(id) ?? id
+        )
+      })),
+      uploads: stage.uploadDefinitions.map(definition => ({
+        uploadId: definition.uploadId,
+        label: definition.label,
+        acceptedTypes: Array.isArray(definition.acceptedTypes) ? definition.acceptedTypes : [],
+        maxFiles: definition.maxFiles,
+        required: definition.required,
+        approvalToggleId: definition.approvalToggleId
+      })),
+      toggles: stage.toggles.map(toggle => ({
+        toggleId: toggle.templateToggleId || templateSlugFor(toggle.label),
+        label: toggle.label,
+        defaultValue: false
+      }))
+    };
+  });
+}
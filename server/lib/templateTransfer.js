@@ -0,0 +1,199 @@
+// Moves saved templates between installations as JSON files.
+//
+// An export wraps the normalised stages in a small envelope so imports can
+// check what they were given. Imports are validated with the same rules the
+// template editor uses (validateTemplateStages), and every problem is reported
+// with the line of the uploaded file it came from.
+
+import { validateTemplateStages } from '../stores/stageStore.js';
+
+export const TEMPLATE_EXPORT_FORMAT = 'ec-exhibits-template';
+export const TEMPLATE_EXPORT_VERSION = 1;
+
+// Older saved templates may list tasks as plain strings or under `checklist`
+const withTaskObjects = stage => ({
+  ...stage,
+  tasks: (stage.tasks || stage.checklist || []).map(task =>
+    task && typeof task === 'object' ? { ...task, title: task.title || task.text } : { title: String(task) }
+  )
+});
+
+export function buildTemplateExport(template) {
+  const { stages } = validateTemplateStages((template.stages || []).map(withTaskObjects));
+  return {
+    format: TEMPLATE_EXPORT_FORMAT,
+    formatVersion: TEMPLATE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    template: {
+      name: template.name,
+      description: template.description ?? null,
+      version: template.currentVersion,
+      stages
+    }
+  };
+}
+
+export function templateExportFilename(template) {
+  const base = String(template.name ?? 'template')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${base || 'template'}-v${template.currentVersion}.json`;
+}
+
+// Records the line each value starts on, keyed by path ("template.stages[1].tasks[0]").
+// Only called on text JSON.parse has already accepted.
+function indexLines(text) {
+  const lines = new Map();
+  let pos = 0;
+  let line = 1;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      if (text[pos] === '\n') line += 1;
+      pos += 1;
+    }
+  };
+  const readString = () => {
+    let out = '';
+    pos += 1;
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\\') {
+        out += text[pos + 1];
+        pos += 2;
+      } else {
+        out += text[pos];
+        pos += 1;
+      }
+    }
+    pos += 1;
+    return out;
+  };
+  const readValue = path => {
+    skipWhitespace();
+    lines.set(path, line);
+    const char = text[pos];
+    if (char === '{' || char === '[') {
+      const isObject = char === '{';
+      const close = isObject ? '}' : ']';
+      let index = 0;
+      pos += 1;
+      skipWhitespace();
+      while (pos < text.length && text[pos] !== close) {
+        if (isObject) {
+          const key = readString();
+          skipWhitespace();
+          pos += 1; // ':'
+          readValue(path ? `${path}.${key}` : key);
+        } else {
+          readValue(`${path}[${index}]`);
+          index += 1;
+        }
+        skipWhitespace();
+        if (text[pos] === ',') {
+          pos += 1;
+          skipWhitespace();
+        }
+      }
+      pos += 1;
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos += 1;
+    }
+  };
+
+  readValue('');
+  return lines;
+}
+
+// Walks up the path until it reaches a value that exists in the file
+function lineFor(lines, path) {
+  let current = path;
+  while (current) {
+    if (lines.has(current)) return lines.get(current);
+    current = current.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+  }
+  return lines.get('') ?? 1;
+}
+
+function syntaxErrorLine(error, text) {
+  const lineMatch = /line (\d+)/.exec(error.message);
+  if (lineMatch) return Number(lineMatch[1]);
+  const positionMatch = /position (\d+)/.exec(error.message);
+  if (positionMatch) return text.slice(0, Number(positionMatch[1])).split('\n').length;
+  return null;
+}
+
+// Accepts the raw file text (or an already parsed document) and returns
+// { template, errors } where each error is { line, path, message }
+export function parseTemplateImport(input) {
+  const text = typeof input === 'string' ? input : JSON.stringify(input ?? null, null, 2);
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    return {
+      template: null,
+      errors: [{ line: syntaxErrorLine(error, text), path: '', message: `Invalid JSON: ${error.message}` }]
+    };
+  }
+
+  const lines = indexLines(text);
+  const errors = [];
+  const report = (path, message) => errors.push({ line: lineFor(lines, path), path, message });
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    report('', 'Expected a template export object');
+    return { template: null, errors };
+  }
+  if (document.format !== TEMPLATE_EXPORT_FORMAT) {
+    report('format', `Unrecognised format; expected "${TEMPLATE_EXPORT_FORMAT}"`);
+  }
+  if (document.formatVersion !== TEMPLATE_EXPORT_VERSION) {
+    report('formatVersion', `Unsupported format version ${document.formatVersion}; expected ${TEMPLATE_EXPORT_VERSION}`);
+  }
+
+  const source = document.template;
+  if (!source || typeof source !== 'object') {
+    report('template', 'Missing template');
+    return { template: null, errors };
+  }
+  const name = typeof source.name === 'string' ? source.name.trim() : '';
+  if (!name) {
+    report('template.name', 'Template name is required');
+  }
+
+  // The sanitiser falls back to defaults for missing names; an import should say so instead
+  (Array.isArray(source.stages) ? source.stages : []).forEach((stage, stageIndex) => {
+    const stagePath = `template.stages[${stageIndex}]`;
+    if (!stage || typeof stage !== 'object') {
+      report(stagePath, 'Stage must be an object');
+      return;
+    }
+    if (typeof stage.name !== 'string' || !stage.name.trim()) {
+      report(stagePath, 'Stage name is required');
+    }
+    (Array.isArray(stage.tasks) ? stage.tasks : []).forEach((task, taskIndex) => {
+      if (!task || typeof task !== 'object' || typeof task.title !== 'string' || !task.title.trim()) {
+        report(`${stagePath}.tasks[${taskIndex}]`, 'Task title is required');
+      }
+    });
+  });
+
+  const { stages, errors: stageErrors } = validateTemplateStages(source.stages);
+  stageErrors.forEach(({ path, message }) => report(`template.stages${path}`, message));
+
+  errors.sort((a, b) => a.line - b.line);
+  if (errors.length > 0) {
+    return { template: null, errors };
+  }
+  return {
+    template: {
+      name,
+      description: typeof source.description === 'string' ? source.description.trim() || null : null,
+      stages
+    },
+    errors
+  };
+}
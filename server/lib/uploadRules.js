@@ -0,0 +1,128 @@
+// Checks files against the upload slot (UploadDefinition) they are meant to fill.
+//
+// acceptedTypes entries are file extensions ("pdf", ".png") or MIME patterns
+// ("image/*", "application/pdf"); an empty list accepts anything.
+
+import path from 'path';
+
+const extensionAliases = { jpeg: 'jpg', tif: 'tiff' };
+
+const normaliseExtension = value => {
+  const extension = String(value ?? '').trim().toLowerCase().replace(/^\./, '');
+  return extensionAliases[extension] ?? extension;
+};
+
+export function matchesAcceptedTypes({ originalname, mimetype }, acceptedTypes) {
+  const types = Array.isArray(acceptedTypes) ? acceptedTypes.filter(Boolean) : [];
+  if (types.length === 0) return true;
+
+  const extension = normaliseExtension(path.extname(originalname ?? ''));
+  const mime = String(mimetype ?? '').toLowerCase();
+  return types.some(type => {
+    const entry = String(type).trim().toLowerCase();
+    if (entry.includes('/')) {
+      return entry.endsWith('/*') ? mime.startsWith(entry.slice(0, -1)) : mime === entry;
+    }
+    return normaliseExtension(entry) === extension;
+  });
+}
+
+export function describeAcceptedTypes(acceptedTypes) {
+  const types = Array.isArray(acceptedTypes) ? acceptedTypes.filter(Boolean) : [];
+  return types.length === 0 ? 'any file type' : types.map(type => (String(type).includes('/') ? type : String(type).replace(/^\./, '').toUpperCase())).join(', ');
+}
+
+// Returns the problems with adding `files` to a slot that already holds `existingCount` files
+export function validateSlotUpload({ definition, files, existingCount }) {
+  const errors = files
+    .filter(file => !matchesAcceptedTypes(file, definition.acceptedTypes))
+    .map(file => `"${file.originalname}" is not an accepted type for ${definition.label} (${describeAcceptedTypes(definition.acceptedTypes)})`);
+
+  const total = existingCount + files.length;
+  if (total > definition.maxFiles) {
+    const remaining = Math.max(0, definition.maxFiles - existingCount);
+    errors.push(
+      remaining === 0
+        ? `${definition.label} already has its maximum of ${definition.maxFiles} file${definition.maxFiles === 1 ? '' : 's'}`
+        : `${definition.label} accepts ${remaining} more file${remaining === 1 ? '' : 's'} (maximum ${definition.maxFiles})`
+    );
+  }
+  return errors;
+}
+
+// definitions: UploadDefinition rows with `_count.uploads`
+export function missingRequiredSlots(definitions) {
+  return definitions.filter(definition => definition.required && (definition._count?.uploads ?? 0) === 0);
+}
+
+// Files sent back with changes requested no longer fill their slot
+export const countsTowardSlot = upload => upload.reviewStatus !== 'changes_requested';
+
+// Works out which tasks move because of the files in their required slots.
+// uploadsByDefinition maps a definition id to the uploads in that slot. Open
+// tasks whose slots are all filled become completed, or needs_review while a
+// file is still pending review; tasks in needs_review complete once nothing is
+// pending and go back to in_progress if a slot was emptied by a rejection.
+export function taskTransitionsFromUploads(tasks, uploadsByDefinition) {
+  return tasks
+    .filter(task => Array.isArray(task.requiredUploadIds) && task.requiredUploadIds.length > 0)
+    .map(task => {
+      const slotUploads = task.requiredUploadIds.map(id => (uploadsByDefinition.get(id) ?? []).filter(countsTowardSlot));
+      const filled = slotUploads.every(uploads => uploads.length > 0);
+      const pending = slotUploads.some(uploads => uploads.some(upload => upload.reviewStatus === 'pending'));
+
+      if (task.state === 'not_started' || task.state === 'in_progress') {
+        return filled ? { task, state: pending ? 'needs_review' : 'completed' } : null;
+      }
+      if (task.state === 'needs_review') {
+        if (!filled) return { task, state: 'in_progress' };
+        return pending ? null : { task, state: 'completed' };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// A versioned document is keyed by the id of its first version
+export const documentKey = upload => upload.documentId ?? upload.id;
+
+const normaliseLabel = label => String(label ?? '').trim().toLowerCase();
+
+// Works out which current upload each incoming file becomes the next version
+// of. `replaces` (an explicit "upload new version") applies to the one file
+// sent; otherwise a single-file slot versions whatever it holds, and a labelled
+// file versions the current upload with the same label in the same slot (or,
+// outside slots, the same category). Files later in the batch can version
+// earlier ones. Returns [{ replaces, replacesIndex }] per file, where
+// replacesIndex points at an earlier file in the batch.
+export function planUploadVersions({ files, definition = null, category = null, currentUploads = [], replaces = null }) {
+  if (replaces) {
+    return files.map(() => ({ replaces, replacesIndex: null }));
+  }
+
+  const pool = currentUploads
+    .filter(upload => (definition ? upload.definitionId === definition.id : !upload.definitionId && (upload.category ?? null) === category))
+    .map(upload => ({ label: normaliseLabel(upload.label), upload, index: null }));
+
+  return files.map((file, index) => {
+    const label = normaliseLabel(file.label);
+    const match =
+      definition?.maxFiles === 1
+        ? pool[0]
+        : label
+          ? pool.find(entry => entry.label === label)
+          : undefined;
+    if (match) pool.splice(pool.indexOf(match), 1);
+    pool.push({ label, upload: null, index });
+    return { replaces: match?.upload ?? null, replacesIndex: match && match.index !== null ? match.index : null };
+  });
+}
+
+// Files a batch takes out of a slot's count because newer versions replace them
+export function slotFilesReplaced(plan, definition) {
+  return plan.filter(
+    entry =>
+      entry.replacesIndex !== null ||
+      (entry.replaces && entry.replaces.definitionId === definition.id && countsTowardSlot(entry.replaces))
+  ).length;
+}
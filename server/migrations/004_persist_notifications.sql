@@ -0,0 +1,21 @@
+-- Migration: Persist the notification feed and unread counters
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Add the columns notificationStore needs to rebuild the feed and counters
+ALTER TABLE notifications
+ADD COLUMN project_name TEXT,
+ADD COLUMN category TEXT NOT NULL DEFAULT 'projects',
+ADD COLUMN actor_id TEXT,
+ADD COLUMN actor_name TEXT,
+ADD COLUMN counts_towards_total BOOLEAN NOT NULL DEFAULT TRUE,
+ADD COLUMN item_count INTEGER NOT NULL DEFAULT 1;
+
+-- Step 2: Existing rows were written by the upload delete route
+UPDATE notifications SET category = 'uploads' WHERE type = 'file_deleted';
+
+-- Step 3: Index for unread counter lookups
+CREATE INDEX idx_notifications_user_category_read ON notifications(user_id, category, is_read);
+
+-- Verification queries:
+-- SELECT category, COUNT(*) FROM notifications WHERE is_read = FALSE GROUP BY category;
@@ -0,0 +1,13 @@
+-- Migration: Indexes for paginated chat history and message search
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Cursor pagination walks messages newest-first within a project
+CREATE INDEX idx_messages_project_created ON messages(project_id, created_at);
+
+-- Step 2: Full-text search over message content (matches messageStore.search)
+CREATE INDEX idx_messages_content_search ON messages USING GIN (to_tsvector('english', content));
+
+-- Verification queries:
+-- EXPLAIN SELECT id FROM messages
+--   WHERE to_tsvector('english', content) @@ plainto_tsquery('english', 'freight');
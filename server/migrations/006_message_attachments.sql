@@ -0,0 +1,21 @@
+-- Migration: Link chat messages to project uploads
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Join table so a message can carry several uploads and an upload
+-- can be re-shared in later messages
+CREATE TABLE message_attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    upload_id UUID NOT NULL REFERENCES uploads(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(message_id, upload_id)
+);
+
+-- Step 2: Look up messages referencing an upload (e.g. when it is deleted)
+CREATE INDEX idx_message_attachments_upload ON message_attachments(upload_id);
+
+-- Verification queries:
+-- SELECT m.content, u.original_filename FROM message_attachments ma
+--   JOIN messages m ON m.id = ma.message_id
+--   JOIN uploads u ON u.id = ma.upload_id;
@@ -0,0 +1,23 @@
+-- Migration: Editable and deletable chat messages with an audit trail
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Soft-delete and edit markers on messages
+ALTER TABLE messages
+    ADD COLUMN edited_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Step 2: Prior versions of a message, written before every edit or delete
+CREATE TABLE message_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    editor_id UUID NOT NULL REFERENCES users(id),
+    action VARCHAR(20) NOT NULL, -- 'edit' or 'delete'
+    content TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_message_revisions_message ON message_revisions(message_id, created_at);
+
+-- Verification queries:
+-- SELECT action, content, created_at FROM message_revisions WHERE message_id = '<id>' ORDER BY created_at;
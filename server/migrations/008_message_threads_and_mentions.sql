@@ -0,0 +1,25 @@
+-- Migration: Threaded replies and @mentions in project chat
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Replies point at their top-level parent message
+ALTER TABLE messages
+    ADD COLUMN parent_id UUID REFERENCES messages(id) ON DELETE CASCADE;
+
+CREATE INDEX idx_messages_parent_created ON messages(parent_id, created_at);
+
+-- Step 2: Members addressed in a message via @displayName
+CREATE TABLE message_mentions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(message_id, user_id)
+);
+
+CREATE INDEX idx_message_mentions_user ON message_mentions(user_id);
+
+-- Verification queries:
+-- SELECT parent_id, COUNT(*) FROM messages WHERE parent_id IS NOT NULL GROUP BY parent_id;
+-- SELECT u.display_name, m.content FROM message_mentions mm
+--   JOIN users u ON u.id = mm.user_id JOIN messages m ON m.id = mm.message_id;
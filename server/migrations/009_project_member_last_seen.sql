@@ -0,0 +1,10 @@
+-- Migration: Track when each member last viewed a project
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Updated by the socket server when a member opens or leaves a project room
+ALTER TABLE project_members
+    ADD COLUMN last_seen_at TIMESTAMP WITH TIME ZONE;
+
+-- Verification queries:
+-- SELECT project_id, user_id, last_seen_at FROM project_members ORDER BY last_seen_at DESC NULLS LAST;
@@ -0,0 +1,15 @@
+-- Migration: Idempotent chat sends keyed by the client-generated message id
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Store the id the browser assigned before sending
+ALTER TABLE messages
+    ADD COLUMN client_message_id VARCHAR(255);
+
+-- Step 2: A retried send from the same sender maps back to the original row.
+-- NULLs stay distinct, so messages created before this migration are unaffected.
+CREATE UNIQUE INDEX messages_sender_id_client_message_id_key ON messages(sender_id, client_message_id);
+
+-- Verification queries:
+-- SELECT sender_id, client_message_id, COUNT(*) FROM messages
+--   WHERE client_message_id IS NOT NULL GROUP BY 1, 2 HAVING COUNT(*) > 1;
@@ -0,0 +1,27 @@
+-- Migration: Assign tasks to real project members instead of free-text names
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Link tasks to the assigned user; the legacy assignee text column stays
+-- as a display name so emails and older clients keep working
+ALTER TABLE tasks
+    ADD COLUMN assignee_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Step 2: Index for the per-user "My Tasks" lookup
+CREATE INDEX tasks_assignee_id_idx ON tasks(assignee_id);
+
+-- Step 3: Backfill where the free-text assignee matches a project member's display name
+UPDATE tasks t
+SET assignee_id = u.id
+FROM stages s, project_members pm, users u
+WHERE t.stage_id = s.id
+  AND pm.project_id = s.project_id
+  AND pm.user_id = u.id
+  AND t.assignee_id IS NULL
+  AND t.assignee IS NOT NULL
+  AND LOWER(TRIM(t.assignee)) = LOWER(u.display_name);
+
+-- Verification queries:
+-- SELECT COUNT(*) FILTER (WHERE assignee_id IS NOT NULL) AS linked,
+--        COUNT(*) FILTER (WHERE assignee IS NOT NULL AND assignee_id IS NULL) AS unlinked
+--   FROM tasks;
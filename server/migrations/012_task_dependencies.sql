@@ -0,0 +1,26 @@
+-- Migration: Task dependencies and automatic blocking
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Predecessor links between tasks of the same project (stages may differ)
+CREATE TABLE task_dependencies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    depends_on_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(task_id, depends_on_id),
+    CHECK (task_id <> depends_on_id)
+);
+
+-- Step 2: Look up dependents when a predecessor completes
+CREATE INDEX task_dependencies_depends_on_id_idx ON task_dependencies(depends_on_id);
+
+-- Step 3: Distinguish dependency blocks (lifted automatically) from manual blocks
+ALTER TABLE tasks
+    ADD COLUMN auto_blocked BOOLEAN NOT NULL DEFAULT false;
+
+-- Verification queries:
+-- SELECT t.title, p.title AS depends_on, p.state AS predecessor_state
+--   FROM task_dependencies d
+--   JOIN tasks t ON t.id = d.task_id
+--   JOIN tasks p ON p.id = d.depends_on_id;
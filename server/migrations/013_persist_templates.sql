@@ -0,0 +1,200 @@
+-- Migration: Persist saved templates in Postgres and seed the built-in templates
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Every template is either the default or not
+UPDATE templates SET is_default = false WHERE is_default IS NULL;
+ALTER TABLE templates ALTER COLUMN is_default SET NOT NULL;
+
+-- Step 2: At most one default template. If several were flagged, keep the newest.
+UPDATE templates SET is_default = false
+WHERE is_default
+  AND id <> (SELECT id FROM templates WHERE is_default ORDER BY created_at DESC LIMIT 1);
+CREATE UNIQUE INDEX templates_single_default_idx ON templates (is_default) WHERE is_default;
+
+-- Step 3: Seed the built-in templates (fixed ids keep this re-runnable).
+-- The standard template only becomes the default when no default exists yet.
+INSERT INTO templates (id, name, description, stages, stage_count, is_default)
+SELECT
+    '00000000-0000-4000-8000-000000000001',
+    'Standard Project Template',
+    'Complete workflow with all stages',
+    '[
+  {
+    "slug": "planning",
+    "name": "Planning & Design",
+    "description": "Initial project planning and design phase",
+    "defaultStageDueInDays": 7,
+    "permissions": {
+      "viewRoles": ["owner", "staff", "client"],
+      "taskUpdateRoles": ["owner", "staff"],
+      "checklistEditRoles": ["owner", "staff"],
+      "clientCanUpload": false
+    },
+    "tasks": [
+      { "title": "Review project requirements", "position": 0 },
+      { "title": "Create initial design concept", "position": 1 },
+      { "title": "Get client approval on design", "position": 2 },
+      { "title": "Finalize specifications", "position": 3 }
+    ],
+    "uploads": [],
+    "toggles": []
+  },
+  {
+    "slug": "production",
+    "name": "Production",
+    "description": "Create and prepare all materials",
+    "defaultStageDueInDays": 14,
+    "permissions": {
+      "viewRoles": ["owner", "staff", "client"],
+      "taskUpdateRoles": ["owner", "staff"],
+      "checklistEditRoles": ["owner", "staff"],
+      "clientCanUpload": false
+    },
+    "tasks": [
+      { "title": "Order materials and supplies", "position": 0 },
+      { "title": "Fabricate booth components", "position": 1 },
+      { "title": "Print graphics and signage", "position": 2 },
+      { "title": "Quality control inspection", "position": 3 },
+      { "title": "Package for shipping", "position": 4 }
+    ],
+    "uploads": [],
+    "toggles": []
+  },
+  {
+    "slug": "shipping",
+    "name": "Shipping & Logistics",
+    "description": "Ship materials to venue",
+    "defaultStageDueInDays": 3,
+    "permissions": {
+      "viewRoles": ["owner", "staff", "client"],
+      "taskUpdateRoles": ["owner", "staff"],
+      "checklistEditRoles": ["owner", "staff"],
+      "clientCanUpload": false
+    },
+    "tasks": [
+      { "title": "Arrange shipping carrier", "position": 0 },
+      { "title": "Create shipping manifest", "position": 1 },
+      { "title": "Schedule pickup", "position": 2 },
+      { "title": "Track shipment to venue", "position": 3 }
+    ],
+    "uploads": [],
+    "toggles": []
+  },
+  {
+    "slug": "installation",
+    "name": "Installation",
+    "description": "Onsite setup and installation",
+    "defaultStageDueInDays": 2,
+    "permissions": {
+      "viewRoles": ["owner", "staff", "client"],
+      "taskUpdateRoles": ["owner", "staff"],
+      "checklistEditRoles": ["owner", "staff"],
+      "clientCanUpload": false
+    },
+    "tasks": [
+      { "title": "Receive materials at venue", "position": 0 },
+      { "title": "Inspect for damage", "position": 1 },
+      { "title": "Assemble booth structure", "position": 2 },
+      { "title": "Install graphics and signage", "position": 3 },
+      { "title": "Final walkthrough with client", "position": 4 }
+    ],
+    "uploads": [],
+    "toggles": []
+  },
+  {
+    "slug": "closeout",
+    "name": "Post-Show Closeout",
+    "description": "Teardown and final wrap-up",
+    "defaultStageDueInDays": 3,
+    "permissions": {
+      "viewRoles": ["owner", "staff", "client"],
+      "taskUpdateRoles": ["owner", "staff"],
+      "checklistEditRoles": ["owner", "staff"],
+      "clientCanUpload": false
+    },
+    "tasks": [
+      { "title": "Dismantle booth", "position": 0 },
+      { "title": "Pack materials for return", "position": 1 },
+      { "title": "Arrange return shipping", "position": 2 },
+      { "title": "Final invoice and paperwork", "position": 3 }
+    ],
+    "uploads": [],
+    "toggles": []
+  }
+]'::jsonb,
+    5,
+    NOT EXISTS (SELECT 1 FROM templates WHERE is_default)
+WHERE NOT EXISTS (SELECT 1 FROM templates WHERE id = '00000000-0000-4000-8000-000000000001');
+
+INSERT INTO templates (id, name, description, stages, stage_count, is_default)
+SELECT
+    '00000000-0000-4000-8000-000000000002',
+    'Quick Setup Template',
+    'Simplified workflow for smaller projects',
+    '[
+  {
+    "slug": "preparation",
+    "name": "Preparation",
+    "description": "Gather materials and prepare",
+    "defaultStageDueInDays": 5,
+    "permissions": {
+      "viewRoles": ["owner", "staff", "client"],
+      "taskUpdateRoles": ["owner", "staff"],
+      "checklistEditRoles": ["owner", "staff"],
+      "clientCanUpload": false
+    },
+    "tasks": [
+      { "title": "Define project scope", "position": 0 },
+      { "title": "Order materials", "position": 1 },
+      { "title": "Coordinate logistics", "position": 2 }
+    ],
+    "uploads": [],
+    "toggles": []
+  },
+  {
+    "slug": "execution",
+    "name": "Execution",
+    "description": "Complete the project work",
+    "defaultStageDueInDays": 7,
+    "permissions": {
+      "viewRoles": ["owner", "staff", "client"],
+      "taskUpdateRoles": ["owner", "staff"],
+      "checklistEditRoles": ["owner", "staff"],
+      "clientCanUpload": false
+    },
+    "tasks": [
+      { "title": "Build components", "position": 0 },
+      { "title": "Transport to venue", "position": 1 },
+      { "title": "Setup on-site", "position": 2 }
+    ],
+    "uploads": [],
+    "toggles": []
+  },
+  {
+    "slug": "completion",
+    "name": "Completion",
+    "description": "Final delivery and closeout",
+    "defaultStageDueInDays": 2,
+    "permissions": {
+      "viewRoles": ["owner", "staff", "client"],
+      "taskUpdateRoles": ["owner", "staff"],
+      "checklistEditRoles": ["owner", "staff"],
+      "clientCanUpload": false
+    },
+    "tasks": [
+      { "title": "Client walkthrough", "position": 0 },
+      { "title": "Final cleanup", "position": 1 },
+      { "title": "Send final invoice", "position": 2 }
+    ],
+    "uploads": [],
+    "toggles": []
+  }
+]'::jsonb,
+    3,
+    false
+WHERE NOT EXISTS (SELECT 1 FROM templates WHERE id = '00000000-0000-4000-8000-000000000002');
+
+-- Verification queries:
+-- SELECT id, name, stage_count, is_default FROM templates ORDER BY created_at;
+-- SELECT COUNT(*) FROM templates WHERE is_default; -- expect 1
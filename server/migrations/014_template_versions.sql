@@ -0,0 +1,40 @@
+-- Migration: Immutable template versions and per-project template lineage
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Track the latest version number on each template
+ALTER TABLE templates
+    ADD COLUMN current_version INTEGER NOT NULL DEFAULT 1;
+
+-- Step 2: One snapshot per template version
+CREATE TABLE template_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id UUID NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    stages JSONB NOT NULL,
+    stage_count INTEGER NOT NULL,
+    created_by_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(template_id, version)
+);
+
+-- Step 3: Existing templates become version 1
+INSERT INTO template_versions (template_id, version, name, description, stages, stage_count, created_at)
+SELECT id, 1, name, description, stages, stage_count, COALESCE(updated_at, created_at, NOW())
+FROM templates
+ON CONFLICT (template_id, version) DO NOTHING;
+
+-- Step 4: Record which template version each project was built from
+ALTER TABLE projects
+    ADD COLUMN template_id UUID REFERENCES templates(id) ON DELETE SET NULL,
+    ADD COLUMN template_version INTEGER,
+    ADD COLUMN template_applied_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX projects_template_id_idx ON projects(template_id);
+
+-- Verification queries:
+-- SELECT t.name, t.current_version, COUNT(v.id) AS versions
+--   FROM templates t LEFT JOIN template_versions v ON v.template_id = t.id GROUP BY t.id;
+-- SELECT name, template_id, template_version FROM projects WHERE template_id IS NOT NULL;
@@ -0,0 +1,16 @@
+-- Migration: Link uploads to the upload slot (definition) they fill
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Optional slot reference; files outside any slot keep a NULL definition
+ALTER TABLE uploads
+    ADD COLUMN definition_id UUID REFERENCES upload_definitions(id) ON DELETE SET NULL;
+
+-- Step 2: Count files per slot when validating max files and required slots
+CREATE INDEX uploads_definition_id_idx ON uploads(definition_id);
+
+-- Verification queries:
+-- SELECT d.label, d.max_files, d.required, COUNT(u.id) AS files
+--   FROM upload_definitions d
+--   LEFT JOIN uploads u ON u.definition_id = d.id
+--  GROUP BY d.id;
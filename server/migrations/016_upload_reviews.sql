@@ -0,0 +1,24 @@
+-- Migration: Review and approval workflow for uploads
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Review state on each upload ('pending', 'approved', 'changes_requested')
+ALTER TABLE uploads
+    ADD COLUMN review_status TEXT,
+    ADD COLUMN review_comment TEXT,
+    ADD COLUMN reviewed_by_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN reviewed_at TIMESTAMP WITH TIME ZONE;
+
+-- Step 2: Files already flagged for review join the queue
+UPDATE uploads SET review_status = 'pending' WHERE requires_review = true;
+
+-- Step 3: The review queue lists pending uploads per project
+CREATE INDEX uploads_project_id_review_status_idx ON uploads(project_id, review_status);
+
+-- Step 4: Upload slots can tick a stage toggle once their files are approved
+ALTER TABLE upload_definitions
+    ADD COLUMN approval_toggle_id TEXT;
+
+-- Verification queries:
+-- SELECT review_status, COUNT(*) FROM uploads GROUP BY review_status;
+-- SELECT upload_id, approval_toggle_id FROM upload_definitions WHERE approval_toggle_id IS NOT NULL;
@@ -0,0 +1,18 @@
+-- Migration: Versioned documents for uploads
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Each upload belongs to a document (the id of its first version) with a version number
+ALTER TABLE uploads
+    ADD COLUMN document_id UUID,
+    ADD COLUMN version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN is_current_version BOOLEAN NOT NULL DEFAULT true;
+
+-- Step 2: Version history is looked up by document
+CREATE INDEX uploads_document_id_idx ON uploads(document_id);
+
+-- Existing uploads stay as first (and current) versions of their own documents.
+
+-- Verification queries:
+-- SELECT COUNT(*) FROM uploads WHERE document_id IS NOT NULL;
+-- SELECT COALESCE(document_id, id) AS document, MAX(version) FROM uploads GROUP BY 1 HAVING MAX(version) > 1;
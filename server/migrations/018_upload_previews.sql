@@ -0,0 +1,12 @@
+-- Migration: Thumbnails and PDF previews for uploads
+-- Database: Neon Postgres
+-- Date: 2026-10-19
+
+-- Step 1: Filename of the generated WebP preview, stored next to the upload in UPLOAD_DIR
+ALTER TABLE uploads
+    ADD COLUMN preview_path TEXT;
+
+-- Existing images and PDFs get their previews generated the first time they are requested.
+
+-- Verification queries:
+-- SELECT original_filename, preview_path FROM uploads WHERE preview_path IS NOT NULL LIMIT 10;
@@ -1,44 +1,381 @@
-import { randomUUID } from 'crypto';
-import dayjs from 'dayjs';
-import { projectStore } from './projectStore.js';
+import prisma from '../lib/db.js';
+import { isUuid } from '../lib/ids.js';
 
-const messagesByProject = new Map();
+export const MESSAGE_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const SEARCH_LIMIT = 50;
+const MAX_ATTACHMENTS = 10;
 
-function ensureProject(projectId) {
-  if (!messagesByProject.has(projectId)) {
-    messagesByProject.set(projectId, []);
+const IMAGE_EXTENSIONS = new Set(['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg']);
+
+// Lets the chat decide between an inline thumbnail, a PDF chip or a plain file chip
+function attachmentKind(fileName) {
+  const extension = String(fileName ?? '').split('.').pop().toLowerCase();
+  if (IMAGE_EXTENSIONS.has(extension)) return 'image';
+  if (extension === 'pdf') return 'pdf';
+  return 'file';
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function mentionsName(body, name) {
+  if (!name) return false;
+  return new RegExp(`(^|\\s)@${escapeRegExp(name)}(?![\\w])`, 'i').test(body);
+}
+
+// Resolves "@Cameron Client" or just "@Cameron" against project members. A bare first
+// name only counts when no other member shares it.
+export function resolveMentions(body, members) {
+  const text = String(body ?? '');
+  if (!text.includes('@')) return [];
+  const firstNameCounts = new Map();
+  for (const member of members) {
+    const firstName = (member.displayName ?? '').split(' ')[0].toLowerCase();
+    firstNameCounts.set(firstName, (firstNameCounts.get(firstName) ?? 0) + 1);
   }
-  return messagesByProject.get(projectId);
+  const mentioned = members.filter(member => {
+    const displayName = (member.displayName ?? '').trim();
+    if (mentionsName(text, displayName)) return true;
+    const firstName = displayName.split(' ')[0];
+    return firstNameCounts.get(firstName.toLowerCase()) === 1 && mentionsName(text, firstName);
+  });
+  return [...new Set(mentioned.map(member => member.userId))];
+}
+
+function clampLimit(limit, fallback) {
+  const value = Number(limit);
+  if (!Number.isFinite(value) || value <= 0) return fallback;
+  return Math.min(Math.round(value), MAX_PAGE_SIZE);
+}
+
+const baseInclude = {
+  sender: {
+    select: {
+      id: true,
+      displayName: true,
+      role: true
+    }
+  },
+  reads: {
+    include: {
+      user: {
+        select: {
+          id: true,
+          displayName: true
+        }
+      }
+    },
+    orderBy: { readAt: 'asc' }
+  },
+  attachments: {
+    include: {
+      upload: {
+        select: {
+          id: true,
+          originalFilename: true,
+          createdAt: true
+        }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  },
+  mentions: {
+    include: {
+      user: {
+        select: {
+          id: true,
+          displayName: true
+        }
+      }
+    }
+  }
+};
+
+// Top-level messages come back with their thread so the chat can render it inline
+const messageInclude = {
+  ...baseInclude,
+  replies: {
+    include: baseInclude,
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+function serialiseMessage(message, extras = {}) {
+  const deleted = Boolean(message.deletedAt);
+  return {
+    id: message.id,
+    projectId: message.projectId,
+    parentId: message.parentId ?? null,
+    clientMessageId: message.clientMessageId ?? null,
+    // Deleted messages keep their slot in the timeline but lose their content
+    body: deleted ? '' : message.content,
+    author: {
+      id: message.sender.id,
+      displayName: message.sender.displayName,
+      role: message.sender.role
+    },
+    seenBy: (message.reads ?? [])
+      .filter(read => read.userId !== message.senderId)
+      .map(read => ({
+        id: read.user.id,
+        displayName: read.user.displayName,
+        readAt: read.readAt.toISOString()
+      })),
+    attachments: (deleted ? [] : message.attachments ?? []).map(attachment => ({
+      id: attachment.upload.id,
+      fileName: attachment.upload.originalFilename,
+      kind: attachmentKind(attachment.upload.originalFilename),
+      uploadedAt: attachment.upload.createdAt.toISOString()
+    })),
+    mentions: (message.mentions ?? []).map(mention => ({
+      id: mention.user.id,
+      displayName: mention.user.displayName
+    })),
+    ...(message.replies ? { replies: message.replies.map(reply => serialiseMessage(reply)) } : {}),
+    createdAt: message.createdAt.toISOString(),
+    editedAt: message.editedAt ? message.editedAt.toISOString() : null,
+    deletedAt: deleted ? message.deletedAt.toISOString() : null,
+    ...extras
+  };
 }
 
 export const messageStore = {
-  history(projectId, userId) {
-    const project = projectStore.get(projectId);
-    if (!project) return [];
-    const isMember = project.members.some(member => member.userId === userId);
-    if (!isMember) return [];
-    return ensureProject(projectId);
-  },
-  create({ projectId, user, body, attachments = [], clientMessageId }) {
-    const project = projectStore.get(projectId);
-    if (!project) {
-      throw new Error('Project not found');
-    }
-    const message = {
-      id: randomUUID(),
-      clientMessageId,
-      projectId,
-      body,
-      attachments,
-      author: {
-        id: user.id,
-        displayName: user.displayName,
-        role: user.role
-      },
-      createdAt: dayjs().toISOString()
+  // Cursor pagination, newest first in the query and oldest first in the result.
+  // `before` is the id of the oldest message the client already has.
+  async page({ projectId, before, limit }) {
+    const take = clampLimit(limit, MESSAGE_PAGE_SIZE);
+    if (!isUuid(projectId)) {
+      throw new Error('Invalid project id');
+    }
+    if (before && !isUuid(before)) {
+      throw new Error('Invalid cursor');
+    }
+    if (before) {
+      const cursor = await prisma.message.findUnique({ where: { id: before }, select: { projectId: true } });
+      if (!cursor || cursor.projectId !== projectId) {
+        throw new Error('Invalid cursor');
+      }
+    }
+    const rows = await prisma.message.findMany({
+      where: { projectId, parentId: null },
+      include: messageInclude,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: take + 1,
+      ...(before ? { cursor: { id: before }, skip: 1 } : {})
+    });
+    const hasMore = rows.length > take;
+    const messages = rows.slice(0, take).reverse().map(message => serialiseMessage(message));
+    return {
+      messages,
+      hasMore,
+      nextCursor: hasMore && messages.length > 0 ? messages[0].id : null
     };
-    const bucket = ensureProject(projectId);
-    bucket.push(message);
+  },
+  async search({ projectId, query, limit }) {
+    const term = String(query ?? '').trim();
+    if (!term) return [];
+    if (!isUuid(projectId)) {
+      throw new Error('Invalid project id');
+    }
+    const take = clampLimit(limit, SEARCH_LIMIT);
+    const matches = await prisma.$queryRaw`
+      SELECT id
+      FROM messages
+      WHERE project_id = ${projectId}::uuid
+        AND deleted_at IS NULL
+        AND to_tsvector('english', content) @@ plainto_tsquery('english', ${term})
+      ORDER BY ts_rank(to_tsvector('english', content), plainto_tsquery('english', ${term})) DESC, created_at DESC
+      LIMIT ${take}
+    `;
+    if (matches.length === 0) return [];
+    const ids = matches.map(match => match.id);
+    const rows = await prisma.message.findMany({
+      where: { id: { in: ids } },
+      include: baseInclude
+    });
+    const byId = new Map(rows.map(row => [row.id, row]));
+    return ids.filter(id => byId.has(id)).map(id => serialiseMessage(byId.get(id)));
+  },
+  // Only uploads that belong to the same project can be attached; unknown ids are dropped
+  async resolveAttachments({ projectId, attachmentIds }) {
+    const ids = [...new Set((Array.isArray(attachmentIds) ? attachmentIds : []).filter(isUuid))];
+    if (ids.length === 0) return [];
+    const candidates = ids.slice(0, MAX_ATTACHMENTS);
+    const uploads = await prisma.upload.findMany({
+      where: { id: { in: candidates }, projectId },
+      select: { id: true }
+    });
+    const found = new Set(uploads.map(upload => upload.id));
+    return candidates.filter(id => found.has(id));
+  },
+  // Threads are one level deep: replying to a reply attaches to its top-level message
+  async resolveParent({ projectId, parentId }) {
+    if (!parentId) return null;
+    const parent = await prisma.message.findUnique({
+      where: { id: parentId },
+      select: { id: true, projectId: true, parentId: true, deletedAt: true }
+    });
+    if (!parent || parent.projectId !== projectId || parent.deletedAt) {
+      throw new Error('Parent message not found');
+    }
+    return parent.parentId ?? parent.id;
+  },
+  // clientMessageId is unique per sender, so a retried send resolves to the original row
+  async findByClientId({ senderId, clientMessageId }) {
+    if (!clientMessageId) return null;
+    const message = await prisma.message.findUnique({
+      where: { senderId_clientMessageId: { senderId, clientMessageId } },
+      include: messageInclude
+    });
+    return message ? serialiseMessage(message) : null;
+  },
+  // Resolves to { message, created }; created is false when a concurrent retry won the insert
+  async create({ projectId, senderId, body, clientMessageId = null, parentId = null, attachmentIds = [], mentionIds = [] }) {
+    try {
+      const message = await prisma.message.create({
+        data: {
+          projectId,
+          senderId,
+          parentId,
+          clientMessageId,
+          content: body ?? '',
+          attachments: {
+            create: attachmentIds.map(uploadId => ({ uploadId }))
+          },
+          mentions: {
+            create: mentionIds.map(userId => ({ userId }))
+          }
+        },
+        include: messageInclude
+      });
+      return { message: serialiseMessage(message), created: true };
+    } catch (error) {
+      if (error.code === 'P2002' && clientMessageId) {
+        const existing = await this.findByClientId({ senderId, clientMessageId });
+        if (existing) return { message: existing, created: false };
+      }
+      throw error;
+    }
+  },
+  // Raw row used by the socket layer to check authorship before editing or deleting
+  async find({ projectId, messageId }) {
+    const message = await prisma.message.findUnique({
+      where: { id: messageId },
+      include: { _count: { select: { attachments: true } } }
+    });
+    if (!message || message.projectId !== projectId) return null;
     return message;
+  },
+  // Each edit/delete snapshots the previous content into message_revisions first.
+  // Edits replace the mention set; resolves to { message, addedMentionIds }.
+  async edit({ messageId, editorId, body, mentionIds = [] }) {
+    const current = await prisma.message.findUnique({
+      where: { id: messageId },
+      select: { content: true, mentions: { select: { userId: true } } }
+    });
+    const previousIds = new Set(current.mentions.map(mention => mention.userId));
+    const addedMentionIds = mentionIds.filter(userId => !previousIds.has(userId));
+    const [, , message] = await prisma.$transaction([
+      prisma.messageRevision.create({
+        data: { messageId, editorId, action: 'edit', content: current.content }
+      }),
+      prisma.messageMention.deleteMany({ where: { messageId, userId: { notIn: mentionIds } } }),
+      prisma.message.update({
+        where: { id: messageId },
+        data: {
+          content: body,
+          editedAt: new Date(),
+          mentions: { create: addedMentionIds.map(userId => ({ userId })) }
+        },
+        include: messageInclude
+      })
+    ]);
+    return { message: serialiseMessage(message), addedMentionIds };
+  },
+  async remove({ messageId, actorId }) {
+    const current = await prisma.message.findUnique({ where: { id: messageId }, select: { content: true } });
+    const [, message] = await prisma.$transaction([
+      prisma.messageRevision.create({
+        data: { messageId, editorId: actorId, action: 'delete', content: current.content }
+      }),
+      prisma.message.update({
+        where: { id: messageId },
+        data: { deletedAt: new Date() },
+        include: messageInclude
+      })
+    ]);
+    return serialiseMessage(message);
+  },
+  async history({ projectId, messageId }) {
+    const message = await prisma.message.findUnique({
+      where: { id: messageId },
+      include: {
+        ...messageInclude,
+        revisions: {
+          include: { editor: { select: { id: true, displayName: true } } },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+    if (!message || message.projectId !== projectId) return null;
+    return {
+      message: serialiseMessage(message),
+      revisions: message.revisions.map(revision => ({
+        id: revision.id,
+        action: revision.action,
+        body: revision.content,
+        editor: revision.editor,
+        createdAt: revision.createdAt.toISOString()
+      }))
+    };
+  },
+  async markRead({ projectId, userId }) {
+    const unread = await prisma.message.findMany({
+      where: {
+        projectId,
+        senderId: { not: userId },
+        reads: { none: { userId } }
+      },
+      select: { id: true }
+    });
+    if (unread.length === 0) {
+      return { messageIds: [], readAt: null };
+    }
+    const readAt = new Date();
+    await prisma.messageRead.createMany({
+      data: unread.map(message => ({ messageId: message.id, userId, readAt })),
+      skipDuplicates: true
+    });
+    return { messageIds: unread.map(message => message.id), readAt: readAt.toISOString() };
+  },
+  // Per-project unread counts for each user across the projects they belong to
+  async unreadByProject(userIds) {
+    const counts = [];
+    for (const userId of new Set(userIds)) {
+      const groups = await prisma.message.groupBy({
+        by: ['projectId'],
+        where: {
+          senderId: { not: userId },
+          deletedAt: null,
+          reads: { none: { userId } },
+          project: { members: { some: { userId } } }
+        },
+        _count: { _all: true }
+      });
+      groups.forEach(group => counts.push({ userId, projectId: group.projectId, unread: group._count._all }));
+    }
+    return counts;
+  },
+  async unreadCount({ projectId, userId }) {
+    return prisma.message.count({
+      where: {
+        projectId,
+        senderId: { not: userId },
+        deletedAt: null,
+        reads: { none: { userId } }
+      }
+    });
   }
 };
@@ -1,34 +1,16 @@
-import { randomUUID } from 'crypto';
+import prisma from '../lib/db.js';
+import { messageStore } from './messageStore.js';
 
-const notificationsByUser = new Map();
 const FEED_LIMIT = 25;
 
 const statusLabels = {
   not_started: 'Not started',
   in_progress: 'In progress',
   completed: 'Completed',
-  blocked: 'Blocked'
+  blocked: 'Blocked',
+  needs_review: 'Needs review'
 };
 
-function defaultState() {
-  return {
-    messages: {
-      byProject: new Map()
-    },
-    uploads: 0,
-    projects: 0,
-    users: 0,
-    feed: []
-  };
-}
-
-function ensureState(userId) {
-  if (!notificationsByUser.has(userId)) {
-    notificationsByUser.set(userId, defaultState());
-  }
-  return notificationsByUser.get(userId);
-}
-
 function truncate(value, max = 140) {
   if (!value) return '';
   const safe = String(value).trim();
@@ -36,34 +18,49 @@ function truncate(value, max = 140) {
   return `${safe.slice(0, max - 1)}…`;
 }
 
-function pushFeedEvent(state, event) {
-  const { countsTowardsTotal = true, ...rest } = event ?? {};
-  const entry = {
-    id: randomUUID(),
-    read: false,
-    countsTowardsTotal,
-    createdAt: new Date().toISOString(),
-    ...rest
+function toFeedEvent(row) {
+  return {
+    id: row.id,
+    read: row.isRead,
+    countsTowardsTotal: row.countsTowardsTotal,
+    createdAt: row.createdAt.toISOString(),
+    category: row.category,
+    type: row.type,
+    projectId: row.projectId,
+    projectName: row.projectName,
+    actorId: row.actorId,
+    actorName: row.actorName,
+    title: row.title,
+    body: row.message
   };
-  state.feed = [entry, ...state.feed].slice(0, FEED_LIMIT);
 }
 
-function serialiseMessages(messages) {
-  const byProject = Object.fromEntries(
-    [...messages.byProject.entries()].map(([projectId, data]) => [projectId, data.count])
-  );
-  const total = Object.values(byProject).reduce((sum, value) => sum + value, 0);
-  return { total, byProject };
+// Each recipient gets their own row; unread counters are derived from these rows
+// so they survive restarts instead of living in process memory.
+async function pushFeedEvents(recipientIds, buildEvent) {
+  const rows = recipientIds.map(userId => {
+    const { countsTowardsTotal = true, itemCount = 1, category, type, projectId, projectName, actorId, actorName, title, body } =
+      buildEvent(userId) ?? {};
+    return {
+      userId,
+      projectId: projectId ?? null,
+      projectName: projectName ?? null,
+      category,
+      type: type ?? category,
+      actorId: actorId ?? null,
+      actorName: actorName ?? null,
+      title,
+      message: body ?? '',
+      countsTowardsTotal,
+      itemCount
+    };
+  });
+  if (rows.length === 0) return;
+  await prisma.notification.createMany({ data: rows });
 }
 
-function serialiseState(state) {
-  return {
-    messages: serialiseMessages(state.messages),
-    uploads: { total: state.uploads },
-    projects: { total: state.projects },
-    users: { total: state.users },
-    feed: state.feed.map(event => ({ ...event }))
-  };
+function unreadWhere(userId, extra = {}) {
+  return { userId, isRead: false, countsTowardsTotal: true, ...extra };
 }
 
 function formatProjectChange(change) {
@@ -72,6 +69,17 @@ function formatProjectChange(change) {
     const label = statusLabels[change.status] ?? change.status;
     return `Stage "${change.stageName}" marked ${label}.`;
   }
+  if (change.type === 'stage_rescheduled') {
+    const dueDate = change.dueDate ? new Date(change.dueDate).toLocaleDateString() : 'no date';
+    return `Stage "${change.stageName}" rescheduled to ${dueDate}.`;
+  }
+  if (change.type === 'template_applied') {
+    const label = change.version ? `${change.templateName}" v${change.version}` : `${change.templateName}"`;
+    if (change.mode === 'merge' && change.summary) {
+      return `Template "${label} merged: ${change.summary.stagesAdded} stages and ${change.summary.tasksAdded} tasks added.`;
+    }
+    return `Template "${label} applied.`;
+  }
   if (change.type === 'task_created') {
     return `New task "${change.taskTitle}" added to ${change.stageName}.`;
   }
@@ -82,10 +90,27 @@ function formatProjectChange(change) {
   if (change.type === 'task_completed') {
     return `Task "${change.taskTitle}" completed in ${change.stageName}.`;
   }
+  if (change.type === 'task_uploads_received') {
+    return change.status === 'needs_review'
+      ? `Required uploads for "${change.taskTitle}" are in and awaiting review.`
+      : `Required uploads for "${change.taskTitle}" are in; task completed.`;
+  }
+  if (change.type === 'task_assigned') {
+    return `You were assigned "${change.taskTitle}" in ${change.stageName}.`;
+  }
+  if (change.type === 'task_unblocked') {
+    return `Task "${change.taskTitle}" in ${change.stageName} is unblocked and ready to start.`;
+  }
   if (change.type === 'task_overdue') {
     const dueDate = change.dueDate ? new Date(change.dueDate).toLocaleDateString() : 'unknown';
     return `Task "${change.taskTitle}" is overdue (was due ${dueDate}).`;
   }
+  if (change.type === 'upload_reviewed') {
+    if (change.status === 'approved') {
+      return `Your file "${change.fileName}" was approved.`;
+    }
+    return `Changes requested on "${change.fileName}"${change.comment ? `: ${truncate(change.comment)}` : '.'}`;
+  }
   if (change.type === 'client_upload') {
     const count = change.count ?? 1;
     const label = count === 1 ? 'a file' : `${count} files`;
@@ -147,45 +172,60 @@ function buildUserNotice({ action, actorName, targetName, projectName, role }) {
   };
 }
 
-function markFeedCategory(state, category, predicate = () => true) {
-  state.feed.forEach(event => {
-    if (event.category === category && predicate(event)) {
-      event.read = true;
-    }
+async function markFeedCategory(userId, category, extra = {}) {
+  await prisma.notification.updateMany({
+    where: { userId, category, isRead: false, ...extra },
+    data: { isRead: true }
   });
 }
 
 export const notificationStore = {
-  bumpMessageUnread({ projectId, projectName, authorId, authorName, messagePreview, memberIds }) {
-    const updates = [];
+  // Mentioned members get a 'mention' event in place of the generic one, so the
+  // unread count still moves by one per message.
+  async bumpMessageUnread({ projectId, projectName, authorId, authorName, messagePreview, memberIds, mentionedIds = [] }) {
     const description = truncate(messagePreview);
     const uniqueMemberIds = [...new Set(memberIds)];
-    uniqueMemberIds.forEach(memberId => {
-      const state = ensureState(memberId);
-      if (memberId !== authorId) {
-        const current = state.messages.byProject.get(projectId) ?? { count: 0, lastMessageId: null };
-        const next = {
-          count: current.count + 1,
-          lastMessageId: new Date().toISOString()
-        };
-        state.messages.byProject.set(projectId, next);
-        updates.push({ userId: memberId, projectId, unread: next.count });
-      }
-
-      pushFeedEvent(state, {
+    const mentioned = new Set(mentionedIds);
+    await pushFeedEvents(uniqueMemberIds, memberId => {
+      const isMention = mentioned.has(memberId) && memberId !== authorId;
+      return {
         category: 'messages',
+        type: isMention ? 'mention' : 'message',
         projectId,
         projectName,
         actorId: authorId,
         actorName: authorName,
-        title: `${authorName ?? 'Someone'} posted in ${projectName ?? 'a project'}`,
+        title: isMention
+          ? `${authorName ?? 'Someone'} mentioned you in ${projectName ?? 'a project'}`
+          : `${authorName ?? 'Someone'} posted in ${projectName ?? 'a project'}`,
         body: description,
         countsTowardsTotal: memberId !== authorId
-      });
+      };
     });
-    return updates;
+
+    const recipients = uniqueMemberIds.filter(memberId => memberId !== authorId);
+    if (recipients.length === 0) return [];
+    // Chat unread counts come from message_reads, the same source as the chat badge
+    return Promise.all(
+      recipients.map(async userId => ({ userId, projectId, unread: await messageStore.unreadCount({ projectId, userId }) }))
+    );
   },
-  bumpUploads({ projectId, projectName, actorId, actorName, memberIds, count = 1, fileNames = [] }) {
+  // Members newly @mentioned by an edit; the message itself was already counted
+  async bumpMentions({ projectId, projectName, authorId, authorName, messagePreview, mentionedIds }) {
+    const recipients = [...new Set(mentionedIds)].filter(memberId => memberId !== authorId);
+    await pushFeedEvents(recipients, () => ({
+      category: 'messages',
+      type: 'mention',
+      projectId,
+      projectName,
+      actorId: authorId,
+      actorName: authorName,
+      title: `${authorName ?? 'Someone'} mentioned you in ${projectName ?? 'a project'}`,
+      body: truncate(messagePreview)
+    }));
+    return recipients;
+  },
+  async bumpUploads({ projectId, projectName, actorId, actorName, memberIds, count = 1, fileNames = [] }) {
     const uniqueMemberIds = [...new Set(memberIds)];
     const title = `${actorName ?? 'Someone'} uploaded ${count === 1 ? 'a file' : `${count} files`} to ${projectName ?? 'a project'}`;
     const body =
@@ -193,85 +233,92 @@ export const notificationStore = {
         ? truncate(fileNames.slice(0, 4).join(', ') + (fileNames.length > 4 ? '…' : ''), 120)
         : '';
 
-    uniqueMemberIds.forEach(memberId => {
-      const state = ensureState(memberId);
-      if (memberId !== actorId) {
-        state.uploads += count;
-      }
-      pushFeedEvent(state, {
-        category: 'uploads',
-        projectId,
-        projectName,
-        actorId,
-        actorName,
-        title,
-        body,
-        countsTowardsTotal: memberId !== actorId
-      });
-    });
+    await pushFeedEvents(uniqueMemberIds, memberId => ({
+      category: 'uploads',
+      type: 'upload',
+      projectId,
+      projectName,
+      actorId,
+      actorName,
+      title,
+      body,
+      countsTowardsTotal: memberId !== actorId,
+      itemCount: count
+    }));
   },
-  bumpProjectChange({ projectId, projectName, actorId, actorName, memberIds, change }) {
+  async bumpProjectChange({ projectId, projectName, actorId, actorName, memberIds, change }) {
     const summary = formatProjectChange(change);
     const uniqueMemberIds = [...new Set(memberIds)];
 
-    uniqueMemberIds.forEach(memberId => {
-      const state = ensureState(memberId);
-      if (memberId !== actorId) {
-        state.projects += 1;
-      }
-      pushFeedEvent(state, {
-        category: 'projects',
-        projectId,
-        projectName,
-        actorId,
-        actorName,
-        title: `${actorName ?? 'Someone'} updated ${projectName ?? 'a project'}`,
-        body: summary,
-        countsTowardsTotal: memberId !== actorId
-      });
-    });
+    await pushFeedEvents(uniqueMemberIds, memberId => ({
+      category: 'projects',
+      type: change?.type ?? 'project_update',
+      projectId,
+      projectName,
+      actorId,
+      actorName,
+      title: `${actorName ?? 'Someone'} updated ${projectName ?? 'a project'}`,
+      body: summary,
+      countsTowardsTotal: memberId !== actorId
+    }));
   },
-  bumpUserChange({ recipients = [], actorId, actorName, targetName, projectName, role, action = 'user_notice' }) {
+  async bumpUserChange({ recipients = [], actorId, actorName, targetName, projectName, role, action = 'user_notice' }) {
     const uniqueRecipients = [...new Set(recipients)];
-    uniqueRecipients.forEach(userId => {
-      const state = ensureState(userId);
-      state.users += 1;
-      const { title, body } = buildUserNotice({ action, actorName, targetName, projectName, role });
-      pushFeedEvent(state, {
-        category: 'users',
-        projectName,
-        actorId,
-        actorName,
-        title,
-        body
-      });
-    });
+    const { title, body } = buildUserNotice({ action, actorName, targetName, projectName, role });
+    await pushFeedEvents(uniqueRecipients, () => ({
+      category: 'users',
+      type: action,
+      projectName,
+      actorId,
+      actorName,
+      title,
+      body
+    }));
   },
-  markMessageRead({ userId, projectId }) {
-    const state = ensureState(userId);
+  async markMessageRead({ userId, projectId }) {
     if (projectId) {
-      state.messages.byProject.delete(projectId);
-      markFeedCategory(state, 'messages', event => event.projectId === projectId);
+      await markFeedCategory(userId, 'messages', { projectId });
     }
   },
-  markAllMessagesRead(userId) {
-    const state = ensureState(userId);
-    state.messages.byProject = new Map();
-    markFeedCategory(state, 'messages');
+  async markAllMessagesRead(userId) {
+    await markFeedCategory(userId, 'messages');
   },
-  markCategoryRead({ userId, category }) {
-    const state = ensureState(userId);
-    if (category === 'uploads') state.uploads = 0;
-    if (category === 'projects') state.projects = 0;
-    if (category === 'users') state.users = 0;
-    markFeedCategory(state, category);
+  async markCategoryRead({ userId, category }) {
+    await markFeedCategory(userId, category);
   },
-  unreadForProject({ userId, projectId }) {
-    const state = ensureState(userId);
-    return state.messages.byProject.get(projectId)?.count ?? 0;
+  async unreadForProject({ userId, projectId }) {
+    return messageStore.unreadCount({ projectId, userId });
   },
-  summary(userId) {
-    const state = ensureState(userId);
-    return serialiseState(state);
+  async summary(userId) {
+    const [messageCounts, categoryCounts, feed] = await Promise.all([
+      messageStore.unreadByProject([userId]),
+      prisma.notification.groupBy({
+        by: ['category'],
+        where: unreadWhere(userId, { category: { in: ['uploads', 'projects', 'users'] } }),
+        _count: { _all: true },
+        _sum: { itemCount: true }
+      }),
+      prisma.notification.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+        take: FEED_LIMIT
+      })
+    ]);
+
+    const byProject = Object.fromEntries(messageCounts.map(entry => [entry.projectId, entry.unread]));
+    const totalFor = category => categoryCounts.find(group => group.category === category)?._count._all ?? 0;
+    // The uploads counter counts files, not upload batches
+    const uploadTotal = categoryCounts.find(group => group.category === 'uploads')?._sum.itemCount ?? 0;
+
+    return {
+      messages: {
+        total: Object.values(byProject).reduce((sum, value) => sum + value, 0),
+        byProject
+      },
+      uploads: { total: uploadTotal },
+      projects: { total: totalFor('projects') },
+      users: { total: totalFor('users') },
+      feed: feed.map(toFeedEvent)
+    };
   }
 };
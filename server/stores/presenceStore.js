@@ -0,0 +1,78 @@
+import prisma from '../lib/db.js';
+
+// projectId -> Map<userId, { displayName, sockets: Set<socketId> }>
+// Live presence is per process; only last-seen timestamps are persisted.
+const viewersByProject = new Map();
+
+function ensureProject(projectId) {
+  if (!viewersByProject.has(projectId)) {
+    viewersByProject.set(projectId, new Map());
+  }
+  return viewersByProject.get(projectId);
+}
+
+async function touchLastSeen(projectId, userId) {
+  try {
+    await prisma.projectMember.updateMany({
+      where: { projectId, userId },
+      data: { lastSeenAt: new Date() }
+    });
+  } catch (error) {
+    console.error('[PRESENCE] Failed to record last seen:', error);
+  }
+}
+
+export const presenceStore = {
+  // Returns true when this is the user's first open socket on the project
+  async join({ projectId, userId, displayName, socketId }) {
+    const viewers = ensureProject(projectId);
+    const entry = viewers.get(userId) ?? { displayName, sockets: new Set() };
+    const firstSocket = entry.sockets.size === 0;
+    entry.sockets.add(socketId);
+    viewers.set(userId, entry);
+    await touchLastSeen(projectId, userId);
+    return firstSocket;
+  },
+  // Returns true when the user no longer has any socket viewing the project
+  async leave({ projectId, userId, socketId }) {
+    const viewers = viewersByProject.get(projectId);
+    const entry = viewers?.get(userId);
+    if (!entry || !entry.sockets.delete(socketId)) return false;
+    if (entry.sockets.size > 0) return false;
+    viewers.delete(userId);
+    if (viewers.size === 0) viewersByProject.delete(projectId);
+    await touchLastSeen(projectId, userId);
+    return true;
+  },
+  // Project ids the socket was viewing, so disconnects can be fanned out per room
+  projectsForSocket(socketId) {
+    const projectIds = [];
+    for (const [projectId, viewers] of viewersByProject) {
+      for (const entry of viewers.values()) {
+        if (entry.sockets.has(socketId)) {
+          projectIds.push(projectId);
+          break;
+        }
+      }
+    }
+    return projectIds;
+  },
+  viewers(projectId) {
+    const viewers = viewersByProject.get(projectId);
+    if (!viewers) return [];
+    return [...viewers.entries()].map(([userId, entry]) => ({ id: userId, displayName: entry.displayName }));
+  },
+  async snapshot(projectId) {
+    const members = await prisma.projectMember.findMany({
+      where: { projectId },
+      select: { userId: true, lastSeenAt: true }
+    });
+    return {
+      projectId,
+      viewers: this.viewers(projectId),
+      lastSeen: Object.fromEntries(
+        members.map(member => [member.userId, member.lastSeenAt ? member.lastSeenAt.toISOString() : null])
+      )
+    };
+  }
+};
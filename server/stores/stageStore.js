@@ -301,7 +301,8 @@ const defaultTemplateStages = [
         label: 'Print Proofs',
         acceptedTypes: ['pdf', 'jpg', 'png'],
         maxFiles: 5,
-        required: true
+        required: true,
+        approvalToggleId: 'proofs_approved'
       },
       {
         uploadId: 'graphics_approval_form',
@@ -703,7 +704,7 @@ const slugify = value => {
 };
 
 const allowedStatuses = new Set(['not_started', 'in_progress', 'completed']);
-const allowedTaskStatuses = new Set(['not_started', 'in_progress', 'blocked', 'completed']);
+const allowedTaskStatuses = new Set(['not_started', 'in_progress', 'blocked', 'needs_review', 'completed']);
 
 const stageData = new Map();
 
@@ -778,17 +779,22 @@ const cloneToggleDefinition = toggle => ({ ...toggle });
 
 const clonePermissions = permissions => ({ ...(permissions ?? {}) });
 
-const sanitiseTemplateStages = stagesInput => {
+// Normalises template stages. Every problem is passed to `report(path, message)`
+// with a path such as "[1].tasks[0]" so callers can either stop at the first
+// problem or collect them all.
+const collectTemplateStages = (stagesInput, report) => {
   if (!Array.isArray(stagesInput) || stagesInput.length === 0) {
-    throw new Error('Template must include at least one stage');
+    report('', 'Template must include at least one stage');
+    return [];
   }
   const stageSlugSet = new Set();
 
   return stagesInput.map((stageInput, stageIndex) => {
+    const stagePath = `[${stageIndex}]`;
     const fallbackStageSlug = `stage-${stageIndex + 1}`;
     const stageSlug = sanitizeKey(stageInput?.slug ?? stageInput?.stageSlug ?? stageInput?.stage_id ?? stageInput?.name, fallbackStageSlug);
     if (stageSlugSet.has(stageSlug)) {
-      throw new Error(`Duplicate stage slug "${stageSlug}"`);
+      report(stagePath, `Duplicate stage slug "${stageSlug}"`);
     }
     stageSlugSet.add(stageSlug);
 
@@ -800,7 +806,7 @@ const sanitiseTemplateStages = stagesInput => {
           const fallbackTaskSlug = `${stageSlug}-task-${taskIndex + 1}`;
           const taskSlug = sanitizeKey(taskInput?.slug ?? taskInput?.taskSlug ?? taskInput?.task_id ?? taskInput?.title, fallbackTaskSlug);
           if (taskSlugSet.has(taskSlug)) {
-            throw new Error(`Duplicate task slug "${taskSlug}" in stage "${stageSlug}"`);
+            report(`${stagePath}.tasks[${taskIndex}]`, `Duplicate task slug "${taskSlug}" in stage "${stageSlug}"`);
           }
           taskSlugSet.add(taskSlug);
           return {
@@ -820,7 +826,7 @@ const sanitiseTemplateStages = stagesInput => {
           const fallbackUploadId = `${stageSlug}-upload-${uploadIndex + 1}`;
           const uploadId = sanitizeKey(uploadInput?.uploadId ?? uploadInput?.id ?? uploadInput?.name, fallbackUploadId);
           if (uploadIdSet.has(uploadId)) {
-            throw new Error(`Duplicate upload id "${uploadId}" in stage "${stageSlug}"`);
+            report(`${stagePath}.uploads[${uploadIndex}]`, `Duplicate upload id "${uploadId}" in stage "${stageSlug}"`);
           }
           uploadIdSet.add(uploadId);
           return {
@@ -828,7 +834,8 @@ const sanitiseTemplateStages = stagesInput => {
             label: ensureNonEmptyString(uploadInput?.label, `Upload ${uploadIndex + 1}`),
             acceptedTypes: ensureStringArray(uploadInput?.acceptedTypes),
             maxFiles: Math.max(1, ensurePositiveInt(uploadInput?.maxFiles, 1)),
-            required: uploadInput?.required ?? false
+            required: uploadInput?.required ?? false,
+            approvalToggleId: uploadInput?.approvalToggleId ? sanitizeKey(uploadInput.approvalToggleId, null) : null
           };
         })
       : [];
@@ -839,7 +846,7 @@ const sanitiseTemplateStages = stagesInput => {
           const fallbackToggleId = `${stageSlug}-toggle-${toggleIndex + 1}`;
           const toggleId = sanitizeKey(toggleInput?.toggleId ?? toggleInput?.id ?? toggleInput?.label, fallbackToggleId);
           if (toggleIdSet.has(toggleId)) {
-            throw new Error(`Duplicate toggle id "${toggleId}" in stage "${stageSlug}"`);
+            report(`${stagePath}.toggles[${toggleIndex}]`, `Duplicate toggle id "${toggleId}" in stage "${stageSlug}"`);
           }
           toggleIdSet.add(toggleId);
           return {
@@ -850,6 +857,12 @@ const sanitiseTemplateStages = stagesInput => {
         })
       : [];
 
+    uploads.forEach((upload, uploadIndex) => {
+      if (upload.approvalToggleId && !toggleIdSet.has(upload.approvalToggleId)) {
+        report(`${stagePath}.uploads[${uploadIndex}]`, `Upload "${upload.uploadId}" approves unknown toggle "${upload.approvalToggleId}" in stage "${stageSlug}"`);
+      }
+    });
+
     return {
       slug: stageSlug,
       name: ensureNonEmptyString(stageInput?.name, `Stage ${stageIndex + 1}`),
@@ -863,6 +876,18 @@ const sanitiseTemplateStages = stagesInput => {
   });
 };
 
+const sanitiseTemplateStages = stagesInput =>
+  collectTemplateStages(stagesInput, (_path, message) => {
+    throw new Error(message);
+  });
+
+// Same rules as sanitiseTemplateStages, but reports every problem instead of the first
+export const validateTemplateStages = stagesInput => {
+  const errors = [];
+  const stages = collectTemplateStages(stagesInput, (path, message) => errors.push({ path, message }));
+  return { stages, errors };
+};
+
 const computeStageMetrics = stage => {
   const totalTasks = stage.tasks.length;
   const completedTasks = stage.tasks.filter(task => task.state === 'completed').length;
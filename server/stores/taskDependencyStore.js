@@ -0,0 +1,120 @@
+import prisma from '../lib/db.js';
+import { isUuid } from '../lib/ids.js';
+
+// Walks predecessor links from each start node; true if `target` is reachable
+function reaches(graph, starts, target) {
+  const seen = new Set();
+  const stack = [...starts];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === target) return true;
+    if (seen.has(current)) continue;
+    seen.add(current);
+    stack.push(...(graph.get(current) ?? []));
+  }
+  return false;
+}
+
+async function projectGraph(projectId) {
+  const links = await prisma.taskDependency.findMany({
+    where: { task: { stage: { projectId } } },
+    select: { taskId: true, dependsOnId: true }
+  });
+  const graph = new Map();
+  links.forEach(link => {
+    if (!graph.has(link.taskId)) graph.set(link.taskId, []);
+    graph.get(link.taskId).push(link.dependsOnId);
+  });
+  return graph;
+}
+
+export const taskDependencyStore = {
+  // Validates a proposed predecessor set for a task and returns its ids. Throws
+  // with a user-facing message when a predecessor is unknown or would close a cycle.
+  async validatePredecessors({ projectId, taskId, predecessorIds }) {
+    if (!Array.isArray(predecessorIds)) {
+      throw new Error('dependsOn must be an array of task ids');
+    }
+    const ids = [...new Set(predecessorIds.filter(Boolean))];
+    if (!ids.every(isUuid)) {
+      throw new Error('Unknown task id');
+    }
+    if (ids.includes(taskId)) {
+      throw new Error('A task cannot depend on itself');
+    }
+
+    const found = await prisma.task.findMany({
+      where: { id: { in: ids }, stage: { projectId } },
+      select: { id: true }
+    });
+    if (found.length !== ids.length) {
+      throw new Error('Dependencies must be tasks in the same project');
+    }
+
+    const graph = await projectGraph(projectId);
+    graph.set(taskId, ids);
+    if (reaches(graph, ids, taskId)) {
+      throw new Error('These dependencies would create a cycle');
+    }
+    return ids;
+  },
+  // Queries that replace the predecessor set of a task with already validated
+  // ids, for the caller to run inside its own prisma.$transaction
+  replacePredecessors(taskId, ids) {
+    return [
+      prisma.taskDependency.deleteMany({ where: { taskId, dependsOnId: { notIn: ids } } }),
+      prisma.taskDependency.createMany({
+        data: ids.map(dependsOnId => ({ taskId, dependsOnId })),
+        skipDuplicates: true
+      })
+    ];
+  },
+  // Open predecessors of a task, or of a proposed predecessor set when `ids` is given
+  async openPredecessors(taskId, ids) {
+    if (ids) {
+      return prisma.task.findMany({
+        where: { id: { in: ids }, state: { not: 'completed' } },
+        select: { id: true, title: true }
+      });
+    }
+    const links = await prisma.taskDependency.findMany({
+      where: { taskId, dependsOn: { state: { not: 'completed' } } },
+      include: { dependsOn: { select: { id: true, title: true } } }
+    });
+    return links.map(link => link.dependsOn);
+  },
+  async dependentIds(taskId) {
+    const links = await prisma.taskDependency.findMany({
+      where: { dependsOnId: taskId },
+      select: { taskId: true }
+    });
+    return links.map(link => link.taskId);
+  },
+  // Brings each task's state in line with its predecessors: open predecessors
+  // block it, and a dependency block is lifted once they are all completed.
+  // Manual blocks and completed tasks are left alone. Returns what changed.
+  async reconcile(taskIds) {
+    const blocked = [];
+    const unblocked = [];
+    for (const taskId of new Set(taskIds)) {
+      const task = await prisma.task.findUnique({
+        where: { id: taskId },
+        include: {
+          stage: { select: { name: true } },
+          predecessors: { include: { dependsOn: { select: { state: true } } } }
+        }
+      });
+      if (!task || task.state === 'completed') continue;
+
+      const hasOpen = task.predecessors.some(link => link.dependsOn.state !== 'completed');
+      if (hasOpen && !task.autoBlocked && task.state !== 'blocked') {
+        await prisma.task.update({ where: { id: taskId }, data: { state: 'blocked', autoBlocked: true } });
+        blocked.push({ id: task.id, title: task.title, stageName: task.stage.name });
+      } else if (!hasOpen && task.autoBlocked) {
+        await prisma.task.update({ where: { id: taskId }, data: { state: 'not_started', autoBlocked: false } });
+        unblocked.push({ id: task.id, title: task.title, stageName: task.stage.name });
+      }
+    }
+    return { blocked, unblocked };
+  }
+};
@@ -1,270 +1,148 @@
-// Store for saved templates
-const templates = new Map();
+import prisma from '../lib/db.js';
+import { isUuid } from '../lib/ids.js';
 
-// Initialize with default templates
-const defaultTemplates = [
-  {
-    id: 'template-standard',
-    name: 'Standard Project Template',
-    description: 'Complete workflow with all stages',
-    stageCount: 5,
-    isDefault: true,
-    createdAt: new Date().toISOString(),
-    stages: [
-      {
-        slug: 'planning',
-        name: 'Planning & Design',
-        description: 'Initial project planning and design phase',
-        defaultStageDueInDays: 7,
-        permissions: {
-          viewRoles: ['owner', 'staff', 'client'],
-          taskUpdateRoles: ['owner', 'staff'],
-          checklistEditRoles: ['owner', 'staff'],
-          clientCanUpload: false
-        },
-        tasks: [
-          { title: 'Review project requirements', position: 0 },
-          { title: 'Create initial design concept', position: 1 },
-          { title: 'Get client approval on design', position: 2 },
-          { title: 'Finalize specifications', position: 3 }
-        ],
-        uploads: [],
-        toggles: []
-      },
-      {
-        slug: 'production',
-        name: 'Production',
-        description: 'Create and prepare all materials',
-        defaultStageDueInDays: 14,
-        permissions: {
-          viewRoles: ['owner', 'staff', 'client'],
-          taskUpdateRoles: ['owner', 'staff'],
-          checklistEditRoles: ['owner', 'staff'],
-          clientCanUpload: false
-        },
-        tasks: [
-          { title: 'Order materials and supplies', position: 0 },
-          { title: 'Fabricate booth components', position: 1 },
-          { title: 'Print graphics and signage', position: 2 },
-          { title: 'Quality control inspection', position: 3 },
-          { title: 'Package for shipping', position: 4 }
-        ],
-        uploads: [],
-        toggles: []
-      },
-      {
-        slug: 'shipping',
-        name: 'Shipping & Logistics',
-        description: 'Ship materials to venue',
-        defaultStageDueInDays: 3,
-        permissions: {
-          viewRoles: ['owner', 'staff', 'client'],
-          taskUpdateRoles: ['owner', 'staff'],
-          checklistEditRoles: ['owner', 'staff'],
-          clientCanUpload: false
-        },
-        tasks: [
-          { title: 'Arrange shipping carrier', position: 0 },
-          { title: 'Create shipping manifest', position: 1 },
-          { title: 'Schedule pickup', position: 2 },
-          { title: 'Track shipment to venue', position: 3 }
-        ],
-        uploads: [],
-        toggles: []
-      },
-      {
-        slug: 'installation',
-        name: 'Installation',
-        description: 'Onsite setup and installation',
-        defaultStageDueInDays: 2,
-        permissions: {
-          viewRoles: ['owner', 'staff', 'client'],
-          taskUpdateRoles: ['owner', 'staff'],
-          checklistEditRoles: ['owner', 'staff'],
-          clientCanUpload: false
-        },
-        tasks: [
-          { title: 'Receive materials at venue', position: 0 },
-          { title: 'Inspect for damage', position: 1 },
-          { title: 'Assemble booth structure', position: 2 },
-          { title: 'Install graphics and signage', position: 3 },
-          { title: 'Final walkthrough with client', position: 4 }
-        ],
-        uploads: [],
-        toggles: []
-      },
-      {
-        slug: 'closeout',
-        name: 'Post-Show Closeout',
-        description: 'Teardown and final wrap-up',
-        defaultStageDueInDays: 3,
-        permissions: {
-          viewRoles: ['owner', 'staff', 'client'],
-          taskUpdateRoles: ['owner', 'staff'],
-          checklistEditRoles: ['owner', 'staff'],
-          clientCanUpload: false
-        },
-        tasks: [
-          { title: 'Dismantle booth', position: 0 },
-          { title: 'Pack materials for return', position: 1 },
-          { title: 'Arrange return shipping', position: 2 },
-          { title: 'Final invoice and paperwork', position: 3 }
-        ],
-        uploads: [],
-        toggles: []
-      }
-    ]
-  },
-  {
-    id: 'template-quick',
-    name: 'Quick Setup Template',
-    description: 'Simplified workflow for smaller projects',
-    stageCount: 3,
-    isDefault: false,
-    createdAt: new Date().toISOString(),
-    stages: [
-      {
-        slug: 'preparation',
-        name: 'Preparation',
-        description: 'Gather materials and prepare',
-        defaultStageDueInDays: 5,
-        permissions: {
-          viewRoles: ['owner', 'staff', 'client'],
-          taskUpdateRoles: ['owner', 'staff'],
-          checklistEditRoles: ['owner', 'staff'],
-          clientCanUpload: false
-        },
-        tasks: [
-          { title: 'Define project scope', position: 0 },
-          { title: 'Order materials', position: 1 },
-          { title: 'Coordinate logistics', position: 2 }
-        ],
-        uploads: [],
-        toggles: []
-      },
-      {
-        slug: 'execution',
-        name: 'Execution',
-        description: 'Complete the project work',
-        defaultStageDueInDays: 7,
-        permissions: {
-          viewRoles: ['owner', 'staff', 'client'],
-          taskUpdateRoles: ['owner', 'staff'],
-          checklistEditRoles: ['owner', 'staff'],
-          clientCanUpload: false
-        },
-        tasks: [
-          { title: 'Build components', position: 0 },
-          { title: 'Transport to venue', position: 1 },
-          { title: 'Setup on-site', position: 2 }
-        ],
-        uploads: [],
-        toggles: []
-      },
-      {
-        slug: 'completion',
-        name: 'Completion',
-        description: 'Final delivery and closeout',
-        defaultStageDueInDays: 2,
-        permissions: {
-          viewRoles: ['owner', 'staff', 'client'],
-          taskUpdateRoles: ['owner', 'staff'],
-          checklistEditRoles: ['owner', 'staff'],
-          clientCanUpload: false
-        },
-        tasks: [
-          { title: 'Client walkthrough', position: 0 },
-          { title: 'Final cleanup', position: 1 },
-          { title: 'Send final invoice', position: 2 }
-        ],
-        uploads: [],
-        toggles: []
-      }
-    ]
-  }
-];
+// Saved templates live in the templates table. The built-in templates are
+// seeded by migrations/013_persist_templates.sql, and a partial unique index
+// guarantees at most one default. Every content change also writes an
+// immutable row to template_versions and bumps currentVersion.
 
-// Initialize templates
-defaultTemplates.forEach(template => {
-  templates.set(template.id, template);
+const summarySelect = {
+  id: true,
+  name: true,
+  description: true,
+  stageCount: true,
+  isDefault: true,
+  currentVersion: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+const snapshotOf = (template, version, createdById) => ({
+  templateId: template.id,
+  version,
+  name: template.name,
+  description: template.description,
+  stages: template.stages,
+  stageCount: template.stageCount,
+  createdById: createdById ?? null
 });
 
-export function listTemplates() {
-  return Array.from(templates.values()).map(template => ({
-    id: template.id,
-    name: template.name,
-    description: template.description,
-    stageCount: template.stageCount,
-    isDefault: template.isDefault,
-    createdAt: template.createdAt
-  }));
+async function findOrThrow(id) {
+  const template = await getTemplate(id);
+  if (!template) {
+    throw new Error('Template not found');
+  }
+  return template;
 }
 
-export function getTemplate(id) {
-  return templates.get(id);
+export async function listTemplates() {
+  return prisma.template.findMany({
+    select: summarySelect,
+    orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }]
+  });
 }
 
-export function getDefaultTemplate() {
-  return Array.from(templates.values()).find(t => t.isDefault);
+export async function getTemplate(id) {
+  // Ids from before templates were persisted (e.g. "template-standard") are not UUIDs
+  if (!isUuid(id)) return null;
+  return prisma.template.findUnique({ where: { id } });
 }
 
-export function createTemplate({ name, description, stages }) {
-  const id = `template-${Date.now()}`;
-  const template = {
-    id,
-    name,
-    description,
-    stageCount: stages.length,
-    isDefault: false,
-    createdAt: new Date().toISOString(),
-    stages
-  };
-  templates.set(id, template);
-  return template;
+export async function getDefaultTemplate() {
+  return prisma.template.findFirst({ where: { isDefault: true } });
 }
 
-export function updateTemplate(id, updates) {
-  const template = templates.get(id);
-  if (!template) {
-    throw new Error('Template not found');
-  }
-  
-  const updated = {
-    ...template,
-    ...updates,
-    stageCount: updates.stages ? updates.stages.length : template.stageCount,
-    updatedAt: new Date().toISOString()
-  };
-  
-  templates.set(id, updated);
-  return updated;
+export async function createTemplate({ name, description, stages, createdById }) {
+  return prisma.$transaction(async tx => {
+    const template = await tx.template.create({
+      data: {
+        name,
+        description: description ?? null,
+        stages,
+        stageCount: stages.length
+      }
+    });
+    await tx.templateVersion.create({ data: snapshotOf(template, 1, createdById) });
+    return template;
+  });
 }
 
-export function deleteTemplate(id) {
-  const template = templates.get(id);
-  if (!template) {
-    throw new Error('Template not found');
+export async function updateTemplate(id, updates, { updatedById } = {}) {
+  const current = await findOrThrow(id);
+
+  const data = {};
+  if (updates.name !== undefined) data.name = updates.name;
+  if (updates.description !== undefined) data.description = updates.description;
+  if (updates.stages !== undefined) {
+    if (!Array.isArray(updates.stages) || updates.stages.length === 0) {
+      throw new Error('A non-empty stages array is required');
+    }
+    data.stages = updates.stages;
+    data.stageCount = updates.stages.length;
   }
+
+  // Only real content changes produce a new version
+  const changed = Object.keys(data).some(
+    field => JSON.stringify(data[field]) !== JSON.stringify(current[field])
+  );
+
+  const template = changed
+    ? await prisma.$transaction(async tx => {
+        const updated = await tx.template.update({
+          where: { id },
+          data: { ...data, currentVersion: { increment: 1 } }
+        });
+        await tx.templateVersion.create({ data: snapshotOf(updated, updated.currentVersion, updatedById) });
+        return updated;
+      })
+    : current;
+  return updates.isDefault === true ? setDefaultTemplate(id) : template;
+}
+
+export async function deleteTemplate(id) {
+  const template = await findOrThrow(id);
   if (template.isDefault) {
     throw new Error('Cannot delete the default template');
   }
-  templates.delete(id);
+  await prisma.template.delete({ where: { id } });
   return true;
 }
 
-export function setDefaultTemplate(id) {
-  const template = templates.get(id);
-  if (!template) {
-    throw new Error('Template not found');
-  }
-  
-  // Remove default flag from all templates
-  templates.forEach(t => {
-    t.isDefault = false;
-  });
-  
-  // Set this one as default
-  template.isDefault = true;
-  templates.set(id, template);
+export async function setDefaultTemplate(id) {
+  await findOrThrow(id);
+
+  // Clear the old default first so the single-default index is never violated
+  const [, template] = await prisma.$transaction([
+    prisma.template.updateMany({
+      where: { isDefault: true, id: { not: id } },
+      data: { isDefault: false }
+    }),
+    prisma.template.update({
+      where: { id },
+      data: { isDefault: true }
+    })
+  ]);
   return template;
 }
+
+export async function listVersions(id) {
+  await findOrThrow(id);
+  return prisma.templateVersion.findMany({
+    where: { templateId: id },
+    select: {
+      version: true,
+      name: true,
+      stageCount: true,
+      createdAt: true,
+      createdBy: { select: { id: true, displayName: true } }
+    },
+    orderBy: { version: 'desc' }
+  });
+}
+
+export async function getVersion(id, version) {
+  if (!isUuid(id) || !Number.isInteger(version)) return null;
+  return prisma.templateVersion.findUnique({
+    where: { templateId_version: { templateId: id, version } }
+  });
+}